@@ -4,6 +4,7 @@ import PdfEditor from './components/PdfEditor';
 import MergeScreen from './components/MergeScreen';
 import CompressScreen from './components/CompressScreen';
 import UnlockScreen from './components/UnlockScreen';
+import ProtectScreen from './components/ProtectScreen';
 import WatermarkScreen from './components/WatermarkScreen';
 import OrganizeScreen from './components/OrganizeScreen';
 
@@ -59,7 +60,7 @@ function App() {
   }
 
   if (mode === 'editor' && currentFile) {
-    return <PdfEditor file={currentFile} onBack={handleBack} apiBase={API_BASE} />;
+    return <PdfEditor file={currentFile} onBack={handleBack} />;
   }
 
   if (mode === 'merge') {
@@ -74,6 +75,10 @@ function App() {
     return <UnlockScreen onBack={() => setMode('home')} apiBase={API_BASE} />;
   }
 
+  if (mode === 'protect') {
+    return <ProtectScreen onBack={() => setMode('home')} />;
+  }
+
   if (mode === 'watermark') {
     return <WatermarkScreen onBack={() => setMode('home')} apiBase={API_BASE} />;
   }
@@ -89,6 +94,7 @@ function App() {
       onMergeClick={() => setMode('merge')}
       onCompressClick={() => setMode('compress')}
       onUnlockClick={() => setMode('unlock')}
+      onProtectClick={() => setMode('protect')}
       onWatermarkClick={() => setMode('watermark')}
       onOrganizeClick={() => setMode('organize')}
     />
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import {
+    COMMENT_TYPE_LABELS,
+    COMMENT_STATUSES,
+    getCommentStatus,
+    createReply,
+    formatCommentDate,
+    commentsToCsv,
+    createCommentSummaryPdf
+} from '../utils/comments';
+import { describeMissingGlyphs } from '../utils/fonts';
+import { loadUserName, saveUserName } from '../utils/userProfile';
+
+const FILTERS = { all: 'All', open: 'Open', resolved: 'Resolved' };
+
+const downloadBlob = (blob, name) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+};
+
+// Review pane for notes, text boxes and callouts on every page: replies, open/resolved
+// status, and a summary export. `comments` comes from collectComments (utils/comments);
+// `onSelect(page, ann)` shows a comment on its page, `onUpdate(page, ann)` saves changes.
+const CommentsPanel = ({ comments, selectedId, documentName, onSelect, onUpdate, onClose }) => {
+    const [userName, setUserName] = useState(loadUserName);
+    const [filter, setFilter] = useState('all');
+    const [drafts, setDrafts] = useState({}); // Reply text being typed, by comment id
+    const [isExporting, setIsExporting] = useState(false);
+
+    const handleUserNameChange = (value) => {
+        setUserName(value);
+        saveUserName(value.trim());
+    };
+
+    const toggleStatus = (page, ann) => {
+        if (getCommentStatus(ann) === 'resolved') {
+            const { resolvedBy: _resolvedBy, ...rest } = ann;
+            onUpdate(page, { ...rest, status: 'open' });
+        } else {
+            onUpdate(page, { ...ann, status: 'resolved', resolvedBy: userName.trim() || undefined });
+        }
+    };
+
+    const handleReply = (e, page, ann) => {
+        e.preventDefault();
+        const text = (drafts[ann.id] || '').trim();
+        if (!text) return;
+        if (!userName.trim()) {
+            alert("Enter your name first; replies record who wrote them.");
+            return;
+        }
+        onUpdate(page, { ...ann, replies: [...(ann.replies || []), createReply(text, userName.trim())] });
+        setDrafts(prev => ({ ...prev, [ann.id]: '' }));
+    };
+
+    const baseName = documentName.replace(/\.[^.]+$/, '') || 'document';
+
+    const exportCsv = () => {
+        downloadBlob(new Blob([commentsToCsv(comments)], { type: 'text/csv;charset=utf-8' }), `${baseName}_comments.csv`);
+    };
+
+    const exportPdf = async () => {
+        setIsExporting(true);
+        try {
+            const { bytes, fontCache } = await createCommentSummaryPdf(comments, documentName);
+            downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `${baseName}_comments.pdf`);
+            const missingGlyphs = describeMissingGlyphs(fontCache);
+            if (missingGlyphs) alert(missingGlyphs);
+        } catch (err) {
+            console.error("Comment summary error:", err);
+            alert(`Failed to create the comment summary: ${err.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const openCount = comments.filter(({ ann }) => getCommentStatus(ann) === 'open').length;
+    const shown = filter === 'all' ? comments : comments.filter(({ ann }) => getCommentStatus(ann) === filter);
+
+    return (
+        <div className="w-80 shrink-0 flex flex-col bg-gray-800 border-l border-gray-700 text-sm">
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+                <h3 className="font-bold">Comments <span className="font-normal text-gray-400">({openCount} open)</span></h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+            </div>
+
+            <div className="p-3 space-y-2 border-b border-gray-700">
+                <label className="flex items-center gap-2">
+                    <span className="text-gray-400">Your name</span>
+                    <input
+                        type="text"
+                        value={userName}
+                        onChange={(e) => handleUserNameChange(e.target.value)}
+                        placeholder="Shown on your comments"
+                        className="flex-1 min-w-0 bg-gray-900 border border-gray-600 rounded px-2 py-1"
+                    />
+                </label>
+                <div className="flex bg-gray-700 rounded">
+                    {Object.entries(FILTERS).map(([value, label]) => (
+                        <button
+                            key={value}
+                            onClick={() => setFilter(value)}
+                            className={`flex-1 py-1 rounded ${filter === value ? 'bg-blue-500 text-white' : 'text-gray-300 hover:bg-gray-600'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex-1 overflow-auto p-3 space-y-3">
+                {shown.length === 0 && (
+                    <p className="text-gray-500">
+                        {comments.length === 0 ? 'No comments yet. Add notes, text or callouts to start a review.' : `No ${filter} comments.`}
+                    </p>
+                )}
+                {shown.map(({ page, ann }) => {
+                    const status = getCommentStatus(ann);
+                    return (
+                        <div
+                            key={ann.id}
+                            className={`rounded border p-2 ${ann.id === selectedId ? 'border-blue-500 bg-gray-700' : 'border-gray-700 bg-gray-900'}`}
+                        >
+                            <button onClick={() => onSelect(page, ann)} className="block w-full text-left">
+                                <div className="flex items-center justify-between text-xs text-gray-400">
+                                    <span>Page {page} · {COMMENT_TYPE_LABELS[ann.type]}</span>
+                                    <span className={status === 'resolved' ? 'text-green-400' : 'text-amber-400'}>
+                                        {COMMENT_STATUSES[status]}
+                                    </span>
+                                </div>
+                                <div className="text-xs text-gray-400">
+                                    {ann.author || 'Unknown author'}{ann.createdAt ? ` · ${formatCommentDate(ann.createdAt)}` : ''}
+                                </div>
+                                <p className={`mt-1 whitespace-pre-wrap break-words ${status === 'resolved' ? 'text-gray-400' : 'text-gray-100'}`}>{ann.text}</p>
+                            </button>
+
+                            {(ann.replies || []).length > 0 && (
+                                <ul className="mt-2 ml-2 pl-2 border-l border-gray-600 space-y-1">
+                                    {ann.replies.map(reply => (
+                                        <li key={reply.id}>
+                                            <div className="text-xs text-gray-400">
+                                                {reply.author || 'Unknown author'}{reply.createdAt ? ` · ${formatCommentDate(reply.createdAt)}` : ''}
+                                            </div>
+                                            <p className="whitespace-pre-wrap break-words text-gray-200">{reply.text}</p>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+
+                            <form onSubmit={(e) => handleReply(e, page, ann)} className="mt-2 flex gap-1">
+                                <input
+                                    type="text"
+                                    value={drafts[ann.id] || ''}
+                                    onChange={(e) => setDrafts(prev => ({ ...prev, [ann.id]: e.target.value }))}
+                                    placeholder="Reply"
+                                    className="flex-1 min-w-0 bg-gray-800 border border-gray-600 rounded px-2 py-1"
+                                />
+                                <button type="submit" disabled={!(drafts[ann.id] || '').trim()} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">Reply</button>
+                                <button
+                                    type="button"
+                                    onClick={() => toggleStatus(page, ann)}
+                                    title={status === 'resolved' && ann.resolvedBy ? `Resolved by ${ann.resolvedBy}` : undefined}
+                                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded"
+                                >
+                                    {status === 'resolved' ? 'Reopen' : 'Resolve'}
+                                </button>
+                            </form>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="flex items-center gap-2 p-3 border-t border-gray-700">
+                <span className="text-gray-400 flex-1">Summary</span>
+                <button onClick={exportCsv} title="Spreadsheet with one row per comment and reply" className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded">CSV</button>
+                <button onClick={exportPdf} disabled={isExporting} title="Printable report grouped by page" className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">
+                    {isExporting ? 'Exporting...' : 'PDF'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CommentsPanel;
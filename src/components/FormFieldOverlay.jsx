@@ -0,0 +1,103 @@
+import React from 'react';
+
+// Editable inputs laid over the AcroForm widgets of one page.
+// `values` holds edited values by field name; untouched fields show their value from the PDF.
+const FormFieldOverlay = ({ fields, values, page, viewport, scale, interactive, onChange }) => {
+    const widgets = fields.flatMap(field => field.widgets
+        .filter(widget => widget.page === page)
+        .map((widget, index) => ({ field, widget, index })));
+    if (widgets.length === 0) return null;
+
+    return (
+        <div className={`absolute inset-0 z-20 ${interactive ? '' : 'pointer-events-none'}`}>
+            {widgets.map(({ field, widget, index }) => {
+                const rect = viewport.toViewRect(widget.rect);
+                const value = Object.hasOwn(values, field.name) ? values[field.name] : field.value;
+                const fontSize = Math.max(8, Math.min(widget.rect.height * 0.65, 14)) * scale;
+                const boxStyle = { left: rect.x, top: rect.y, width: rect.width, height: rect.height, fontSize };
+                const boxClass = 'absolute bg-blue-100/90 text-black border border-blue-300 rounded-sm px-1 outline-none focus:border-blue-600 disabled:bg-gray-200/80';
+                const key = `${field.name}-${index}`;
+
+                switch (field.type) {
+                    case 'text':
+                        return field.multiline ? (
+                            <textarea
+                                key={key}
+                                value={value}
+                                maxLength={field.maxLength}
+                                disabled={field.readOnly}
+                                onChange={(e) => onChange(field.name, e.target.value)}
+                                className={`${boxClass} resize-none`}
+                                style={boxStyle}
+                                title={field.name}
+                            />
+                        ) : (
+                            <input
+                                key={key}
+                                type="text"
+                                value={value}
+                                maxLength={field.maxLength}
+                                disabled={field.readOnly}
+                                onChange={(e) => onChange(field.name, e.target.value)}
+                                className={boxClass}
+                                style={boxStyle}
+                                title={field.name}
+                            />
+                        );
+                    case 'checkbox':
+                    case 'radio':
+                        return (
+                            <label key={key} className="absolute flex items-center justify-center bg-blue-100/90 border border-blue-300 rounded-sm" style={boxStyle} title={field.name}>
+                                <input
+                                    type={field.type}
+                                    name={field.type === 'radio' ? `form-field-${field.name}` : undefined}
+                                    checked={field.type === 'radio' ? value === widget.option : !!value}
+                                    disabled={field.readOnly}
+                                    onChange={(e) => onChange(field.name, field.type === 'radio' ? widget.option : e.target.checked)}
+                                    className="w-full h-full m-0 cursor-pointer"
+                                />
+                            </label>
+                        );
+                    case 'dropdown':
+                        return (
+                            <select
+                                key={key}
+                                value={value}
+                                disabled={field.readOnly}
+                                onChange={(e) => onChange(field.name, e.target.value)}
+                                className={boxClass}
+                                style={boxStyle}
+                                title={field.name}
+                            >
+                                <option value=""></option>
+                                {field.options.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        );
+                    case 'list':
+                        return (
+                            <select
+                                key={key}
+                                multiple
+                                value={field.multiSelect ? value : value.slice(0, 1)}
+                                disabled={field.readOnly}
+                                onChange={(e) => onChange(field.name, Array.from(e.target.selectedOptions, option => option.value))}
+                                className={boxClass}
+                                style={boxStyle}
+                                title={field.name}
+                            >
+                                {field.options.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        );
+                    default:
+                        return null;
+                }
+            })}
+        </div>
+    );
+};
+
+export default FormFieldOverlay;
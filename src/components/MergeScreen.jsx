@@ -1,9 +1,13 @@
 import React, { useState } from 'react';
 import { PDFDocument } from 'pdf-lib';
+import { loadMetadata, applyMetadata, copyMetadata } from '../utils/pdfMetadata';
+import PropertiesDialog from './PropertiesDialog';
 
 const MergeScreen = ({ onBack }) => {
     const [files, setFiles] = useState([]);
     const [isProcessing, setIsProcessing] = useState(false);
+    const [metadata, setMetadata] = useState(null); // Read from the first file when the dialog opens
+    const [showProperties, setShowProperties] = useState(false);
 
     const handleFileChange = (e) => {
         const newFiles = Array.from(e.target.files).filter(f => f.type === 'application/pdf');
@@ -16,7 +20,23 @@ const MergeScreen = ({ onBack }) => {
     };
 
     const removeFile = (index) => {
-        setFiles(prev => prev.filter((_, i) => i !== index));
+        const remaining = files.filter((_, i) => i !== index);
+        setFiles(remaining);
+        // Properties come from the first file: read them again from the new first file, unless edited
+        if (remaining.length === 0 || (index === 0 && !metadata?.edited)) setMetadata(null);
+    };
+
+    const openProperties = async () => {
+        if (!metadata) {
+            try {
+                setMetadata(await loadMetadata(files[0]));
+            } catch (err) {
+                console.error("Metadata read error:", err);
+                alert("Failed to read the document properties: " + err.message);
+                return;
+            }
+        }
+        setShowProperties(true);
     };
 
     const handleMerge = async () => {
@@ -27,15 +47,20 @@ const MergeScreen = ({ onBack }) => {
 
         setIsProcessing(true);
         try {
-            const mergedPdf = await PDFDocument.create();
+            const mergedPdf = await PDFDocument.create({ updateMetadata: false });
+            let firstPdf = null;
 
             for (const file of files) {
                 const arrayBuffer = await file.arrayBuffer();
-                const pdf = await PDFDocument.load(arrayBuffer);
+                const pdf = await PDFDocument.load(arrayBuffer, { updateMetadata: false });
+                if (!firstPdf) firstPdf = pdf;
                 const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
                 copiedPages.forEach((page) => mergedPdf.addPage(page));
             }
 
+            // The merged file keeps the first file's properties unless they were edited
+            copyMetadata(firstPdf, mergedPdf);
+            applyMetadata(mergedPdf, metadata);
             const mergedPdfBytes = await mergedPdf.save();
             const blob = new Blob([mergedPdfBytes], { type: 'application/pdf' });
 
@@ -104,6 +129,15 @@ const MergeScreen = ({ onBack }) => {
                         </div>
                     )}
 
+                    <button
+                        onClick={openProperties}
+                        disabled={files.length === 0}
+                        title="Properties of the merged file; the first file's are used unless changed here"
+                        className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm disabled:opacity-50"
+                    >
+                        📋 Document Properties...
+                    </button>
+
                     {/* Action Button */}
                     <button
                         onClick={handleMerge}
@@ -122,6 +156,14 @@ const MergeScreen = ({ onBack }) => {
                     </button>
                 </div>
             </div>
+
+            {showProperties && (
+                <PropertiesDialog
+                    metadata={metadata}
+                    onApply={(next) => { setMetadata(next); setShowProperties(false); }}
+                    onClose={() => setShowProperties(false)}
+                />
+            )}
         </div>
     );
 };
@@ -1,6 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { PDFDocument, degrees } from 'pdf-lib';
 import { Document, Page, pdfjs } from 'react-pdf';
+import useShortcuts from '../hooks/useShortcuts';
+import { shortcutHint } from '../utils/shortcuts';
+import ShortcutHelp from './ShortcutHelp';
+import PropertiesDialog from './PropertiesDialog';
+import { loadMetadata, applyMetadata, copyMetadata } from '../utils/pdfMetadata';
 
 // Ensure worker is loaded (force specific version to match react-pdf requirement)
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@5.4.296/build/pdf.worker.min.mjs`;
@@ -14,6 +19,10 @@ const OrganizeScreen = ({ onBack }) => {
     const [cropMode, setCropMode] = useState(null); // pageIndex
     const [isProcessing, setIsProcessing] = useState(false);
     const [loadError, setLoadError] = useState(null); // Track load errors
+    const [showShortcuts, setShowShortcuts] = useState(false);
+    // Properties of the uploaded file; edits go in on download
+    const [metadata, setMetadata] = useState(null);
+    const [showProperties, setShowProperties] = useState(false);
 
     // For visual cropping
     const [cropRect, setCropRect] = useState({ x: 10, y: 10, width: 80, height: 80 }); // Percentages
@@ -46,6 +55,10 @@ const OrganizeScreen = ({ onBack }) => {
                 setFile(selected);
                 const buffer = await selected.arrayBuffer();
                 displayPdf(buffer);
+                setMetadata(null);
+                loadMetadata(buffer)
+                    .then(setMetadata)
+                    .catch(err => console.error("Metadata read error:", err));
             }
         } catch (err) {
             console.error("File read error:", err);
@@ -103,9 +116,10 @@ const OrganizeScreen = ({ onBack }) => {
             // Actually pdf-lib is mutable. ensuring we don't loose annotations.
             // Best way: Create new PDF, copy pages in new order.
 
-            const newPdf = await PDFDocument.create();
+            const newPdf = await PDFDocument.create({ updateMetadata: false });
             const copiedPages = await newPdf.copyPages(pdfDoc, indices);
             copiedPages.forEach(page => newPdf.addPage(page));
+            copyMetadata(pdfDoc, newPdf);
 
             // Replace current pdfBytes with new PDF
             const newBytes = await newPdf.save();
@@ -120,7 +134,7 @@ const OrganizeScreen = ({ onBack }) => {
         if (!pdfBytes) return;
         setIsProcessing(true);
         try {
-            const pdfDoc = await PDFDocument.load(pdfBytes);
+            const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
             const result = await callback(pdfDoc);
 
             let newBytes;
@@ -205,16 +219,41 @@ const OrganizeScreen = ({ onBack }) => {
     };
 
     // --- Save ---
-    const handleDownload = () => {
+    const handleDownload = async () => {
         if (!pdfBytes || !file) return;
-        const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = `organized_${file.name}`;
-        link.click();
+        try {
+            const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+            applyMetadata(pdfDoc, metadata);
+            const blob = new Blob([await pdfDoc.save()], { type: 'application/pdf' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `organized_${file.name}`;
+            link.click();
+        } catch (error) {
+            console.error(error);
+            alert("Error saving PDF: " + error.message);
+        }
     };
 
 
+    // --- Keyboard Shortcuts (see utils/shortcuts) ---
+    const hasSelection = selectedPages.size > 0;
+    const closeShortcuts = () => setShowShortcuts(false);
+    const organizeShortcuts = {
+        selectAll: pageCount > 0 ? () => setSelectedPages(new Set(Array.from({ length: pageCount }, (_, i) => i))) : null,
+        clearSelection: hasSelection ? () => setSelectedPages(new Set()) : null,
+        rotateLeft: hasSelection ? () => handleRotate('left') : null,
+        rotateRight: hasSelection ? () => handleRotate('right') : null,
+        delete: hasSelection ? handleDelete : null,
+        save: pdfBytes ? handleDownload : null,
+        help: () => setShowShortcuts(true)
+    };
+    useShortcuts(
+        'organize',
+        showShortcuts ? { help: closeShortcuts, clearSelection: closeShortcuts } : organizeShortcuts,
+        cropMode === null && !isProcessing && !showProperties
+    );
+
     return (
         <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center py-6">
 
@@ -227,7 +266,8 @@ const OrganizeScreen = ({ onBack }) => {
                     <p className="text-gray-400 text-sm">Drag to Reorder, Rotate, Delete, Snipping Tool</p>
                 </div>
                 <div className="flex gap-4">
-                    <button onClick={handleDownload} disabled={!pdfBytes} className="px-6 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg font-bold shadow-lg disabled:opacity-50">
+                    <button onClick={() => setShowShortcuts(true)} title="Keyboard shortcuts (?)" className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg">⌨</button>
+                    <button onClick={handleDownload} disabled={!pdfBytes} title={`Download (${shortcutHint('organize', 'save')})`} className="px-6 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg font-bold shadow-lg disabled:opacity-50">
                         Download Result
                     </button>
                     <button onClick={onBack} className="text-gray-400 hover:text-white px-4">
@@ -252,21 +292,26 @@ const OrganizeScreen = ({ onBack }) => {
                             <div className="text-sm text-gray-400 mb-2">{file.name} ({pageCount} pages)</div>
                             <div className="text-xs text-gray-500 mb-4">{selectedPages.size} selected</div>
 
-                            <button onClick={() => handleRotate('left')} className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded flex items-center justify-center gap-2">
+                            <button onClick={() => handleRotate('left')} title={`Rotate left (${shortcutHint('organize', 'rotateLeft')})`} className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded flex items-center justify-center gap-2">
                                 <span>↺</span> Rotate Left
                             </button>
-                            <button onClick={() => handleRotate('right')} className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded flex items-center justify-center gap-2">
+                            <button onClick={() => handleRotate('right')} title={`Rotate right (${shortcutHint('organize', 'rotateRight')})`} className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded flex items-center justify-center gap-2">
                                 <span>↻</span> Rotate Right
                             </button>
-                            <button onClick={handleDelete} className="w-full py-2 bg-red-900/50 hover:bg-red-900/80 text-red-200 rounded flex items-center justify-center gap-2">
+                            <button onClick={handleDelete} title={`Delete selected (${shortcutHint('organize', 'delete')})`} className="w-full py-2 bg-red-900/50 hover:bg-red-900/80 text-red-200 rounded flex items-center justify-center gap-2">
                                 <span>🗑️</span> Delete Selected
                             </button>
 
+                            <button onClick={() => setShowProperties(true)} disabled={!metadata} className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded flex items-center justify-center gap-2 disabled:opacity-50">
+                                <span>📋</span> Properties
+                            </button>
+
                             <hr className="border-gray-700 my-4" />
 
                             <p className="text-xs text-gray-400">
                                 <b>Drag & Drop</b> pages to reorder.<br />
-                                Click ✂️ to crop.
+                                Click ✂️ to crop.<br />
+                                Press <b>?</b> for keyboard shortcuts.
                             </p>
                         </>
                     )}
@@ -396,6 +441,17 @@ const OrganizeScreen = ({ onBack }) => {
                 </div>
             )}
 
+            {showShortcuts && (
+                <ShortcutHelp scope="organize" onClose={closeShortcuts} />
+            )}
+            {showProperties && (
+                <PropertiesDialog
+                    metadata={metadata}
+                    onApply={(next) => { setMetadata(next); setShowProperties(false); }}
+                    onClose={() => setShowProperties(false)}
+                />
+            )}
+
             {isProcessing && (
                 <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center">
                     <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-emerald-500"></div>
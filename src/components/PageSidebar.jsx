@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Page } from 'react-pdf';
+import { createPageViewport } from '../utils/pageViewport';
+
+const THUMB_WIDTH = 120;
+const DEFAULT_ASPECT = { width: 612, height: 792 }; // Until the page size is known
+
+// Page number and point (page units, or null) of an outline destination
+const resolveDestination = async (pdf, dest) => {
+    const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || explicit.length === 0) return null;
+    const [target, mode, ...args] = explicit;
+    const pageIndex = typeof target === 'number' ? target : await pdf.getPageIndex(target);
+    const page = pageIndex + 1;
+
+    // Only destinations that name a position scroll within the page
+    let left = null;
+    let top = null;
+    if (mode?.name === 'XYZ') [left, top] = args;
+    else if (mode?.name === 'FitH' || mode?.name === 'FitBH') [top] = args;
+    if (top === null || top === undefined) return { page, point: null };
+
+    const [x1, , , y2] = (await pdf.getPage(page)).view;
+    return { page, point: { x: (left ?? x1) - x1, y: y2 - top } };
+};
+
+const OutlineItems = ({ items, path, expanded, onToggle, onSelect }) => (
+    <ul className={path ? 'ml-3 border-l border-gray-700 pl-1' : ''}>
+        {items.map((item, index) => {
+            const key = `${path}${index}`;
+            const hasChildren = item.items && item.items.length > 0;
+            const isOpen = expanded.has(key);
+            return (
+                <li key={key}>
+                    <div className="flex items-start">
+                        <button
+                            onClick={() => onToggle(key)}
+                            className={`w-5 shrink-0 text-gray-500 hover:text-white ${hasChildren ? '' : 'invisible'}`}
+                        >
+                            {isOpen ? '▾' : '▸'}
+                        </button>
+                        <button
+                            onClick={() => onSelect(item)}
+                            title={item.title}
+                            className={`flex-1 text-left px-1 py-0.5 rounded hover:bg-gray-700 truncate ${item.bold ? 'font-bold' : ''} ${item.italic ? 'italic' : ''}`}
+                        >
+                            {item.title}
+                        </button>
+                    </div>
+                    {hasChildren && isOpen && (
+                        <OutlineItems items={item.items} path={`${key}.`} expanded={expanded} onToggle={onToggle} onSelect={onSelect} />
+                    )}
+                </li>
+            );
+        })}
+    </ul>
+);
+
+// Collapsible editor sidebar: page thumbnails (pages with markup are flagged) and the
+// document outline. `onNavigate(page, point)` jumps to a page, or a point on it.
+const PageSidebar = ({ pdf, numPages, pageSizes, currentPage, annotationCounts, onNavigate }) => {
+    const [tab, setTab] = useState('pages'); // pages | outline
+    const [outline, setOutline] = useState({ pdf: null, items: null }); // Outline of the document it was read from
+    const [expanded, setExpanded] = useState(() => new Set());
+    const [visiblePages, setVisiblePages] = useState(() => new Set([1]));
+    const listRef = useRef(null);
+    const thumbRefs = useRef({});
+
+    useEffect(() => {
+        if (!pdf) return;
+        let cancelled = false;
+        pdf.getOutline()
+            .then(items => {
+                if (!cancelled) setOutline({ pdf, items: items || [] });
+            })
+            .catch(err => {
+                console.error("Outline load error:", err);
+                if (!cancelled) setOutline({ pdf, items: [] });
+            });
+        return () => { cancelled = true; };
+    }, [pdf]);
+
+    // Render thumbnails only when they scroll near the visible part of the list
+    useEffect(() => {
+        if (tab !== 'pages' || !numPages) return;
+        const observer = new IntersectionObserver((entries) => {
+            setVisiblePages(prev => {
+                const next = new Set(prev);
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) next.add(Number(entry.target.dataset.page));
+                });
+                return next;
+            });
+        }, { root: listRef.current, rootMargin: '200px 0px' });
+        Object.values(thumbRefs.current).forEach(el => observer.observe(el));
+        return () => observer.disconnect();
+    }, [tab, numPages]);
+
+    // Keep the current page's thumbnail in view
+    useEffect(() => {
+        if (tab === 'pages') thumbRefs.current[currentPage]?.scrollIntoView({ block: 'nearest' });
+    }, [tab, currentPage]);
+
+    const toggleItem = (key) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    };
+
+    const handleOutlineSelect = async (item) => {
+        if (item.url) {
+            window.open(item.url, '_blank', 'noopener');
+            return;
+        }
+        if (!item.dest) return;
+        try {
+            const target = await resolveDestination(pdf, item.dest);
+            if (target) onNavigate(target.page, target.point);
+        } catch (err) {
+            console.error("Outline destination error:", err);
+        }
+    };
+
+    const outlineItems = outline.pdf === pdf ? outline.items : null;
+
+    return (
+        <div className="w-48 shrink-0 flex flex-col bg-gray-800 border-r border-gray-700 text-sm">
+            <div className="flex border-b border-gray-700">
+                {[['pages', 'Pages'], ['outline', 'Outline']].map(([value, label]) => (
+                    <button
+                        key={value}
+                        onClick={() => setTab(value)}
+                        className={`flex-1 py-2 ${tab === value ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {tab === 'pages' ? (
+                <div ref={listRef} className="flex-1 overflow-auto p-3 space-y-3">
+                    {Array.from({ length: numPages || 0 }, (_, i) => i + 1).map(page => {
+                        const view = createPageViewport(pageSizes[page] || DEFAULT_ASPECT, 1);
+                        const thumbHeight = view.height * (THUMB_WIDTH / view.width);
+                        const count = annotationCounts[page] || 0;
+                        return (
+                            <button
+                                key={page}
+                                data-page={page}
+                                ref={el => {
+                                    if (el) thumbRefs.current[page] = el;
+                                    else delete thumbRefs.current[page];
+                                }}
+                                onClick={() => onNavigate(page, null)}
+                                className="block mx-auto"
+                            >
+                                <div
+                                    className={`relative bg-white overflow-hidden border-2 ${page === currentPage ? 'border-blue-500' : 'border-transparent hover:border-gray-500'}`}
+                                    style={{ width: THUMB_WIDTH, height: thumbHeight }}
+                                >
+                                    {visiblePages.has(page) && pdf && (
+                                        <Page
+                                            pdf={pdf}
+                                            pageNumber={page}
+                                            width={THUMB_WIDTH}
+                                            renderTextLayer={false}
+                                            renderAnnotationLayer={false}
+                                            loading={null}
+                                        />
+                                    )}
+                                    {count > 0 && (
+                                        <span
+                                            title={`${count} annotation${count === 1 ? '' : 's'}`}
+                                            className="absolute top-1 right-1 px-1.5 rounded-full bg-blue-600 text-white text-xs"
+                                        >
+                                            ✎ {count}
+                                        </span>
+                                    )}
+                                </div>
+                                <div className={`mt-1 text-xs ${page === currentPage ? 'text-white' : 'text-gray-400'}`}>{page}</div>
+                            </button>
+                        );
+                    })}
+                </div>
+            ) : (
+                <div className="flex-1 overflow-auto p-2 text-gray-200">
+                    {outlineItems === null && <p className="text-gray-500 p-2">Loading...</p>}
+                    {outlineItems && outlineItems.length === 0 && <p className="text-gray-500 p-2">This document has no bookmarks.</p>}
+                    {outlineItems && outlineItems.length > 0 && (
+                        <OutlineItems items={outlineItems} path="" expanded={expanded} onToggle={toggleItem} onSelect={handleOutlineSelect} />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PageSidebar;
@@ -1,79 +1,574 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
-import { PDFDocument, rgb, LineCapStyle } from 'pdf-lib';
+import 'react-pdf/dist/Page/TextLayer.css';
+import { PDFDocument } from 'pdf-lib';
+import { v4 as uuidv4 } from 'uuid';
+import useUndoableState from '../hooks/useUndoableState';
+import useShortcuts from '../hooks/useShortcuts';
+import {
+    NOTE_WIDTH,
+    NOTE_HEIGHT,
+    NOTE_PADDING,
+    TEXT_LINE_HEIGHT,
+    HANDLE_SIZE,
+    CALLOUT_WIDTH,
+    CALLOUT_HEIGHT,
+    CALLOUT_PADDING,
+    getAnnotationBounds,
+    getArrowHead,
+    getCalloutLeaderEnd,
+    fitCalloutBox,
+    getSelectionHandles,
+    getImageCorners,
+    findAnnotationAt,
+    findHandleAt,
+    moveAnnotation,
+    resizeAnnotation,
+    rotateAnnotation,
+    mergeLineRects
+} from '../utils/annotationGeometry';
+import {
+    SAVE_MODES,
+    createPageMapper,
+    flattenAnnotation,
+    writeNativeAnnotation,
+    markupLineWidth
+} from '../utils/pdfAnnotations';
+import { getSelectionTextRects } from '../utils/textSelection';
+import { importPdfAnnotations, removeImportedAnnotations, changedImportRefs } from '../utils/pdfImport';
+import { getDraftKey, loadDraft, saveDraft, deleteDraft, restoreDraft } from '../utils/draftStore';
+import {
+    getAnnotationStyle,
+    getStyleTool,
+    getCanvasFont,
+    loadToolStyles,
+    saveToolStyles
+} from '../utils/annotationStyles';
+import { createFontCache, describeMissingGlyphs } from '../utils/fonts';
+import { createPageViewport } from '../utils/pageViewport';
+import { readFormFields, applyFormValues } from '../utils/pdfForms';
+import { applyRedactions, verifyRedactions } from '../utils/redaction';
+import { searchDocument, rectsIntersect } from '../utils/textSearch';
+import StylePanel from './StylePanel';
+import FormFieldOverlay from './FormFieldOverlay';
+import SignatureDialog from './SignatureDialog';
+import RedactionPanel from './RedactionPanel';
+import SearchBar from './SearchBar';
+import PageSidebar from './PageSidebar';
+import StampDialog from './StampDialog';
+import ShortcutHelp from './ShortcutHelp';
+import CommentsPanel from './CommentsPanel';
+import PropertiesDialog from './PropertiesDialog';
+import { SIGNATURE_SIZES, signatureToFile, formatSignDate } from '../utils/signatures';
+import { shortcutHint } from '../utils/shortcuts';
+import { getInkShape, finishStroke } from '../utils/ink';
+import { loadImageFile } from '../utils/images';
+import { encryptPdf } from '../utils/pdfEncryption';
+import { readMetadata, applyMetadata } from '../utils/pdfMetadata';
+import { collectComments, newCommentFields } from '../utils/comments';
+import { loadUserName } from '../utils/userProfile';
+import { annotationsToXfdf, xfdfToAnnotations } from '../utils/xfdf';
+import { annotationsToJson, jsonToAnnotations } from '../utils/annotationJson';
+import { STAMP_FONT_SIZE, fillStampTemplate, getStampSize, getStampLayout, getStampBorders } from '../utils/stamps';
 
 // Set worker source
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
 
-const PdfEditor = ({ file, onBack, apiBase }) => {
+// Text-selection tools and the markup variant each one creates
+const TEXT_MARKUP_TOOLS = {
+    textHighlight: 'highlight',
+    underline: 'underline',
+    strikeout: 'strikeout'
+};
+
+// Shape tools grouped under one toolbar button
+const SHAPE_TOOLS = {
+    ellipse: 'Ellipse',
+    line: 'Line',
+    arrow: 'Arrow',
+    polyline: 'Polyline',
+    polygon: 'Polygon',
+    callout: 'Callout'
+};
+
+// Shapes placed vertex by vertex: click to add a point, double-click or Enter to finish
+const VERTEX_TOOLS = ['polyline', 'polygon'];
+const CLOSE_DISTANCE = 8; // Screen pixels from the first vertex that close the shape
+
+// --- Canvas Drawing Helpers (opacity is applied by the caller through globalAlpha) ---
+// Freehand ink, drawn as utils/ink shapes it (curves, or a filled outline for pen pressure)
+const drawPath = (ctx, path, style) => {
+    if (path.points.length === 0) return;
+    const ink = getInkShape(path, style.strokeWidth);
+    ctx.beginPath();
+    ctx.moveTo(ink.start.x, ink.start.y);
+    ink.segments.forEach(({ c1, c2, to }) => {
+        if (c1) ctx.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, to.x, to.y);
+        else ctx.lineTo(to.x, to.y);
+    });
+    if (ink.filled) {
+        ctx.closePath();
+        ctx.fillStyle = style.strokeColor;
+        ctx.fill();
+        return;
+    }
+    ctx.strokeStyle = style.strokeColor;
+    ctx.lineWidth = ink.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+};
+
+const drawRect = (ctx, rect, style) => {
+    if (style.fillColor) {
+        ctx.fillStyle = style.fillColor;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    }
+    ctx.beginPath();
+    ctx.strokeStyle = style.strokeColor;
+    ctx.lineWidth = style.strokeWidth;
+    ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    ctx.stroke();
+};
+
+// Images turn about the center of their box
+const drawImageAnnotation = (ctx, ann) => {
+    if (!ann.imgElement) return;
+    ctx.save();
+    ctx.translate(ann.x + ann.width / 2, ann.y + ann.height / 2);
+    ctx.rotate(((ann.rotation || 0) * Math.PI) / 180);
+    ctx.drawImage(ann.imgElement, -ann.width / 2, -ann.height / 2, ann.width, ann.height);
+    ctx.restore();
+};
+
+const drawEllipse = (ctx, rect, style) => {
+    const rx = Math.abs(rect.width) / 2;
+    const ry = Math.abs(rect.height) / 2;
+    ctx.beginPath();
+    ctx.ellipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rx, ry, 0, 0, Math.PI * 2);
+    if (style.fillColor) {
+        ctx.fillStyle = style.fillColor;
+        ctx.fill();
+    }
+    ctx.strokeStyle = style.strokeColor;
+    ctx.lineWidth = style.strokeWidth;
+    ctx.stroke();
+};
+
+// Straight segments through `points`; closed shapes may be filled
+const drawPolyline = (ctx, points, closed, style) => {
+    if (points.length === 0) return;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+    if (closed) {
+        ctx.closePath();
+        if (style.fillColor) {
+            ctx.fillStyle = style.fillColor;
+            ctx.fill();
+        }
+    }
+    ctx.strokeStyle = style.strokeColor;
+    ctx.lineWidth = style.strokeWidth;
+    ctx.stroke();
+};
+
+const drawArrowHead = (ctx, from, to, style) => {
+    const [left, right] = getArrowHead(from, to, style.strokeWidth);
+    ctx.beginPath();
+    ctx.moveTo(left.x, left.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.strokeStyle = style.strokeColor;
+    ctx.lineWidth = style.strokeWidth;
+    ctx.stroke();
+};
+
+// Text box with a leader line to its anchor; the box covers the leader where they meet
+const drawCallout = (ctx, ann, style) => {
+    drawPolyline(ctx, [ann.anchor, getCalloutLeaderEnd(ann)], false, style);
+    drawRect(ctx, ann, style);
+    if (!ann.text) return;
+    ctx.font = getCanvasFont(style);
+    ctx.fillStyle = style.strokeColor;
+    drawTextLines(ctx, ann.text, ann.x + CALLOUT_PADDING, ann.y + CALLOUT_PADDING + style.fontSize, style.fontSize);
+};
+
+// Callout box for a drag from its anchor: centered where the drag ended, or up and to the right of a click
+const calloutFromDrag = ({ startX, startY, width, height }) => {
+    const dragged = Math.hypot(width, height) > 5;
+    const center = dragged
+        ? { x: startX + width, y: startY + height }
+        : { x: startX + 30 + CALLOUT_WIDTH / 2, y: startY - 30 - CALLOUT_HEIGHT / 2 };
+    return {
+        anchor: { x: startX, y: startY },
+        x: center.x - CALLOUT_WIDTH / 2,
+        y: center.y - CALLOUT_HEIGHT / 2,
+        width: CALLOUT_WIDTH,
+        height: CALLOUT_HEIGHT
+    };
+};
+
+// Double border with centered lines, sized to the stamp's box
+const drawStamp = (ctx, ann, style) => {
+    ctx.strokeStyle = style.strokeColor;
+    getStampBorders(ann).forEach(border => {
+        ctx.lineWidth = border.lineWidth;
+        ctx.strokeRect(border.x, border.y, border.width, border.height);
+    });
+    ctx.font = getCanvasFont({ ...style, fontSize: STAMP_FONT_SIZE });
+    const { fontSize, lines } = getStampLayout(ann, line => ctx.measureText(line).width / STAMP_FONT_SIZE);
+    const centerX = Math.min(ann.x, ann.x + ann.width) + Math.abs(ann.width) / 2;
+    ctx.font = getCanvasFont({ ...style, fontSize });
+    ctx.fillStyle = style.strokeColor;
+    ctx.textAlign = 'center';
+    lines.forEach(line => ctx.fillText(line.text, centerX, line.baseline));
+    ctx.textAlign = 'start';
+};
+
+// Areas marked for redaction; the content under them is removed on save
+const drawRedaction = (ctx, rect) => {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = '#dc2626';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+};
+
+// Multi-line text from the baseline of its first line, spaced like the saved PDF
+const drawTextLines = (ctx, text, x, y, fontSize) => {
+    text.split('\n').forEach((line, i) => ctx.fillText(line, x, y + i * fontSize * TEXT_LINE_HEIGHT));
+};
+
+// Placeholder for pages whose size isn't known yet (US Letter)
+const DEFAULT_PAGE_SIZE = { width: 612, height: 792, rotate: 0 };
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 0.25;
+
+const PdfEditor = ({ file, onBack }) => {
 
     const [numPages, setNumPages] = useState(null);
-    const [pageNumber, setPageNumber] = useState(1);
-    const [tool, setTool] = useState('view'); // view, pen, highlight, text, rect, image, note
+    const [pageNumber, setPageNumber] = useState(1); // Current page (in continuous mode: the one in view)
+    const [viewMode, setViewMode] = useState('continuous'); // continuous (all pages scroll) | single
+    const [showSidebar, setShowSidebar] = useState(true); // Thumbnails / outline
+    const [showComments, setShowComments] = useState(false); // Review pane
+    const [nearPages, setNearPages] = useState(() => new Set([1])); // Pages close enough to the viewport to render
+    const [tool, setTool] = useState('view'); // view, pen, highlight, textHighlight, underline, strikeout, text, rect, image, note, signature, date, stamp, redact, or a shape tool
+    const [markupTool, setMarkupTool] = useState('textHighlight'); // Last used text-selection tool
+    const isMarkupTool = Object.hasOwn(TEXT_MARKUP_TOOLS, tool);
+    const [shapeTool, setShapeTool] = useState('ellipse'); // Last used shape tool
+    const isShapeTool = Object.hasOwn(SHAPE_TOOLS, tool);
     const [scale, setScale] = useState(1.0);
 
     // State for annotations: Map<pageNumber, Annotation[]>
-    // Annotation: { type: 'path' | 'text', ...data }
-    const [annotations, setAnnotations] = useState({});
+    // Geometry is in page units (PDF points, see utils/pageViewport), independent of zoom
+    // Annotation: { id, type: 'path' | 'text' | 'rect' | 'ellipse' | 'line' | 'polygon' | 'callout' | 'image' | 'stamp' | 'note' | 'markup' | 'redact', ...data }
+    // Every setAnnotations call is recorded so it can be undone/redone
+    const {
+        state: annotations,
+        set: setAnnotations,
+        undo,
+        redo,
+        reset: resetAnnotations,
+        canUndo,
+        canRedo
+    } = useUndoableState({});
+
+    // Style State: the style each tool gives new annotations, remembered across sessions
+    const [toolStyles, setToolStyles] = useState(loadToolStyles);
+    const [fontsLoaded, setFontsLoaded] = useState(0); // Bumped when a web font finishes loading, to redraw text
 
     // Drawing State
     const [currentPath, setCurrentPath] = useState([]); // For pen/highlight path
-    const [currentRect, setCurrentRect] = useState(null); // { x, y, width, height } for rect drawing
+    const [currentRect, setCurrentRect] = useState(null); // { x, y, width, height } for rect/ellipse/line/arrow/callout drawing
     const [isDrawing, setIsDrawing] = useState(false);
+    const [drawingPage, setDrawingPage] = useState(null); // Page the current path/rect is drawn on
+    const [vertexDraft, setVertexDraft] = useState(null); // { tool, page, points, hover } while placing polyline/polygon vertices
+
+    // Selection State ('view' tool)
+    const [selection, setSelection] = useState(null); // { page, id }
+    const [dragState, setDragState] = useState(null); // { page, mode: 'move'|'resize'|'rotate', handle, startX, startY, bounds, original, current }
 
     // Text/Note Input State
-    const [textInput, setTextInput] = useState(null); // { x, y, value, page, type: 'text'|'note' }
+    const [textInput, setTextInput] = useState(null); // { x, y, value, page, type: 'text'|'note'|'callout', editId? } (callouts also carry their box and anchor)
 
     // Image State
     const [pendingImage, setPendingImage] = useState(null); // { file, url, width, height }
     const fileInputRef = useRef(null);
+    const annotationFileInputRef = useRef(null); // XFDF / JSON import
+
+    // Search State (hits are in page units, in reading order)
+    const [showSearch, setShowSearch] = useState(false);
+    const [searchFocus, setSearchFocus] = useState(0); // Bumped to refocus an open search bar
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchOptions, setSearchOptions] = useState({ caseSensitive: false, wholeWord: false, regex: false });
+    const [searchHits, setSearchHits] = useState([]); // [{ page, text, rects }]
+    const [activeHit, setActiveHit] = useState(0);
+    const [isSearching, setIsSearching] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+    const searchRequestRef = useRef(0); // Ignore results of searches superseded by newer input
+
+    // Signature State: the dialog places a signature/initials as a pending image, or arms the date tool
+    const [showSignatures, setShowSignatures] = useState(false);
+
+    // Stamp State: the stamp chosen in the dialog, placed (with its fields filled in) on the next click
+    const [showStamps, setShowStamps] = useState(false);
+    const [pendingStamp, setPendingStamp] = useState(null); // { template, name, userName }
 
-    // State for page dimensions (from react-pdf)
-    const [pageDims, setPageDims] = useState({}); // { [pageNum]: { width, height } }
+    const [showShortcuts, setShowShortcuts] = useState(false); // Cheat sheet ("?")
+
+    // Unrotated page sizes in page units, with each page's /Rotate
+    const [pageSizes, setPageSizes] = useState({}); // { [pageNum]: { width, height, rotate, view } }
+    const [pdfDocument, setPdfDocument] = useState(null); // pdf.js document shown in the viewer
 
     // Password State
     const [pdfPassword, setPdfPassword] = useState('');
 
-    const canvasRef = useRef(null);
-    const contextRef = useRef(null);
-
-    function onDocumentLoadSuccess({ numPages }) {
-        setNumPages(numPages);
+    // Document Properties: read from the file on load, written (or stripped) on save
+    const [metadata, setMetadata] = useState(null);
+    const [showProperties, setShowProperties] = useState(false);
+
+    // Save Mode: burn new markup into the page, or keep it as editable PDF annotations.
+    // Annotations imported from the file always stay editable.
+    const [saveMode, setSaveMode] = useState(SAVE_MODES.FLATTEN);
+
+    // Existing PDF annotations, converted into the editable layer on load
+    const [importedRefs, setImportedRefs] = useState(null); // PDF object id ("12R") -> editor annotation ids, null until loaded
+    const [importBaseline, setImportBaseline] = useState(null); // Annotations as imported, before any edit
+    const [displayUrl, setDisplayUrl] = useState(null); // PDF shown in the viewer (imported annotations stripped)
+
+    // AcroForm State
+    const [formFields, setFormFields] = useState([]); // Fillable fields with their widget boxes (see utils/pdfForms)
+    const [formValues, setFormValues] = useState({}); // Edited values by field name; untouched fields keep the PDF's value
+    const [flattenForm, setFlattenForm] = useState(false);
+
+    // Draft State (IndexedDB autosave)
+    const [draftKey, setDraftKey] = useState(null);
+    const [draftOffer, setDraftOffer] = useState(null); // Stored draft waiting for restore/discard
+    const [draftReady, setDraftReady] = useState(false); // Autosave starts once the offer is resolved
+
+    const canvasRefs = useRef({}); // { [pageNum]: <canvas> } for the pages currently rendered
+    const contextRef = useRef(null); // Any mounted canvas context, used to measure text
+    const pageRefs = useRef({}); // { [pageNum]: page wrapper <div> }
+    const scrollRef = useRef(null);
+
+    // Pointer input (see handlePointerDown)
+    const activePointerRef = useRef(null); // Id of the pointer drawing or dragging
+    const penSeenRef = useRef(false); // Palm rejection: once a pen is used, touches are ignored
+    const ignoreClickRef = useRef(false); // Set when the pointer behind the next click was ignored
+
+    // Sizes of every page up front, so unrendered pages keep their place in the scroll view
+    async function onDocumentLoadSuccess(pdf) {
+        setPdfDocument(pdf);
+        setNumPages(pdf.numPages);
+        const sizes = {};
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const [x1, y1, x2, y2] = page.view;
+            sizes[i] = { width: x2 - x1, height: y2 - y1, rotate: page.rotate, view: page.view };
+        }
+        setPageSizes(sizes);
     }
 
-    const onPageLoadSuccess = (page) => {
-        // react-pdf onPageLoadSuccess passes the page object which has width/height
-        setPageDims(prev => ({
-            ...prev,
-            [page.pageNumber]: { width: page.width, height: page.height }
-        }));
+    const getViewport = (page) => createPageViewport(pageSizes[page] || DEFAULT_PAGE_SIZE, scale);
 
-        const canvas = canvasRef.current;
-        if (canvas) {
-            canvas.width = page.width;
-            canvas.height = page.height;
+    // Pointer position on a page canvas, in page units. Coalesced pointer events have no
+    // currentTarget, so their canvas is passed in.
+    const getPagePoint = (e, page, canvas = e.currentTarget) => {
+        const origin = canvas.getBoundingClientRect();
+        return getViewport(page).toPage(e.clientX - origin.left, e.clientY - origin.top);
+    };
+
+    // A point of a pen/highlight stroke; the pen tool records stylus pressure
+    const getStrokePoint = (e, page, canvas = e.currentTarget) => {
+        const point = getPagePoint(e, page, canvas);
+        return tool === 'pen' && e.pointerType === 'pen' ? { ...point, pressure: e.pressure } : point;
+    };
+
+    // --- Page Navigation ---
+    const shownPages = viewMode === 'continuous'
+        ? Array.from({ length: numPages || 0 }, (_, i) => i + 1)
+        : (numPages ? [pageNumber] : []);
+
+    // Overlay canvas bitmaps match device pixels so markup stays sharp at any zoom
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    // Continuous mode: the current page is the last one whose top is above the upper third of the view
+    const handleScroll = () => {
+        if (viewMode !== 'continuous') return;
+        const container = scrollRef.current;
+        const probe = container.getBoundingClientRect().top + container.clientHeight / 3;
+        let current = 1;
+        for (let page = 1; page <= numPages; page++) {
+            const el = pageRefs.current[page];
+            if (!el || el.getBoundingClientRect().top > probe) break;
+            current = page;
+        }
+        if (current !== pageNumber) setPageNumber(current);
+    };
+
+    const goToPage = (page) => {
+        setPageNumber(page);
+        if (viewMode === 'continuous') pageRefs.current[page]?.scrollIntoView({ block: 'start' });
+    };
+
+    // Sidebar thumbnails and outline entries: a page, or a point (page units) on it
+    const navigateTo = (page, point) => {
+        if (!point) {
+            goToPage(page);
+            return;
+        }
+        const scrollToPoint = () => {
+            const container = scrollRef.current;
+            const el = pageRefs.current[page];
+            if (!container || !el) return;
+            const { x, y } = getViewport(page).toView(point.x, point.y);
+            container.scrollTo({ top: el.offsetTop + y, left: el.offsetLeft + x - container.clientWidth / 2 });
+        };
+        setPageNumber(page);
+        if (viewMode === 'single') requestAnimationFrame(scrollToPoint);
+        else scrollToPoint();
+    };
+
+    // Comments pane: show the comment on its page, selected
+    const handleCommentSelect = (page, ann) => {
+        setTool('view');
+        setSelection({ page, id: ann.id });
+        const bounds = getAnnotationBounds(ann, contextRef.current);
+        navigateTo(page, { x: bounds.x, y: Math.max(0, bounds.y - 40) });
+    };
+
+    // Markup per page, flagged on the thumbnails
+    const annotationCounts = {};
+    Object.entries(annotations).forEach(([page, anns]) => {
+        if (anns.length > 0) annotationCounts[page] = anns.length;
+    });
+
+    const handleViewModeChange = (mode) => {
+        setViewMode(mode);
+        if (mode === 'continuous') {
+            // Keep the current page in view once the other pages are laid out
+            requestAnimationFrame(() => pageRefs.current[pageNumber]?.scrollIntoView({ block: 'start' }));
+        }
+    };
+
+    const handleZoom = (delta) => {
+        setScale(prev => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev + delta)));
+        if (viewMode === 'continuous') {
+            // Page offsets change with the zoom; stay on the current page
+            requestAnimationFrame(() => pageRefs.current[pageNumber]?.scrollIntoView({ block: 'start' }));
+        }
+    };
+
+    // --- Search ---
+    // Scroll so the hit sits in the upper third of the view
+    const scrollHitIntoView = (hit) => {
+        const container = scrollRef.current;
+        const el = pageRefs.current[hit.page];
+        if (!container || !el) return;
+        const rect = getViewport(hit.page).toViewRect(hit.rects[0]);
+        container.scrollTo({ top: el.offsetTop + rect.y - container.clientHeight / 3 });
+    };
+
+    const showHit = (hit) => {
+        if (viewMode === 'single') {
+            setPageNumber(hit.page);
+            requestAnimationFrame(() => scrollHitIntoView(hit));
+        } else {
+            scrollHitIntoView(hit);
         }
     };
 
+    const handleSearchChange = async (query, options) => {
+        setSearchQuery(query);
+        setSearchOptions(options);
+        setSearchError(null);
+        const request = ++searchRequestRef.current;
+        if (!query || !pdfDocument) {
+            setSearchHits([]);
+            setActiveHit(0);
+            setIsSearching(false);
+            return;
+        }
+
+        setIsSearching(true);
+        try {
+            const hits = await searchDocument(pdfDocument, query, options);
+            if (request !== searchRequestRef.current) return;
+            // Start from the first hit on or after the current page
+            const first = Math.max(0, hits.findIndex(hit => hit.page >= pageNumber));
+            setSearchHits(hits);
+            setActiveHit(first);
+            if (hits.length > 0) showHit(hits[first]);
+        } catch (err) {
+            if (request !== searchRequestRef.current) return;
+            if (!(err instanceof SyntaxError)) console.error("Search error:", err);
+            setSearchHits([]);
+            setSearchError(err instanceof SyntaxError ? 'Invalid expression' : 'Search failed');
+        }
+        if (request === searchRequestRef.current) setIsSearching(false);
+    };
+
+    const stepHit = (delta) => {
+        if (searchHits.length === 0) return;
+        const index = (activeHit + delta + searchHits.length) % searchHits.length;
+        setActiveHit(index);
+        showHit(searchHits[index]);
+    };
+
+    const openSearch = () => {
+        setSearchFocus(n => n + 1);
+        if (showSearch) return;
+        setShowSearch(true);
+        if (searchQuery) handleSearchChange(searchQuery, searchOptions);
+    };
+
+    const closeSearch = () => {
+        searchRequestRef.current++;
+        setShowSearch(false);
+        setSearchHits([]);
+        setIsSearching(false);
+    };
+
+    // Continuous mode renders only pages within about a screen of the viewport
+    useEffect(() => {
+        if (viewMode !== 'continuous' || !numPages) return;
+        const observer = new IntersectionObserver((entries) => {
+            setNearPages(prev => {
+                const next = new Set(prev);
+                entries.forEach(entry => {
+                    const page = Number(entry.target.dataset.page);
+                    if (entry.isIntersecting) next.add(page);
+                    else next.delete(page);
+                });
+                return next;
+            });
+        }, { root: scrollRef.current, rootMargin: '100% 0px' });
+        Object.values(pageRefs.current).forEach(el => observer.observe(el));
+        return () => observer.disconnect();
+    }, [viewMode, numPages]);
+
     // --- Image Handling ---
+    // Image waiting to be placed by the next click, scaled to fit maxWidth x maxHeight.
+    // Formats pdf-lib can't embed are converted to PNG or JPEG first (see utils/images).
+    const preparePendingImage = async (file, maxWidth = 200, maxHeight = 200) => {
+        try {
+            const { width, height, ...image } = await loadImageFile(file);
+            const scaleFactor = Math.min(maxWidth / width, maxHeight / height, 1);
+            setPendingImage({ ...image, width: width * scaleFactor, height: height * scaleFactor });
+        } catch (err) {
+            console.error("Image load error:", err);
+            alert(err.message);
+            setTool('view');
+        }
+    };
+
     const handleImageUpload = (e) => {
         const file = e.target.files[0];
         if (!file) return;
-
-        const url = URL.createObjectURL(file);
-        const img = new Image();
-        img.onload = () => {
-            // Default max size 200px
-            const scaleFactor = Math.min(200 / img.width, 200 / img.height, 1);
-            setPendingImage({
-                file,
-                url,
-                width: img.width * scaleFactor,
-                height: img.height * scaleFactor,
-                imgElement: img // Keep ref to render on canvas
-            });
-        };
-        img.src = url;
+        preparePendingImage(file);
         e.target.value = null; // Reset input
     };
 
@@ -82,183 +577,846 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
         setTool('image');
     };
 
-    // Password Handler
+    // --- Signatures ---
+    const handlePlaceSignature = async (signature) => {
+        const { width, height } = SIGNATURE_SIZES[signature.kind] || SIGNATURE_SIZES.signature;
+        preparePendingImage(await signatureToFile(signature), width, height);
+        setTool('signature');
+        setShowSignatures(false);
+    };
+
+    const handlePlaceDate = () => {
+        setPendingImage(null);
+        setTool('date');
+        setShowSignatures(false);
+    };
+
+    // --- Stamps ---
+    const handlePlaceStamp = (stamp, userName) => {
+        setPendingStamp({ template: stamp.text, name: stamp.name, userName });
+        setToolStyles(prev => ({ ...prev, stamp: { ...prev.stamp, strokeColor: stamp.color } }));
+        setTool('stamp');
+        setShowStamps(false);
+    };
+
+    // Password Handler: an open password only; owner password, strength and permissions
+    // are on the Protect screen
     const handleSetPassword = () => {
-        const newPass = prompt("Enter a password to protect this PDF (Leave empty to remove):", pdfPassword);
+        const newPass = prompt("Enter a password needed to open this PDF (Leave empty to remove).\nFor an owner password, permissions or AES-128, use Protect PDF on the home screen.", pdfPassword);
         if (newPass !== null) {
             setPdfPassword(newPass);
         }
     };
 
+    // --- Annotation Exchange (XFDF for other PDF tools, JSON for our own) ---
+    const documentBaseName = (file.originalname || 'document.pdf').replace(/\.[^.]+$/, '') || 'document';
 
-    // --- Canvas Rendering Logic ---
+    const downloadText = (text, type, name) => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = name;
+        link.click();
+    };
+
+    const handleAnnotationFileAction = async (action) => {
+        if (action === 'import') {
+            annotationFileInputRef.current?.click();
+            return;
+        }
+        try {
+            if (action === 'xfdf') {
+                const { xml, skipped } = annotationsToXfdf(annotations, pageSizes, { fileName: file.originalname, ctx: contextRef.current });
+                downloadText(xml, 'application/vnd.adobe.xfdf', `${documentBaseName}.xfdf`);
+                if (skipped > 0) alert(`${skipped} image annotation(s) were left out; XFDF only carries markup. Use JSON export to keep them.`);
+            } else if (action === 'json') {
+                downloadText(await annotationsToJson(annotations, file.originalname), 'application/json', `${documentBaseName}_annotations.json`);
+            }
+        } catch (err) {
+            console.error("Annotation export error:", err);
+            alert(`Failed to export annotations: ${err.message}`);
+        }
+    };
+
+    // Imported annotations replace the ones with the same id (a re-import of an earlier
+    // export) and are added to the rest, as one undoable step
+    const handleAnnotationImport = async (e) => {
+        const importFile = e.target.files[0];
+        e.target.value = null; // Reset input
+        if (!importFile) return;
+        try {
+            const text = await importFile.text();
+            const isJson = /\.json$/i.test(importFile.name) || text.trimStart().startsWith('{');
+            const { annotations: imported, count, skipped } = isJson
+                ? await jsonToAnnotations(text, pageSizes)
+                : xfdfToAnnotations(text, pageSizes);
+            if (count === 0) {
+                alert(`No annotations for this document were found in ${importFile.name}.`);
+                return;
+            }
+            setAnnotations(prev => {
+                const next = { ...prev };
+                Object.entries(imported).forEach(([page, anns]) => {
+                    const byId = new Map(anns.map(ann => [ann.id, ann]));
+                    const kept = (next[page] || []).map(ann => byId.get(ann.id) || ann);
+                    const keptIds = new Set(kept.map(ann => ann.id));
+                    next[page] = [...kept, ...anns.filter(ann => !keptIds.has(ann.id))];
+                });
+                return next;
+            });
+            if (skipped > 0) alert(`Imported ${count} annotation(s). ${skipped} item(s) could not be imported (unsupported types or pages this document doesn't have).`);
+        } catch (err) {
+            console.error("Annotation import error:", err);
+            alert(`Failed to import annotations: ${err.message}`);
+        }
+    };
+
+
+    // --- Existing Annotations Import ---
+    // pdf.js paints annotation appearances into the page canvas, so the viewer gets a
+    // copy without the imported ones; otherwise edits and deletes would not show.
+    // The same pass reads the AcroForm fields that get inputs laid over them.
     useEffect(() => {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
+        if (file.type !== 'pdf') return;
+        let cancelled = false;
+        let objectUrl = null;
+
+        const loadExisting = async () => {
+            let imported = {};
+            let refs = new Map();
+            let url = file.url;
+            let fields = [];
+            let docMetadata = null;
+            try {
+                const bytes = await fetch(file.url, { cache: 'no-store' }).then(res => res.arrayBuffer());
+                const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+                docMetadata = readMetadata(pdfDoc);
+                // pdf.js transfers the buffer to its worker, so hand it a copy
+                const pdf = await pdfjs.getDocument({ data: new Uint8Array(bytes.slice(0)) }).promise;
+                try {
+                    ({ annotations: imported, refs } = await importPdfAnnotations(pdf, pdfDoc));
+                } finally {
+                    pdf.destroy();
+                }
 
-        // Pointer events logic
-        if (['view', 'text', 'image', 'note'].includes(tool)) {
-            canvas.style.pointerEvents = 'auto'; // Need clicks for all these
-        } else {
-            canvas.style.pointerEvents = 'auto'; // Drawing/Shapes
+                try {
+                    fields = readFormFields(pdfDoc);
+                } catch (err) {
+                    console.error("Form field read error:", err);
+                }
+                if (refs.size > 0) {
+                    removeImportedAnnotations(pdfDoc, refs);
+                    objectUrl = URL.createObjectURL(new Blob([await pdfDoc.save()], { type: 'application/pdf' }));
+                    url = objectUrl;
+                }
+            } catch (err) {
+                console.error("Annotation import error:", err);
+                imported = {};
+                refs = new Map();
+                url = file.url;
+                fields = [];
+                docMetadata = null;
+            }
+            if (cancelled) return;
+            resetAnnotations(imported);
+            setImportBaseline(imported);
+            setImportedRefs(refs);
+            setDisplayUrl(url);
+            setFormFields(fields);
+            setFormValues({});
+            setMetadata(docMetadata);
+        };
+        loadExisting();
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [file, resetAnnotations]);
+
+
+    // --- Draft Autosave ---
+    useEffect(() => {
+        if (file.type !== 'pdf') return;
+        let cancelled = false;
+
+        const lookupDraft = async () => {
+            const key = await getDraftKey(file);
+            let record = null;
+            try {
+                record = await loadDraft(key);
+            } catch (err) {
+                console.error("Draft load error:", err);
+            }
+            if (cancelled) return;
+            setDraftKey(key);
+            if (record) {
+                setDraftOffer(record);
+            } else {
+                setDraftReady(true);
+            }
+        };
+        lookupDraft();
+        return () => { cancelled = true; };
+    }, [file]);
+
+    // Annotations only change on commit (not per mouse move), so save on every change
+    // Waits for the import so the untouched imported annotations don't count as a draft
+    useEffect(() => {
+        if (!draftKey || !draftReady || !importBaseline) return;
+        const changed = annotations !== importBaseline || !!pendingImage || !!pdfPassword
+            || Object.keys(formValues).length > 0;
+        const request = changed
+            ? saveDraft(draftKey, { annotations, pendingImage, passwordProtected: !!pdfPassword, formValues })
+            : deleteDraft(draftKey);
+        request.catch(err => console.error("Draft autosave error:", err));
+    }, [annotations, pendingImage, pdfPassword, formValues, draftKey, draftReady, importBaseline]);
+
+    const handleRestoreDraft = async () => {
+        try {
+            const restored = await restoreDraft(draftOffer);
+            resetAnnotations(restored.annotations);
+            setPendingImage(restored.pendingImage);
+            setFormValues(restored.formValues);
+            if (restored.pendingImage) setTool('image');
+            if (restored.passwordProtected) {
+                const password = prompt("This draft was set to save with a password. Enter it again (leave empty to save without one):", '');
+                if (password) setPdfPassword(password);
+            }
+        } catch (err) {
+            console.error("Draft restore error:", err);
+            alert(`Failed to restore draft: ${err.message}`);
+        }
+        setDraftOffer(null);
+        setDraftReady(true);
+    };
+
+    const handleDiscardDraft = async () => {
+        try {
+            await deleteDraft(draftKey);
+        } catch (err) {
+            console.error("Draft delete error:", err);
         }
+        setDraftOffer(null);
+        setDraftReady(true);
+    };
 
-        const ctx = canvas.getContext('2d');
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        contextRef.current = ctx;
+    useEffect(() => {
+        saveToolStyles(toolStyles);
+    }, [toolStyles]);
 
-        // --- Render Loop ---
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    useEffect(() => {
+        const handleLoadingDone = () => setFontsLoaded(n => n + 1);
+        document.fonts.addEventListener('loadingdone', handleLoadingDone);
+        return () => document.fonts.removeEventListener('loadingdone', handleLoadingDone);
+    }, []);
 
-        const pageAnnotations = annotations[pageNumber] || [];
 
-        pageAnnotations.forEach(ann => {
-            if (ann.type === 'path') {
-                ctx.beginPath();
-                ctx.strokeStyle = ann.color;
-                ctx.lineWidth = ann.width;
-                if (ann.points.length > 0) {
-                    ctx.moveTo(ann.points[0].x, ann.points[0].y);
-                    ann.points.forEach(p => ctx.lineTo(p.x, p.y));
+    // --- Canvas Rendering Logic ---
+    // Every rendered page has its own overlay canvas; redraw them all from state.
+    // Annotations are drawn in page units through the page's viewport transform.
+    useEffect(() => {
+        const pixelRatio = window.devicePixelRatio || 1;
+        Object.entries(canvasRefs.current).forEach(([pageKey, canvas]) => {
+            const page = Number(pageKey);
+            const ctx = canvas.getContext('2d');
+            contextRef.current = ctx;
+
+            // --- Render Loop ---
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            const [a, b, c, d, e, f] = createPageViewport(pageSizes[page] || DEFAULT_PAGE_SIZE, scale).transform;
+            ctx.setTransform(a * pixelRatio, b * pixelRatio, c * pixelRatio, d * pixelRatio, e * pixelRatio, f * pixelRatio);
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+
+            // While dragging, the moved/resized copy stands in for the stored annotation
+            const pageAnnotations = (annotations[page] || [])
+                .filter(ann => !(textInput && textInput.editId === ann.id))
+                .map(ann => (dragState && dragState.current.id === ann.id ? dragState.current : ann));
+
+            pageAnnotations.forEach(ann => {
+                const style = getAnnotationStyle(ann);
+                ctx.save();
+                ctx.globalAlpha = style.opacity;
+
+                if (ann.type === 'path') {
+                    drawPath(ctx, ann, style);
+                } else if (ann.type === 'text') {
+                    ctx.font = getCanvasFont(style);
+                    ctx.fillStyle = style.strokeColor;
+                    drawTextLines(ctx, ann.text, ann.x, ann.y, style.fontSize);
+                } else if (ann.type === 'rect') {
+                    drawRect(ctx, ann, style);
+                } else if (ann.type === 'ellipse') {
+                    drawEllipse(ctx, ann, style);
+                } else if (ann.type === 'line') {
+                    drawPolyline(ctx, ann.points, false, style);
+                    if (ann.arrow) drawArrowHead(ctx, ann.points[0], ann.points[1], style);
+                } else if (ann.type === 'polygon') {
+                    drawPolyline(ctx, ann.points, ann.closed, style);
+                } else if (ann.type === 'callout') {
+                    drawCallout(ctx, ann, style);
+                } else if (ann.type === 'stamp') {
+                    drawStamp(ctx, ann, style);
+                } else if (ann.type === 'redact') {
+                    drawRedaction(ctx, ann);
+                } else if (ann.type === 'image') {
+                    drawImageAnnotation(ctx, ann);
+                } else if (ann.type === 'markup') {
+                    ctx.fillStyle = style.strokeColor;
+                    ctx.strokeStyle = style.strokeColor;
+                    ann.rects.forEach(r => {
+                        if (ann.variant === 'highlight') {
+                            ctx.fillRect(r.x, r.y, r.width, r.height);
+                        } else {
+                            const lineY = ann.variant === 'underline' ? r.y + r.height * 0.9 : r.y + r.height / 2;
+                            ctx.beginPath();
+                            ctx.lineWidth = markupLineWidth(r.height);
+                            ctx.moveTo(r.x, lineY);
+                            ctx.lineTo(r.x + r.width, lineY);
+                            ctx.stroke();
+                        }
+                    });
+                } else if (ann.type === 'note') {
+                    // Draw Sticky Note
+                    ctx.fillStyle = style.fillColor || '#ffeb3b';
+                    ctx.fillRect(ann.x, ann.y, ann.width ?? NOTE_WIDTH, ann.height ?? NOTE_HEIGHT);
+                    ctx.font = getCanvasFont(style);
+                    ctx.fillStyle = style.strokeColor;
+                    drawTextLines(ctx, ann.text, ann.x + NOTE_PADDING, ann.y + NOTE_PADDING + style.fontSize, style.fontSize);
                 }
-                ctx.stroke();
-            } else if (ann.type === 'text') {
-                ctx.font = '16px Arial';
-                ctx.fillStyle = 'black';
-                ctx.fillText(ann.text, ann.x, ann.y);
-            } else if (ann.type === 'rect') {
-                ctx.beginPath();
-                ctx.strokeStyle = 'blue';
-                ctx.lineWidth = 3;
-                ctx.rect(ann.x, ann.y, ann.width, ann.height);
-                ctx.stroke();
-            } else if (ann.type === 'image') {
-                if (ann.imgElement) {
-                    ctx.drawImage(ann.imgElement, ann.x, ann.y, ann.width, ann.height);
+
+                ctx.restore();
+            });
+
+            // Search hits, the current one stronger
+            searchHits.forEach((hit, index) => {
+                if (hit.page !== page) return;
+                ctx.fillStyle = index === activeHit ? 'rgba(255, 140, 0, 0.5)' : 'rgba(255, 220, 0, 0.35)';
+                hit.rects.forEach(r => ctx.fillRect(r.x, r.y, r.width, r.height));
+            });
+
+            // Draw current path (Pen/Highlight)
+            if (isDrawing && drawingPage === page && currentPath.length > 0 && (tool === 'pen' || tool === 'highlight')) {
+                ctx.save();
+                ctx.globalAlpha = toolStyles[tool].opacity;
+                drawPath(ctx, { points: currentPath, smooth: true }, toolStyles[tool]);
+                ctx.restore();
+            }
+
+            // Draw current Rect
+            if (isDrawing && drawingPage === page && currentRect && tool === 'rect') {
+                ctx.save();
+                ctx.globalAlpha = toolStyles.rect.opacity;
+                drawRect(ctx, currentRect, toolStyles.rect);
+                ctx.restore();
+            }
+            if (isDrawing && drawingPage === page && currentRect && tool === 'redact') {
+                drawRedaction(ctx, currentRect);
+            }
+
+            // Draw the shape being dragged out, or the vertices placed so far
+            if (isDrawing && drawingPage === page && currentRect && isShapeTool) {
+                const style = toolStyles[tool];
+                const end = { x: currentRect.startX + currentRect.width, y: currentRect.startY + currentRect.height };
+                ctx.save();
+                ctx.globalAlpha = style.opacity;
+                if (tool === 'ellipse') {
+                    drawEllipse(ctx, currentRect, style);
+                } else if (tool === 'line' || tool === 'arrow') {
+                    drawPolyline(ctx, [{ x: currentRect.startX, y: currentRect.startY }, end], false, style);
+                    if (tool === 'arrow') drawArrowHead(ctx, { x: currentRect.startX, y: currentRect.startY }, end, style);
+                } else if (tool === 'callout') {
+                    drawCallout(ctx, { ...calloutFromDrag(currentRect), text: '' }, style);
                 }
-            } else if (ann.type === 'note') {
-                // Draw Sticky Note
-                ctx.fillStyle = '#ffeb3b'; // Yellow
-                ctx.fillRect(ann.x, ann.y, 150, 100); // Fixed size for note
-                ctx.font = '14px Arial';
-                ctx.fillStyle = 'black';
-                // Simple wrapping or just draw text
-                ctx.fillText(ann.text, ann.x + 10, ann.y + 30);
+                ctx.restore();
+            }
+            if (vertexDraft && vertexDraft.page === page && vertexDraft.tool === tool) {
+                const style = toolStyles[tool];
+                const points = vertexDraft.hover ? [...vertexDraft.points, vertexDraft.hover] : vertexDraft.points;
+                ctx.save();
+                ctx.globalAlpha = style.opacity;
+                drawPolyline(ctx, points, tool === 'polygon' && points.length > 2, style);
+                ctx.restore();
+            }
+
+            // Frame of the callout whose text is being typed
+            if (textInput && textInput.page === page && textInput.type === 'callout') {
+                const style = textInput.editId ? getAnnotationStyle({ type: 'callout', style: textInput.style }) : toolStyles.callout;
+                drawCallout(ctx, { ...textInput, text: '' }, style);
+            }
+
+            // Draw selection box and resize handles
+            const selected = tool === 'view' && selection && selection.page === page
+                ? pageAnnotations.find(ann => ann.id === selection.id)
+                : null;
+            if (selected) {
+                const bounds = getAnnotationBounds(selected, ctx);
+                const handles = getSelectionHandles(selected, bounds);
+                ctx.save();
+                ctx.strokeStyle = '#3b82f6';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 3]);
+                if (selected.type === 'image') {
+                    // Rotated frame, with a stem from the top edge to the rotation handle
+                    const [nw, ne] = getImageCorners(selected);
+                    const rotateHandle = handles.find(h => h.id === 'rotate');
+                    ctx.beginPath();
+                    getImageCorners(selected).forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                    ctx.closePath();
+                    ctx.moveTo((nw.x + ne.x) / 2, (nw.y + ne.y) / 2);
+                    ctx.lineTo(rotateHandle.x, rotateHandle.y);
+                    ctx.stroke();
+                } else {
+                    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+                }
+                ctx.setLineDash([]);
+                ctx.fillStyle = 'white';
+                handles.forEach(h => {
+                    if (h.id === 'rotate') {
+                        ctx.beginPath();
+                        ctx.arc(h.x, h.y, HANDLE_SIZE / 2, 0, Math.PI * 2);
+                        ctx.fill();
+                        ctx.stroke();
+                        return;
+                    }
+                    ctx.fillRect(h.x - HANDLE_SIZE / 2, h.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+                    ctx.strokeRect(h.x - HANDLE_SIZE / 2, h.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+                });
+                ctx.restore();
             }
         });
+    }, [annotations, currentPath, currentRect, isDrawing, drawingPage, tool, selection, dragState, textInput, toolStyles, fontsLoaded, pageSizes, scale, nearPages, viewMode, pageNumber, searchHits, activeHit, vertexDraft, isShapeTool]);
+
+
+    // --- Annotation Editing ---
+    const updateAnnotation = (page, updated) => {
+        setAnnotations(prev => ({
+            ...prev,
+            [page]: (prev[page] || []).map(ann => (ann.id === updated.id ? updated : ann))
+        }));
+    };
+
+    const deleteAnnotation = (page, id) => {
+        setAnnotations(prev => ({
+            ...prev,
+            [page]: (prev[page] || []).filter(ann => ann.id !== id)
+        }));
+    };
+
+    // 'view' tool: pick an annotation, or grab a handle of the selected one
+    const startSelection = (e, page) => {
+        const point = getPagePoint(e, page);
+        const ctx = contextRef.current;
+        const pageAnns = annotations[page] || [];
+
+        const selected = selection && selection.page === page
+            ? pageAnns.find(ann => ann.id === selection.id)
+            : null;
+        if (selected) {
+            const bounds = getAnnotationBounds(selected, ctx);
+            const handle = findHandleAt(getSelectionHandles(selected, bounds), point);
+            if (handle) {
+                const mode = handle === 'rotate' ? 'rotate' : 'resize';
+                setDragState({ page, mode, handle, startX: point.x, startY: point.y, bounds, original: selected, current: selected });
+                return;
+            }
+        }
+
+        const hit = findAnnotationAt(pageAnns, point, ctx);
+        if (!hit) {
+            setSelection(null);
+            return;
+        }
+        setSelection({ page, id: hit.id });
+        setDragState({ page, mode: 'move', startX: point.x, startY: point.y, bounds: getAnnotationBounds(hit, ctx), original: hit, current: hit });
+    };
+
+    const dragSelection = (e) => {
+        const point = getPagePoint(e, dragState.page);
+        const dx = point.x - dragState.startX;
+        const dy = point.y - dragState.startY;
+        let current = dragState.original; // No net movement: nothing to commit
+        // Shift snaps rotation to steps and frees an image's proportions while resizing
+        if (dx !== 0 || dy !== 0) {
+            if (dragState.mode === 'move') current = moveAnnotation(dragState.original, dx, dy);
+            else if (dragState.mode === 'rotate') current = rotateAnnotation(dragState.original, point, e.shiftKey);
+            else current = resizeAnnotation(dragState.original, dragState.bounds, dragState.handle, dx, dy, e.shiftKey);
+        }
+        setDragState(prev => ({ ...prev, current }));
+    };
+
+    // Commit the drag as a single history entry
+    const endSelectionDrag = () => {
+        if (dragState.current !== dragState.original) {
+            updateAnnotation(dragState.page, dragState.current);
+        }
+        setDragState(null);
+    };
 
-        // Draw current path (Pen/Highlight)
-        if (isDrawing && currentPath.length > 0 && (tool === 'pen' || tool === 'highlight')) {
-            ctx.beginPath();
-            ctx.strokeStyle = tool === 'highlight' ? 'rgba(255, 255, 0, 0.5)' : 'red';
-            ctx.lineWidth = tool === 'highlight' ? 20 : 2;
-            ctx.moveTo(currentPath[0].x, currentPath[0].y);
-            currentPath.forEach(p => ctx.lineTo(p.x, p.y));
-            ctx.stroke();
+    // Double-click a text or note to edit its content
+    const handleCanvasDoubleClick = (e, page) => {
+        if (ignoreClickRef.current) return;
+        if (VERTEX_TOOLS.includes(tool)) {
+            finishVertexDraft();
+            return;
         }
+        if (tool !== 'view') return;
+        const point = getPagePoint(e, page);
+        const hit = findAnnotationAt(annotations[page] || [], point, contextRef.current);
+        if (!hit || (hit.type !== 'text' && hit.type !== 'note' && hit.type !== 'callout')) return;
+
+        setDragState(null);
+        if (hit.type === 'callout') {
+            setTextInput({ ...hit, value: hit.text, page, editId: hit.id });
+            return;
+        }
+        setTextInput({
+            x: hit.x,
+            y: hit.type === 'text' ? hit.y - getAnnotationStyle(hit).fontSize : hit.y,
+            value: hit.text,
+            page,
+            type: hit.type,
+            editId: hit.id
+        });
+    };
+
+
+    // Text markup tools: turn the current text-layer selection into one rect per line,
+    // with one markup annotation on each page the selection covers
+    const handleTextSelection = () => {
+        if (!isMarkupTool) return;
+        const sel = window.getSelection();
+        if (!sel || sel.isCollapsed) return;
+
+        const clientRects = getSelectionTextRects(sel);
+        const text = sel.toString();
+        sel.removeAllRanges();
+
+        const added = {};
+        Object.entries(canvasRefs.current).forEach(([pageKey, canvas]) => {
+            const origin = canvas.getBoundingClientRect();
+            const viewport = getViewport(Number(pageKey));
+            const rects = mergeLineRects(clientRects.map(r => ({
+                x: r.left - origin.left,
+                y: r.top - origin.top,
+                width: r.width,
+                height: r.height
+            })))
+                .filter(r => r.x < viewport.width && r.y < viewport.height && r.x + r.width > 0 && r.y + r.height > 0)
+                .map(viewport.toPageRect);
+            if (rects.length === 0) return;
+
+            added[pageKey] = {
+                id: uuidv4(),
+                type: 'markup',
+                variant: TEXT_MARKUP_TOOLS[tool],
+                rects,
+                text,
+                style: { ...toolStyles[tool] }
+            };
+        });
+        if (Object.keys(added).length === 0) return;
 
-        // Draw current Rect
-        if (isDrawing && currentRect && tool === 'rect') {
-            ctx.beginPath();
-            ctx.strokeStyle = 'blue';
-            ctx.lineWidth = 3;
-            ctx.rect(currentRect.x, currentRect.y, currentRect.width, currentRect.height);
-            ctx.stroke();
+        setAnnotations(prev => {
+            const next = { ...prev };
+            Object.entries(added).forEach(([pageKey, newAnn]) => {
+                next[pageKey] = [...(prev[pageKey] || []), newAnn];
+            });
+            return next;
+        });
+    };
+
+    // --- Style Panel ---
+    // With the view tool the panel edits the selected annotation; otherwise the active tool's style
+    const selectedAnnotation = tool === 'view' && selection
+        ? (annotations[selection.page] || []).find(ann => ann.id === selection.id)
+        : null;
+    const styleTool = selectedAnnotation ? getStyleTool(selectedAnnotation) : tool;
+    const panelStyle = selectedAnnotation ? getAnnotationStyle(selectedAnnotation) : toolStyles[tool];
+
+    const handleStyleChange = (changes) => {
+        if (selectedAnnotation) {
+            updateAnnotation(selection.page, {
+                ...selectedAnnotation,
+                style: { ...getAnnotationStyle(selectedAnnotation), ...changes }
+            });
+            return;
         }
+        setToolStyles(prev => ({ ...prev, [tool]: { ...prev[tool], ...changes } }));
+    };
 
-    }, [annotations, pageNumber, currentPath, currentRect, isDrawing, tool]);
+    const selectMarkupTool = (nextTool) => {
+        setMarkupTool(nextTool);
+        setTool(nextTool);
+    };
+
+    const selectShapeTool = (nextTool) => {
+        setShapeTool(nextTool);
+        setTool(nextTool);
+    };
 
 
     // --- Interaction Handlers ---
-    const startDrawing = (e) => {
-        if (['pen', 'highlight', 'rect'].indexOf(tool) === -1) return;
+    // Each page canvas passes its page number; a stroke or drag stays on the page it started on
+    const startDrawing = (e, page) => {
+        if (tool === 'view') {
+            startSelection(e, page);
+            return;
+        }
+        if (['pen', 'highlight', 'rect', 'redact', 'ellipse', 'line', 'arrow', 'callout'].indexOf(tool) === -1) return;
 
         setIsDrawing(true);
-        const { offsetX, offsetY } = e.nativeEvent;
+        setDrawingPage(page);
+        const { x, y } = getPagePoint(e, page);
 
-        if (tool === 'rect') {
-            setCurrentRect({ x: offsetX, y: offsetY, width: 0, height: 0, startX: offsetX, startY: offsetY });
+        if (tool !== 'pen' && tool !== 'highlight') {
+            setCurrentRect({ x, y, width: 0, height: 0, startX: x, startY: y });
         } else {
-            setCurrentPath([{ x: offsetX, y: offsetY }]);
+            setCurrentPath([getStrokePoint(e, page)]);
         }
     };
 
-    const draw = (e) => {
-        if (!isDrawing) return;
-        const { offsetX, offsetY } = e.nativeEvent;
+    const draw = (e, page) => {
+        if (dragState) {
+            if (dragState.page === page) dragSelection(e);
+            return;
+        }
+        if (vertexDraft && vertexDraft.page === page && vertexDraft.tool === tool) {
+            const hover = getPagePoint(e, page);
+            setVertexDraft(prev => ({ ...prev, hover }));
+            return;
+        }
+        if (!isDrawing || drawingPage !== page) return;
+        const { x, y } = getPagePoint(e, page);
 
-        if (tool === 'rect') {
+        if (tool !== 'pen' && tool !== 'highlight') {
             setCurrentRect(prev => ({
                 ...prev,
-                width: offsetX - prev.startX,
-                height: offsetY - prev.startY
+                width: x - prev.startX,
+                height: y - prev.startY
             }));
         } else {
-            setCurrentPath(prev => [...prev, { x: offsetX, y: offsetY }]);
+            // Pens report more samples than there are frames; keep them all for a smooth line
+            const canvas = e.currentTarget;
+            const samples = e.nativeEvent.getCoalescedEvents?.() || [];
+            const points = (samples.length > 0 ? samples : [e.nativeEvent]).map(s => getStrokePoint(s, page, canvas));
+            setCurrentPath(prev => [...prev, ...points]);
         }
     };
 
     const stopDrawing = () => {
+        if (dragState) {
+            endSelectionDrag();
+            return;
+        }
         if (!isDrawing) return;
         setIsDrawing(false);
+        setDrawingPage(null);
 
         if (tool === 'rect') {
             if (currentRect && (Math.abs(currentRect.width) > 5 || Math.abs(currentRect.height) > 5)) {
                 const newAnn = {
+                    id: uuidv4(),
                     type: 'rect',
                     x: currentRect.x,
                     y: currentRect.y,
                     width: currentRect.width,
                     height: currentRect.height,
-                    color: 'blue'
+                    style: { ...toolStyles.rect }
+                };
+                setAnnotations(prev => ({
+                    ...prev,
+                    [drawingPage]: [...(prev[drawingPage] || []), newAnn]
+                }));
+            }
+            setCurrentRect(null);
+        } else if (tool === 'redact') {
+            if (currentRect && (Math.abs(currentRect.width) > 2 || Math.abs(currentRect.height) > 2)) {
+                const newAnn = {
+                    id: uuidv4(),
+                    type: 'redact',
+                    x: Math.min(currentRect.x, currentRect.x + currentRect.width),
+                    y: Math.min(currentRect.y, currentRect.y + currentRect.height),
+                    width: Math.abs(currentRect.width),
+                    height: Math.abs(currentRect.height)
+                };
+                setAnnotations(prev => ({
+                    ...prev,
+                    [drawingPage]: [...(prev[drawingPage] || []), newAnn]
+                }));
+            }
+            setCurrentRect(null);
+        } else if (tool === 'ellipse') {
+            if (currentRect && (Math.abs(currentRect.width) > 5 || Math.abs(currentRect.height) > 5)) {
+                const newAnn = {
+                    id: uuidv4(),
+                    type: 'ellipse',
+                    x: Math.min(currentRect.x, currentRect.x + currentRect.width),
+                    y: Math.min(currentRect.y, currentRect.y + currentRect.height),
+                    width: Math.abs(currentRect.width),
+                    height: Math.abs(currentRect.height),
+                    style: { ...toolStyles.ellipse }
                 };
                 setAnnotations(prev => ({
                     ...prev,
-                    [pageNumber]: [...(prev[pageNumber] || []), newAnn]
+                    [drawingPage]: [...(prev[drawingPage] || []), newAnn]
                 }));
             }
             setCurrentRect(null);
+        } else if (tool === 'line' || tool === 'arrow') {
+            if (currentRect && Math.hypot(currentRect.width, currentRect.height) > 5) {
+                const newAnn = {
+                    id: uuidv4(),
+                    type: 'line',
+                    points: [
+                        { x: currentRect.startX, y: currentRect.startY },
+                        { x: currentRect.startX + currentRect.width, y: currentRect.startY + currentRect.height }
+                    ],
+                    arrow: tool === 'arrow',
+                    style: { ...toolStyles[tool] }
+                };
+                setAnnotations(prev => ({
+                    ...prev,
+                    [drawingPage]: [...(prev[drawingPage] || []), newAnn]
+                }));
+            }
+            setCurrentRect(null);
+        } else if (tool === 'callout') {
+            // The callout is created once its text is confirmed
+            if (currentRect) {
+                setTextInput({ ...calloutFromDrag(currentRect), value: '', page: drawingPage, type: 'callout' });
+            }
+            setCurrentRect(null);
         } else {
             // Path logic
-            const color = tool === 'highlight' ? 'rgba(255, 255, 0, 0.5)' : 'red';
-            const width = tool === 'highlight' ? 20 : 2;
-            const newAnn = { type: 'path', points: currentPath, color, width };
+            const newAnn = { id: uuidv4(), type: 'path', points: finishStroke(currentPath), smooth: true, style: { ...toolStyles[tool] } };
             setAnnotations(prev => ({
                 ...prev,
-                [pageNumber]: [...(prev[pageNumber] || []), newAnn]
+                [drawingPage]: [...(prev[drawingPage] || []), newAnn]
             }));
             setCurrentPath([]);
         }
     };
 
-    const handleCanvasClick = (e) => {
-        const { offsetX, offsetY } = e.nativeEvent;
+    // --- Pointer Input ---
+    // Mouse, touch and pen all arrive as pointer events. The pointer that starts a stroke or
+    // drag keeps it (captured, so it can leave the page) until it lifts; other fingers are
+    // ignored meanwhile, and after a pen has been used every touch is taken for the palm.
+    const isRejectedPointer = (e) => (
+        (e.pointerType === 'touch' && penSeenRef.current) ||
+        (activePointerRef.current !== null && activePointerRef.current !== e.pointerId)
+    );
+
+    const handlePointerDown = (e, page) => {
+        if (e.pointerType === 'pen') penSeenRef.current = true;
+        ignoreClickRef.current = isRejectedPointer(e);
+        if (ignoreClickRef.current || e.button !== 0) return;
+        activePointerRef.current = e.pointerId;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        startDrawing(e, page);
+    };
+
+    const handlePointerMove = (e, page) => {
+        if (isRejectedPointer(e)) return;
+        draw(e, page);
+    };
+
+    // Also on pointercancel, when the browser takes over the gesture
+    const handlePointerUp = (e) => {
+        if (activePointerRef.current !== e.pointerId) return;
+        activePointerRef.current = null;
+        stopDrawing();
+    };
+
+    // --- Polyline / Polygon Vertices ---
+    const finishVertexDraft = (closeShape = false) => {
+        if (!vertexDraft) return;
+        // A double-click also lands two clicks on the last vertex; drop repeated points
+        const points = vertexDraft.points.filter((p, i, all) => (
+            i === 0 || Math.hypot(p.x - all[i - 1].x, p.y - all[i - 1].y) > 1
+        ));
+        const closed = closeShape || vertexDraft.tool === 'polygon';
+        if (points.length >= (closed ? 3 : 2)) {
+            const newAnn = { id: uuidv4(), type: 'polygon', points, closed, style: { ...toolStyles[vertexDraft.tool] } };
+            setAnnotations(prev => ({
+                ...prev,
+                [vertexDraft.page]: [...(prev[vertexDraft.page] || []), newAnn]
+            }));
+        }
+        setVertexDraft(null);
+    };
+
+    const addVertex = (point, page) => {
+        if (!vertexDraft || vertexDraft.page !== page || vertexDraft.tool !== tool) {
+            setVertexDraft({ tool, page, points: [point], hover: null });
+            return;
+        }
+        // Clicking the first vertex again closes the shape
+        const first = vertexDraft.points[0];
+        if (vertexDraft.points.length > 2 && Math.hypot(point.x - first.x, point.y - first.y) * scale <= CLOSE_DISTANCE) {
+            finishVertexDraft(true);
+            return;
+        }
+        setVertexDraft({ ...vertexDraft, points: [...vertexDraft.points, point] });
+    };
+
+    const handleCanvasClick = (e, page) => {
+        if (ignoreClickRef.current) return;
+        const { x, y } = getPagePoint(e, page);
 
-        if (tool === 'text' || tool === 'note') {
+        if (VERTEX_TOOLS.includes(tool)) {
+            addVertex({ x, y }, page);
+        }
+        else if (tool === 'date') {
+            // Date field: today's date as a text annotation, baseline at the click
+            const newAnn = { id: uuidv4(), type: 'text', text: formatSignDate(), x, y, style: { ...toolStyles.text } };
+            setAnnotations(prev => ({
+                ...prev,
+                [page]: [...(prev[page] || []), newAnn]
+            }));
+            setTool('view');
+        }
+        else if (tool === 'text' || tool === 'note') {
             setTextInput({
-                x: offsetX,
-                y: offsetY,
+                x,
+                y,
                 value: '',
-                page: pageNumber,
+                page,
                 type: tool // 'text' or 'note'
             });
         }
-        else if (tool === 'image' && pendingImage) {
+        else if (tool === 'stamp' && pendingStamp) {
+            const text = fillStampTemplate(pendingStamp.template, { page, numPages, userName: pendingStamp.userName });
+            const ctx = contextRef.current;
+            ctx.save();
+            ctx.font = getCanvasFont({ ...toolStyles.stamp, fontSize: STAMP_FONT_SIZE });
+            const size = getStampSize(text, line => ctx.measureText(line).width);
+            ctx.restore();
+            const newAnn = { id: uuidv4(), type: 'stamp', x, y, ...size, text, name: pendingStamp.name, style: { ...toolStyles.stamp } };
+            setAnnotations(prev => ({
+                ...prev,
+                [page]: [...(prev[page] || []), newAnn]
+            }));
+            setPendingStamp(null);
+            setTool('view');
+        }
+        else if ((tool === 'image' || tool === 'signature') && pendingImage) {
             // Place Image
             const newAnn = {
+                id: uuidv4(),
                 type: 'image',
-                x: offsetX,
-                y: offsetY,
+                x,
+                y,
                 width: pendingImage.width,
                 height: pendingImage.height,
                 file: pendingImage.file,
                 url: pendingImage.url,
-                imgElement: pendingImage.imgElement
+                imgElement: pendingImage.imgElement,
+                style: { ...toolStyles.image }
             };
             setAnnotations(prev => ({
                 ...prev,
-                [pageNumber]: [...(prev[pageNumber] || []), newAnn]
+                [page]: [...(prev[page] || []), newAnn]
             }));
             setPendingImage(null); // Clear pending
             setTool('view');
@@ -266,14 +1424,29 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
     };
 
     const confirmText = () => {
-        if (textInput && textInput.value.trim() !== '') {
-            const newAnn = {
-                type: textInput.type, // 'text' or 'note'
+        if (textInput && textInput.editId) {
+            // Editing an existing text/note: clearing it deletes the annotation
+            const existing = (annotations[textInput.page] || []).find(ann => ann.id === textInput.editId);
+            if (textInput.value.trim() === '') {
+                deleteAnnotation(textInput.page, textInput.editId);
+                setSelection(null);
+            } else if (existing && existing.text !== textInput.value) {
+                const edited = { ...existing, text: textInput.value };
+                updateAnnotation(textInput.page, existing.type === 'callout' ? fitCalloutBox(edited, contextRef.current) : edited);
+            }
+        } else if (textInput && textInput.value.trim() !== '') {
+            let newAnn = {
+                id: uuidv4(),
+                type: textInput.type, // 'text', 'note' or 'callout'
                 text: textInput.value,
                 x: textInput.x,
                 y: textInput.y,
-                size: 16
+                style: { ...toolStyles[textInput.type] },
+                ...newCommentFields(loadUserName())
             };
+            if (textInput.type === 'callout') {
+                newAnn = fitCalloutBox({ ...newAnn, width: textInput.width, height: textInput.height, anchor: textInput.anchor }, contextRef.current);
+            }
             setAnnotations(prev => ({
                 ...prev,
                 [textInput.page]: [...(prev[textInput.page] || []), newAnn]
@@ -283,6 +1456,46 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
         setTool('view');
     };
 
+    // --- Redaction ---
+    const redactionCount = Object.values(annotations)
+        .reduce((count, anns) => count + anns.filter(ann => ann.type === 'redact').length, 0);
+
+    const handleMarkMatches = async (query, options) => {
+        if (!pdfDocument) return;
+        try {
+            const hits = await searchDocument(pdfDocument, query, options);
+            if (hits.length === 0) {
+                alert(`No matches for "${query}".`);
+                return;
+            }
+            setAnnotations(prev => {
+                const next = { ...prev };
+                hits.forEach(hit => {
+                    const marks = hit.rects.map(rect => ({ id: uuidv4(), type: 'redact', ...rect }));
+                    next[hit.page] = [...(next[hit.page] || []), ...marks];
+                });
+                return next;
+            });
+        } catch (err) {
+            console.error("Redaction search error:", err);
+            alert(`Search failed: ${err.message}`);
+        }
+    };
+
+    const handleClearRedactions = () => {
+        setAnnotations(prev => {
+            const next = {};
+            Object.entries(prev).forEach(([page, anns]) => {
+                next[page] = anns.filter(ann => ann.type !== 'redact');
+            });
+            return next;
+        });
+    };
+
+    const handleFormChange = (name, value) => {
+        setFormValues(prev => ({ ...prev, [name]: value }));
+    };
+
     // --- PDF Saving Logic ---
     const handleSave = async () => {
         const logs = [];
@@ -303,10 +1516,42 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
             const existingPdfBytes = await fetch(file.url, { cache: 'no-store' }).then(res => res.arrayBuffer());
 
             addLog("Loading PDF into pdf-lib...");
-            const pdfDoc = await PDFDocument.load(existingPdfBytes);
-            const pages = pdfDoc.getPages();
+            let pdfDoc = await PDFDocument.load(existingPdfBytes, { updateMetadata: false });
+            let pages = pdfDoc.getPages();
+
+            // Imported annotations the user didn't touch stay in the file as they are; edited
+            // ones are re-written from the editor state (as native annotations), deleted ones dropped
+            const changedRefs = changedImportRefs(importedRefs, importBaseline, annotations);
+            removeImportedAnnotations(pdfDoc, changedRefs);
+            const importedIds = new Map(); // Editor annotation id -> its original is still in the file
+            importedRefs?.forEach((ids, ref) => ids.forEach(id => importedIds.set(id, !changedRefs.has(ref))));
+            const fontCache = createFontCache();
+
+            // Form values go in before the markup, so flattened fields sit under it
+            if (formFields.length > 0) {
+                addLog(`Filling form fields${flattenForm ? ' and flattening' : ''}...`);
+                const formErrors = await applyFormValues(pdfDoc, formValues, { flatten: flattenForm, fontCache });
+                formErrors.forEach(msg => addLog(`Error filling form field ${msg}`));
+            }
 
-            addLog("Applying annotations...");
+            // Redaction areas by page; the pages under them are rebuilt before any markup is drawn
+            const redactions = {};
+            Object.entries(annotations).forEach(([pageNumStr, pageAnns]) => {
+                const rects = pageAnns
+                    .filter(ann => ann.type === 'redact')
+                    .map(({ x, y, width, height }) => ({ x, y, width, height }));
+                if (rects.length > 0) redactions[pageNumStr] = rects;
+            });
+            const redactedPages = Object.keys(redactions);
+            let skippedForRedaction = 0;
+            if (redactedPages.length > 0) {
+                addLog(`Applying redactions on page(s) ${redactedPages.join(', ')}...`);
+                pdfDoc = await applyRedactions(pdfDoc, redactions);
+                pages = pdfDoc.getPages();
+                fontCache.fonts = {}; // Fonts embedded so far belong to the replaced document
+            }
+
+            addLog(`Applying annotations (${saveMode})...`);
             const pageNumStrs = Object.keys(annotations);
 
             for (const pageNumStr of pageNumStrs) {
@@ -315,67 +1560,23 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
 
                 if (pageIndex >= 0 && pageIndex < pages.length) {
                     const page = pages[pageIndex];
-                    const { width: pdfPageWidth, height: pdfPageHeight } = page.getSize();
-                    const renderedDim = pageDims[pageNum] || { width: pdfPageWidth, height: pdfPageHeight };
-                    const scaleX = pdfPageWidth / renderedDim.width;
-                    const scaleY = pdfPageHeight / renderedDim.height;
+                    const mapper = createPageMapper(page);
                     const pageAnns = annotations[pageNumStr];
 
                     for (const ann of pageAnns) {
+                        if (ann.type === 'redact' || importedIds.get(ann.id)) continue;
+                        // Markup inside a redaction area could carry the removed text
+                        const pageRedactions = redactions[pageNumStr] || [];
+                        if (pageRedactions.some(rect => rectsIntersect(getAnnotationBounds(ann, contextRef.current), rect))) {
+                            addLog(`Skipped ${ann.type} annotation inside a redaction area`);
+                            skippedForRedaction++;
+                            continue;
+                        }
                         try {
-                            if (ann.type === 'path') {
-                                const pathData = ann.points.map(p => ({ x: p.x * scaleX, y: pdfPageHeight - (p.y * scaleY) }));
-                                if (pathData.length > 1) {
-                                    const isHighlight = ann.color.includes('255, 255, 0') || ann.color.includes('0, 0.5');
-                                    const opacityVal = isHighlight ? 0.5 : 1;
-                                    const scaledWidth = ann.width * scaleX;
-                                    let color = rgb(1, 0, 0);
-                                    if (ann.color.includes('255, 255, 0')) color = rgb(1, 1, 0);
-
-                                    for (let i = 0; i < pathData.length - 1; i++) {
-                                        page.drawLine({
-                                            start: pathData[i], end: pathData[i + 1],
-                                            thickness: scaledWidth, color, opacity: opacityVal, lineCap: LineCapStyle.Round,
-                                        });
-                                    }
-                                }
-                            } else if (ann.type === 'text') {
-                                page.drawText(ann.text, {
-                                    x: ann.x * scaleX, y: pdfPageHeight - (ann.y * scaleY),
-                                    size: ann.size * scaleY, color: rgb(0, 0, 0),
-                                });
-                            } else if (ann.type === 'rect') {
-                                let cX = ann.x, cY = ann.y, cW = ann.width, cH = ann.height;
-                                if (cW < 0) { cX += cW; cW = Math.abs(cW); }
-                                if (cH < 0) { cY += cH; cH = Math.abs(cH); }
-                                const pdfX = cX * scaleX;
-                                const pdfY = pdfPageHeight - ((cY + cH) * scaleY);
-                                const pdfW = cW * scaleX;
-                                const pdfH = cH * scaleY;
-                                page.drawRectangle({
-                                    x: pdfX, y: pdfY, width: pdfW, height: pdfH,
-                                    borderColor: rgb(0, 0, 1), borderWidth: 3 * scaleX,
-                                });
-                            } else if (ann.type === 'image') {
-                                const imageBytes = await ann.file.arrayBuffer();
-                                let pdfImage;
-                                if (ann.file.type === 'image/jpeg' || ann.file.type === 'image/jpg') {
-                                    pdfImage = await pdfDoc.embedJpg(imageBytes);
-                                } else {
-                                    pdfImage = await pdfDoc.embedPng(imageBytes);
-                                }
-                                const pdfX = ann.x * scaleX;
-                                const pdfW = ann.width * scaleX;
-                                const pdfH = ann.height * scaleY;
-                                const pdfY = pdfPageHeight - (ann.y * scaleY) - pdfH;
-                                page.drawImage(pdfImage, { x: pdfX, y: pdfY, width: pdfW, height: pdfH });
-                            } else if (ann.type === 'note') {
-                                const noteW = 150 * scaleX;
-                                const noteH = 100 * scaleY;
-                                const pdfX = ann.x * scaleX;
-                                const pdfY = pdfPageHeight - (ann.y * scaleY) - noteH;
-                                page.drawRectangle({ x: pdfX, y: pdfY, width: noteW, height: noteH, color: rgb(1, 0.92, 0.23) });
-                                page.drawText(ann.text, { x: pdfX + (10 * scaleX), y: pdfY + noteH - (20 * scaleY), size: 14 * scaleY, color: rgb(0, 0, 0) });
+                            if (saveMode === SAVE_MODES.NATIVE || importedIds.has(ann.id)) {
+                                await writeNativeAnnotation(pdfDoc, page, ann, mapper, fontCache);
+                            } else {
+                                await flattenAnnotation(pdfDoc, page, ann, mapper, fontCache);
                             }
                         } catch (innerErr) {
                             addLog(`Error processing annotation: ${innerErr.message}`);
@@ -384,34 +1585,34 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
                 }
             }
 
+            if (metadata?.edited) addLog(metadata.strip ? "Stripping metadata..." : "Writing document properties...");
+            applyMetadata(pdfDoc, metadata);
+
             addLog("Saving modified PDF...");
             // 1. Generate the PDF Client-Side
             const pdfBytes = await pdfDoc.save();
+
+            // Fail closed: never download a file where redacted content can still be read
+            if (redactedPages.length > 0) {
+                addLog("Verifying redactions...");
+                const problems = await verifyRedactions(pdfBytes, redactions);
+                if (problems.length > 0) {
+                    problems.forEach(addLog);
+                    throw new Error(`Redaction check failed, nothing was downloaded.\n${problems.join('\n')}`);
+                }
+            }
             let finalBlob = new Blob([pdfBytes], { type: 'application/pdf' });
 
-            // 2. Encryption Step (Server-Side)
+            // 2. Encryption (client-side). Fail closed: if it can't be done, nothing is downloaded.
             if (pdfPassword) {
-                addLog("Sending to server for encryption...");
+                addLog("Encrypting with AES-256...");
                 try {
-                    const formData = new FormData();
-                    formData.append('file', finalBlob, 'temp.pdf');
-                    formData.append('password', pdfPassword);
-
-                    const response = await fetch(`${apiBase}/api/process-pdf`, {
-                        method: 'POST',
-                        body: formData,
-                    });
-
-                    if (!response.ok) {
-                        const errorText = await response.text();
-                        throw new Error(`Server encryption failed: ${errorText}`);
-                    }
-
-                    finalBlob = await response.blob();
-                    addLog("Received encrypted PDF from server.");
+                    // No owner password: encryptPdf picks a random one, so opening the file grants no owner rights
+                    const encryptedBytes = await encryptPdf(pdfBytes, { userPassword: pdfPassword });
+                    finalBlob = new Blob([encryptedBytes], { type: 'application/pdf' });
+                    addLog("Encrypted.");
                 } catch (e) {
-                    console.error("Encryption error:", e);
-                    alert(`Encryption failed: ${e.message}\nDownloading unencrypted file instead.`);
+                    throw new Error(`Encryption failed, nothing was downloaded. ${e.message}`);
                 }
             }
 
@@ -426,6 +1627,21 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
             link.download = downloadName;
             link.click();
 
+            // The work is in the downloaded file now; don't offer it as a draft next time
+            if (draftKey) {
+                deleteDraft(draftKey).catch(err => console.error("Draft delete error:", err));
+            }
+
+            if (redactedPages.length > 0) {
+                alert(
+                    `Redactions applied and verified on page(s) ${redactedPages.join(', ')}. ` +
+                    'Those pages were converted to images; their remaining text is still searchable.' +
+                    (skippedForRedaction > 0 ? `\n${skippedForRedaction} annotation(s) inside redaction areas were left out.` : '')
+                );
+            }
+            const missingGlyphs = describeMissingGlyphs(fontCache);
+            if (missingGlyphs) alert(missingGlyphs);
+
         } catch (err) {
             console.error("Save error:", err);
             addLog(`CRITICAL ERROR: ${err.message}`);
@@ -438,26 +1654,105 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
         }
     };
 
+    // --- Keyboard Shortcuts (see utils/shortcuts) ---
+    // Actions that don't apply right now map to null and leave the key to the browser
+    const hasSelection = tool === 'view' && !!selection;
+    const closeShortcuts = () => setShowShortcuts(false);
+    const editorShortcuts = {
+        'tool.view': () => setTool('view'),
+        'tool.pen': () => setTool('pen'),
+        'tool.highlight': () => setTool('highlight'),
+        'tool.markup': () => selectMarkupTool(markupTool),
+        'tool.text': () => setTool('text'),
+        'tool.rect': () => setTool('rect'),
+        'tool.shapes': () => selectShapeTool(shapeTool),
+        'tool.note': () => setTool('note'),
+        'page.prev': pageNumber > 1 ? () => goToPage(pageNumber - 1) : null,
+        'page.next': numPages && pageNumber < numPages ? () => goToPage(pageNumber + 1) : null,
+        'page.first': numPages ? () => goToPage(1) : null,
+        'page.last': numPages ? () => goToPage(numPages) : null,
+        'zoom.in': () => handleZoom(ZOOM_STEP),
+        'zoom.out': () => handleZoom(-ZOOM_STEP),
+        'zoom.reset': () => handleZoom(1 - scale),
+        search: openSearch,
+        undo,
+        redo,
+        delete: hasSelection ? () => {
+            deleteAnnotation(selection.page, selection.id);
+            setSelection(null);
+        } : null,
+        finish: vertexDraft ? () => finishVertexDraft() : null,
+        cancel: vertexDraft ? () => setVertexDraft(null) : (hasSelection ? () => setSelection(null) : null),
+        save: handleSave,
+        help: () => setShowShortcuts(true)
+    };
+    useShortcuts(
+        'editor',
+        showShortcuts ? { help: closeShortcuts, cancel: closeShortcuts } : editorShortcuts,
+        file.type === 'pdf' && !showSignatures && !showStamps && !showProperties
+    );
+
     return (
         <div className="flex flex-col h-screen bg-gray-900 text-white">
-            <input type="file" accept="image/*" ref={fileInputRef} className="hidden" onChange={handleImageUpload} />
+            <input type="file" accept="image/*,.svg,.heic,.heif" ref={fileInputRef} className="hidden" onChange={handleImageUpload} />
+            <input type="file" accept=".xfdf,.xml,.json,application/vnd.adobe.xfdf,application/json" ref={annotationFileInputRef} className="hidden" onChange={handleAnnotationImport} />
 
             {/* Toolbar */}
             <div className="flex items-center justify-between p-4 bg-gray-800 shadow-md z-20">
                 <div className="flex items-center space-x-4">
+                    {file.type === 'pdf' && (
+                        <button
+                            onClick={() => setShowSidebar(prev => !prev)}
+                            title={showSidebar ? 'Hide sidebar' : 'Show page thumbnails and outline'}
+                            className={`px-3 py-2 rounded ${showSidebar ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            ☰
+                        </button>
+                    )}
                     <button onClick={onBack} className="px-4 py-2 bg-gray-700 rounded hover:bg-gray-600">Back</button>
                     <h2 className="font-bold truncate max-w-xs">{file.originalname}</h2>
                 </div>
 
                 {file.type === 'pdf' && (
                     <div className="flex space-x-2 bg-gray-700 p-1 rounded-lg">
-                        <ToolButton active={tool === 'view'} onClick={() => setTool('view')} icon="👁 View" />
-                        <ToolButton active={tool === 'pen'} onClick={() => setTool('pen')} icon="✎ Pen" />
-                        <ToolButton active={tool === 'highlight'} onClick={() => setTool('highlight')} icon="🖊 Marker" />
-                        <ToolButton active={tool === 'text'} onClick={() => setTool('text')} icon="T Text" />
-                        <ToolButton active={tool === 'rect'} onClick={() => setTool('rect')} icon="⬜ Rect" />
-                        <ToolButton active={tool === 'image'} onClick={triggerImageUpload} icon="🖼 Image" />
-                        <ToolButton active={tool === 'note'} onClick={() => setTool('note')} icon="📝 Note" />
+                        <ToolButton active={tool === 'view'} onClick={() => setTool('view')} icon="👁 View" title={`View / select (${shortcutHint('editor', 'tool.view')})`} />
+                        <ToolButton active={tool === 'pen'} onClick={() => setTool('pen')} icon="✎ Pen" title={`Pen (${shortcutHint('editor', 'tool.pen')})`} />
+                        <ToolButton active={tool === 'highlight'} onClick={() => setTool('highlight')} icon="🖊 Marker" title={`Marker (${shortcutHint('editor', 'tool.highlight')})`} />
+                        <ToolButton active={isMarkupTool} onClick={() => selectMarkupTool(markupTool)} icon="🖍 Text Markup" title={`Select text to highlight, underline or strike out (${shortcutHint('editor', 'tool.markup')})`} />
+                        {isMarkupTool && (
+                            <select
+                                value={tool}
+                                onChange={(e) => selectMarkupTool(e.target.value)}
+                                className="bg-gray-600 rounded px-2 text-sm"
+                            >
+                                <option value="textHighlight">Highlight</option>
+                                <option value="underline">Underline</option>
+                                <option value="strikeout">Strikeout</option>
+                            </select>
+                        )}
+                        <ToolButton active={tool === 'text'} onClick={() => setTool('text')} icon="T Text" title={`Text (${shortcutHint('editor', 'tool.text')})`} />
+                        <ToolButton active={tool === 'rect'} onClick={() => setTool('rect')} icon="⬜ Rect" title={`Rectangle (${shortcutHint('editor', 'tool.rect')})`} />
+                        <ToolButton active={isShapeTool} onClick={() => selectShapeTool(shapeTool)} icon="◯ Shapes" title={`Ellipses, lines, arrows, polygons and callouts (${shortcutHint('editor', 'tool.shapes')})`} />
+                        {isShapeTool && (
+                            <select
+                                value={tool}
+                                onChange={(e) => selectShapeTool(e.target.value)}
+                                className="bg-gray-600 rounded px-2 text-sm"
+                            >
+                                {Object.entries(SHAPE_TOOLS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        )}
+                        <ToolButton active={tool === 'image'} onClick={triggerImageUpload} icon="🖼 Image" title="Place an image (PNG, JPEG, WebP, GIF, BMP, SVG...). Drag corners to resize (Shift: free proportions), the round handle to rotate (Shift: 15° steps)" />
+                        <ToolButton active={tool === 'note'} onClick={() => setTool('note')} icon="📝 Note" title={`Sticky note (${shortcutHint('editor', 'tool.note')})`} />
+                        <ToolButton active={tool === 'redact'} onClick={() => setTool('redact')} icon="⬛ Redact" title="Mark areas or text to remove permanently" />
+                        <ToolButton active={tool === 'signature' || tool === 'date'} onClick={() => setShowSignatures(true)} icon="✍ Sign" title="Signatures, initials and date" />
+                        <ToolButton active={tool === 'stamp'} onClick={() => setShowStamps(true)} icon="🔖 Stamp" title="Approved, draft, received and custom stamps" />
+
+                        <div className="w-[1px] h-8 bg-gray-500 mx-2"></div>
+                        <ToolButton disabled={!canUndo} onClick={undo} icon="↶ Undo" title={`Undo (${shortcutHint('editor', 'undo')})`} />
+                        <ToolButton disabled={!canRedo} onClick={redo} icon="↷ Redo" title={`Redo (${shortcutHint('editor', 'redo')})`} />
 
                         <div className="w-[1px] h-8 bg-gray-500 mx-2"></div>
                         <ToolButton
@@ -470,83 +1765,288 @@ const PdfEditor = ({ file, onBack, apiBase }) => {
 
                 {/* ... Navigation & Save Buttons ... */}
                 <div className="flex items-center space-x-4">
-                    <button disabled={pageNumber <= 1} onClick={() => setPageNumber(p => p - 1)} className="px-3 py-1 bg-gray-700 rounded disabled:opacity-50">Prev</button>
+                    {file.type === 'pdf' && (
+                        <button
+                            onClick={() => setShowComments(prev => !prev)}
+                            title={showComments ? 'Hide comments' : 'Review comments: replies, status and summary export'}
+                            className={`px-3 py-2 rounded ${showComments ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            💬
+                        </button>
+                    )}
+                    {file.type === 'pdf' && (
+                        <button onClick={openSearch} title={`Find in document (${shortcutHint('editor', 'search')})`} className={`px-3 py-2 rounded ${showSearch ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}>🔍</button>
+                    )}
+                    <select
+                        value={viewMode}
+                        onChange={(e) => handleViewModeChange(e.target.value)}
+                        title="Page layout"
+                        className="bg-gray-700 rounded px-2 py-2 text-sm"
+                    >
+                        <option value="continuous">Continuous scroll</option>
+                        <option value="single">Single page</option>
+                    </select>
+                    <div className="flex items-center bg-gray-700 rounded">
+                        <button disabled={scale <= MIN_ZOOM} onClick={() => handleZoom(-ZOOM_STEP)} title={`Zoom out (${shortcutHint('editor', 'zoom.out')})`} className="px-3 py-1 disabled:opacity-50">−</button>
+                        <span className="w-14 text-center text-sm">{Math.round(scale * 100)}%</span>
+                        <button disabled={scale >= MAX_ZOOM} onClick={() => handleZoom(ZOOM_STEP)} title={`Zoom in (${shortcutHint('editor', 'zoom.in')})`} className="px-3 py-1 disabled:opacity-50">+</button>
+                    </div>
+                    <button disabled={pageNumber <= 1} onClick={() => goToPage(pageNumber - 1)} title={`Previous page (${shortcutHint('editor', 'page.prev')})`} className="px-3 py-1 bg-gray-700 rounded disabled:opacity-50">Prev</button>
                     <span>{pageNumber} / {numPages || '--'}</span>
-                    <button disabled={pageNumber >= numPages} onClick={() => setPageNumber(p => p + 1)} className="px-3 py-1 bg-gray-700 rounded disabled:opacity-50">Next</button>
-                    <button onClick={handleSave} className="ml-4 px-4 py-2 bg-green-600 hover:bg-green-500 rounded font-bold shadow-lg transition-transform active:scale-95">
+                    <button disabled={pageNumber >= numPages} onClick={() => goToPage(pageNumber + 1)} title={`Next page (${shortcutHint('editor', 'page.next')})`} className="px-3 py-1 bg-gray-700 rounded disabled:opacity-50">Next</button>
+                    <select
+                        value={saveMode}
+                        onChange={(e) => setSaveMode(e.target.value)}
+                        title="How new annotations are written into the saved PDF; comments that were already in the file stay editable"
+                        className="ml-4 bg-gray-700 rounded px-2 py-2 text-sm"
+                    >
+                        <option value={SAVE_MODES.FLATTEN}>Flatten markup</option>
+                        <option value={SAVE_MODES.NATIVE}>Editable annotations</option>
+                    </select>
+                    {file.type === 'pdf' && (
+                        <select
+                            value=""
+                            onChange={(e) => handleAnnotationFileAction(e.target.value)}
+                            title="Exchange annotations with other PDF tools (XFDF) or keep a complete copy (JSON)"
+                            className="bg-gray-700 rounded px-2 py-2 text-sm"
+                        >
+                            <option value="" disabled>Annotations...</option>
+                            <option value="xfdf">Export XFDF</option>
+                            <option value="json">Export JSON</option>
+                            <option value="import">Import XFDF / JSON...</option>
+                        </select>
+                    )}
+                    {formFields.length > 0 && (
+                        <label className="flex items-center gap-2 text-sm" title="Burn the form fields into the pages so they can no longer be edited">
+                            <input type="checkbox" checked={flattenForm} onChange={(e) => setFlattenForm(e.target.checked)} />
+                            Flatten form
+                        </label>
+                    )}
+                    {file.type === 'pdf' && (
+                        <button
+                            onClick={() => setShowProperties(true)}
+                            disabled={!metadata}
+                            title="Document properties: title, author, keywords and dates, or strip all metadata"
+                            className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                        >
+                            📋
+                        </button>
+                    )}
+                    {file.type === 'pdf' && (
+                        <button onClick={() => setShowShortcuts(true)} title="Keyboard shortcuts (?)" className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">⌨</button>
+                    )}
+                    <button onClick={handleSave} title={`Save (${shortcutHint('editor', 'save')})`} className="ml-4 px-4 py-2 bg-green-600 hover:bg-green-500 rounded font-bold shadow-lg transition-transform active:scale-95">
                         💾 SAVE
                     </button>
                 </div>
             </div>
 
-            {/* Main View Area */}
-            <div className="flex-1 overflow-auto flex justify-center p-8 bg-gray-900 relative">
-                {file.type === 'pdf' ? (
-                    <div className="relative border shadow-2xl">
-                        <Document
-                            file={file.url}
-                            onLoadSuccess={onDocumentLoadSuccess}
-                            loading={<div className="text-white">Loading PDF...</div>}
-                        >
-                            <Page
-                                pageNumber={pageNumber}
-                                scale={scale}
-                                onLoadSuccess={onPageLoadSuccess}
-                                renderAnnotationLayer={false}
-                                renderTextLayer={false}
-                            />
-                        </Document>
-
-                        {/* Drawing & Interaction Overlay */}
-                        <canvas
-                            ref={canvasRef}
-                            onMouseDown={startDrawing}
-                            onMouseMove={draw}
-                            onMouseUp={stopDrawing}
-                            onMouseLeave={stopDrawing}
-                            onClick={handleCanvasClick}
-                            className={`absolute inset-0 z-10 ${tool === 'view' ? '' : 'cursor-crosshair'}`}
-                        />
-
-                        {/* Pending Image Preview (Follow Mouse or Fixed Message?) */}
-                        {tool === 'image' && pendingImage && (
-                            <div className="absolute z-20 bg-black/70 text-white p-2 text-sm rounded pointer-events-none" style={{ top: 10, left: 10 }}>
-                                Click on canvas to place image
-                            </div>
-                        )}
+            {showSignatures && (
+                <SignatureDialog
+                    onPlace={handlePlaceSignature}
+                    onPlaceDate={handlePlaceDate}
+                    onClose={() => setShowSignatures(false)}
+                />
+            )}
+            {showStamps && (
+                <StampDialog onPlace={handlePlaceStamp} onClose={() => setShowStamps(false)} />
+            )}
+            {showShortcuts && (
+                <ShortcutHelp scope="editor" onClose={closeShortcuts} />
+            )}
+            {showProperties && (
+                <PropertiesDialog
+                    metadata={metadata}
+                    onApply={(next) => { setMetadata(next); setShowProperties(false); }}
+                    onClose={() => setShowProperties(false)}
+                />
+            )}
+
+            {file.type === 'pdf' && (
+                <StylePanel tool={styleTool} style={panelStyle} onChange={handleStyleChange} />
+            )}
+            {file.type === 'pdf' && showSearch && (
+                <SearchBar
+                    focusRequest={searchFocus}
+                    query={searchQuery}
+                    options={searchOptions}
+                    hitCount={searchHits.length}
+                    activeHit={activeHit}
+                    isSearching={isSearching}
+                    error={searchError}
+                    onChange={handleSearchChange}
+                    onNext={() => stepHit(1)}
+                    onPrev={() => stepHit(-1)}
+                    onClose={closeSearch}
+                />
+            )}
+            {file.type === 'pdf' && tool === 'redact' && (
+                <RedactionPanel
+                    markedCount={redactionCount}
+                    onMarkMatches={handleMarkMatches}
+                    onClear={handleClearRedactions}
+                    onApply={handleSave}
+                />
+            )}
+
+            {/* Draft Restore Prompt */}
+            {draftOffer && importBaseline && (
+                <div className="flex items-center justify-center gap-4 px-4 py-2 bg-blue-900/60 text-sm z-10">
+                    <span>
+                        📝 An unsaved draft from {new Date(draftOffer.updatedAt).toLocaleString()} was found for this document.
+                        Changes are not autosaved until you choose.
+                    </span>
+                    <button onClick={handleRestoreDraft} className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded font-semibold">Restore</button>
+                    <button onClick={handleDiscardDraft} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded">Discard</button>
+                </div>
+            )}
+
+            <div className="flex flex-1 overflow-hidden">
+                {file.type === 'pdf' && showSidebar && (
+                    <PageSidebar
+                        pdf={pdfDocument}
+                        numPages={numPages}
+                        pageSizes={pageSizes}
+                        currentPage={pageNumber}
+                        annotationCounts={annotationCounts}
+                        onNavigate={navigateTo}
+                    />
+                )}
 
-                        {/* Text/Note Input Overlay */}
-                        {textInput && (
-                            <div
-                                className={`absolute z-20 p-1 rounded shadow-lg border border-blue-500 ${textInput.type === 'note' ? 'bg-yellow-300' : 'bg-white'}`}
-                                style={{ left: textInput.x, top: textInput.y }}
+                {/* Main View Area */}
+                <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-auto flex justify-center p-8 bg-gray-900 relative">
+                    {file.type === 'pdf' ? (
+                        <div onMouseUp={handleTextSelection}>
+                            {/* Pending Placement Hint */}
+                            {(((tool === 'image' || tool === 'signature') && pendingImage) || tool === 'date' || (tool === 'stamp' && pendingStamp)) && (
+                                <div className="sticky top-0 z-30 h-0">
+                                    <div className="inline-block bg-black/70 text-white p-2 text-sm rounded pointer-events-none">
+                                        Click on a page to place {{ image: 'image', date: 'the date', stamp: 'the stamp' }[tool] || 'signature'}
+                                    </div>
+                                </div>
+                            )}
+                            {VERTEX_TOOLS.includes(tool) && (
+                                <div className="sticky top-0 z-30 h-0">
+                                    <div className="inline-block bg-black/70 text-white p-2 text-sm rounded pointer-events-none">
+                                        Click to add points; double-click or Enter to finish, Esc to cancel
+                                    </div>
+                                </div>
+                            )}
+
+                            <Document
+                                file={displayUrl}
+                                onLoadSuccess={onDocumentLoadSuccess}
+                                loading={<div className="text-white">Loading PDF...</div>}
+                                noData={<div className="text-white">Loading PDF...</div>}
+                                className="flex flex-col items-center gap-6"
                             >
-                                <textarea
-                                    autoFocus
-                                    className={`outline-none bg-transparent min-w-[150px] min-h-[50px] ${textInput.type === 'note' ? 'text-black' : 'text-black'}`}
-                                    value={textInput.value}
-                                    onChange={(e) => setTextInput({ ...textInput, value: e.target.value })}
-                                    onBlur={confirmText}
-                                    placeholder={textInput.type === 'note' ? "Sticky Note Content" : "Type text..."}
-                                />
-                            </div>
-                        )}
-                    </div>
-                ) : (
-                    <div className="bg-white p-4 rounded shadow-lg">
-                        <p className="text-black mb-4">Preview for non-PDF files: <a href={file.url} target="_blank" className="text-blue-600 underline">Open File</a></p>
-                        <img src={file.url} alt="Uploaded" className="max-w-full max-h-[80vh]" />
-                    </div>
+                                {shownPages.map(page => {
+                                    const viewport = getViewport(page);
+                                    const textInputPos = textInput?.page === page ? viewport.toView(textInput.x, textInput.y) : null;
+                                    const rendered = viewMode === 'single' || nearPages.has(page)
+                                        || textInput?.page === page || drawingPage === page || vertexDraft?.page === page;
+                                    return (
+                                        <div
+                                            key={page}
+                                            data-page={page}
+                                            ref={el => {
+                                                if (el) pageRefs.current[page] = el;
+                                                else delete pageRefs.current[page];
+                                            }}
+                                            className="relative box-content border shadow-2xl bg-white"
+                                            style={{ width: viewport.width, height: viewport.height }}
+                                        >
+                                            {rendered && (
+                                                <>
+                                                    <Page
+                                                        pageNumber={page}
+                                                        scale={scale}
+                                                        renderAnnotationLayer={false}
+                                                        renderTextLayer={isMarkupTool}
+                                                        loading={null}
+                                                    />
+
+                                                    {/* Drawing & Interaction Overlay (fingers scroll and zoom with the view tool, every other tool draws with them) */}
+                                                    <canvas
+                                                        ref={el => {
+                                                            if (el) canvasRefs.current[page] = el;
+                                                            else delete canvasRefs.current[page];
+                                                        }}
+                                                        width={Math.round(viewport.width * pixelRatio)}
+                                                        height={Math.round(viewport.height * pixelRatio)}
+                                                        style={{ width: viewport.width, height: viewport.height, touchAction: tool === 'view' ? 'pan-x pan-y pinch-zoom' : 'none' }}
+                                                        onPointerDown={(e) => handlePointerDown(e, page)}
+                                                        onPointerMove={(e) => handlePointerMove(e, page)}
+                                                        onPointerUp={handlePointerUp}
+                                                        onPointerCancel={handlePointerUp}
+                                                        onClick={(e) => handleCanvasClick(e, page)}
+                                                        onDoubleClick={(e) => handleCanvasDoubleClick(e, page)}
+                                                        className={`absolute inset-0 z-10 ${isMarkupTool ? 'pointer-events-none' : ''} ${tool === 'view' ? '' : 'cursor-crosshair'}`}
+                                                    />
+
+                                                    {/* Form Field Inputs (editable with the view tool) */}
+                                                    <FormFieldOverlay
+                                                        fields={formFields}
+                                                        values={formValues}
+                                                        page={page}
+                                                        viewport={viewport}
+                                                        scale={scale}
+                                                        interactive={tool === 'view'}
+                                                        onChange={handleFormChange}
+                                                    />
+                                                </>
+                                            )}
+
+                                            {/* Text/Note Input Overlay */}
+                                            {textInputPos && (
+                                                <div
+                                                    className={`absolute z-20 p-1 rounded shadow-lg border border-blue-500 ${textInput.type === 'note' ? 'bg-yellow-300' : 'bg-white'}`}
+                                                    style={{ left: textInputPos.x, top: textInputPos.y }}
+                                                >
+                                                    <textarea
+                                                        autoFocus
+                                                        className={`outline-none bg-transparent min-w-[150px] min-h-[50px] ${textInput.type === 'note' ? 'text-black' : 'text-black'}`}
+                                                        value={textInput.value}
+                                                        onChange={(e) => setTextInput({ ...textInput, value: e.target.value })}
+                                                        onBlur={confirmText}
+                                                        placeholder={textInput.type === 'note' ? "Sticky Note Content" : "Type text..."}
+                                                    />
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </Document>
+                        </div>
+                    ) : (
+                        <div className="bg-white p-4 rounded shadow-lg">
+                            <p className="text-black mb-4">Preview for non-PDF files: <a href={file.url} target="_blank" className="text-blue-600 underline">Open File</a></p>
+                            <img src={file.url} alt="Uploaded" className="max-w-full max-h-[80vh]" />
+                        </div>
+                    )}
+                </div>
+
+                {file.type === 'pdf' && showComments && (
+                    <CommentsPanel
+                        comments={collectComments(annotations)}
+                        selectedId={selection?.id}
+                        documentName={file.originalname || file.filename || 'document.pdf'}
+                        onSelect={handleCommentSelect}
+                        onUpdate={updateAnnotation}
+                        onClose={() => setShowComments(false)}
+                    />
                 )}
             </div>
         </div>
     );
 };
 
-const ToolButton = ({ active, onClick, icon }) => (
+const ToolButton = ({ active, onClick, icon, disabled, title }) => (
     <button
         onClick={onClick}
-        className={`px-4 py-2 rounded transition-colors ${active ? 'bg-blue-500 text-white' : 'text-gray-300 hover:bg-gray-600'}`}
+        disabled={disabled}
+        title={title}
+        className={`px-4 py-2 rounded transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${active ? 'bg-blue-500 text-white' : 'text-gray-300 hover:bg-gray-600'}`}
     >
         {icon}
     </button>
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { METADATA_FIELDS, METADATA_DATES, buildXmpPacket } from '../utils/pdfMetadata';
+
+// <input type="datetime-local"> works in local time without seconds
+const toInputValue = (date) => {
+    if (!date) return '';
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+};
+
+const fromInputValue = (value) => (value ? new Date(value) : null);
+
+// Edit the Title, Author, ... and dates a save writes into the Info dictionary and XMP,
+// or strip them all. `onApply` receives the edited metadata object (see utils/pdfMetadata).
+const PropertiesDialog = ({ metadata, onApply, onClose }) => {
+    const [draft, setDraft] = useState(metadata);
+    const [showXmp, setShowXmp] = useState(false);
+
+    const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50">
+            <div className="bg-gray-800 p-6 rounded-xl w-full max-w-2xl shadow-2xl max-h-[90vh] overflow-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">Document Properties</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">✕ Close</button>
+                </div>
+
+                <label className="flex items-center gap-2 mb-4 text-sm text-red-300">
+                    <input type="checkbox" checked={draft.strip} onChange={(e) => update({ strip: e.target.checked })} />
+                    Strip all metadata (document info, XMP and application data)
+                </label>
+
+                <fieldset disabled={draft.strip} className={`space-y-3 ${draft.strip ? 'opacity-40' : ''}`}>
+                    {Object.entries(METADATA_FIELDS).map(([name, { label }]) => (
+                        <label key={name} className="grid grid-cols-[10rem_1fr] items-center gap-2 text-sm text-gray-300">
+                            {label}
+                            <input
+                                type="text"
+                                value={draft[name]}
+                                onChange={(e) => update({ [name]: e.target.value })}
+                                placeholder={name === 'author' ? 'Separate several authors with ;' : name === 'keywords' ? 'Separate keywords with commas' : ''}
+                                className="bg-gray-900 border border-gray-600 rounded px-2 py-1"
+                            />
+                        </label>
+                    ))}
+                    {Object.entries(METADATA_DATES).map(([name, { label }]) => (
+                        <label key={name} className="grid grid-cols-[10rem_1fr] items-center gap-2 text-sm text-gray-300">
+                            {label}
+                            <input
+                                type="datetime-local"
+                                value={toInputValue(name === 'modDate' && draft.touchModDate ? null : draft[name])}
+                                disabled={name === 'modDate' && draft.touchModDate}
+                                onChange={(e) => update({ [name]: fromInputValue(e.target.value) })}
+                                className="bg-gray-900 border border-gray-600 rounded px-2 py-1 disabled:opacity-50"
+                            />
+                        </label>
+                    ))}
+                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                        <input type="checkbox" checked={draft.touchModDate} onChange={(e) => update({ touchModDate: e.target.checked })} />
+                        Set the modification date to the time of saving
+                    </label>
+
+                    <button onClick={() => setShowXmp(prev => !prev)} className="text-sm text-blue-300 hover:text-blue-200">
+                        {showXmp ? '▾' : '▸'} XMP packet written on save
+                    </button>
+                    {showXmp && (
+                        <textarea
+                            readOnly
+                            value={buildXmpPacket(draft)}
+                            rows={10}
+                            className="w-full bg-gray-900 border border-gray-600 rounded px-2 py-1 font-mono text-xs"
+                        />
+                    )}
+                </fieldset>
+
+                <div className="flex justify-end gap-2 mt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded">Cancel</button>
+                    <button onClick={() => onApply({ ...draft, edited: true })} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded font-semibold">Apply</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PropertiesDialog;
@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { PDFDocument, EncryptedPDFError } from 'pdf-lib';
+import { pdfjs } from 'react-pdf';
+import { ENCRYPTION_ALGORITHMS, PERMISSIONS, encryptPdf } from '../utils/pdfEncryption';
+import { loadMetadata, applyMetadata } from '../utils/pdfMetadata';
+import PropertiesDialog from './PropertiesDialog';
+
+pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
+
+const ALL_ALLOWED = Object.fromEntries(Object.keys(PERMISSIONS).map(name => [name, true]));
+
+// What a reader gets from the protected file: opened the way a viewer opens it, with
+// the open password, so the summary shows the file's settings rather than the form's
+const readSecuritySettings = async (bytes, userPassword) => {
+    const pdf = await pdfjs.getDocument({ data: bytes.slice(0), password: userPassword || undefined }).promise;
+    try {
+        const flags = await pdf.getPermissions(); // null: nothing restricted
+        return Object.fromEntries(Object.entries(PERMISSIONS).map(([name, { bit }]) => (
+            [name, !flags || flags.includes(1 << (bit - 1))]
+        )));
+    } finally {
+        pdf.destroy();
+    }
+};
+
+const ProtectScreen = ({ onBack }) => {
+    const [file, setFile] = useState(null);
+    const [userPassword, setUserPassword] = useState('');
+    const [ownerPassword, setOwnerPassword] = useState('');
+    const [showPasswords, setShowPasswords] = useState(false);
+    const [algorithm, setAlgorithm] = useState('aes-256');
+    const [permissions, setPermissions] = useState(ALL_ALLOWED);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [result, setResult] = useState(null); // Settings of the last protected file
+    const [metadata, setMetadata] = useState(null);
+    const [showProperties, setShowProperties] = useState(false);
+
+    const handleFileChange = (e) => {
+        if (e.target.files && e.target.files[0]) {
+            const selected = e.target.files[0];
+            if (selected.type !== 'application/pdf') {
+                alert("Only PDF files are supported.");
+                return;
+            }
+            setFile(selected);
+            setResult(null);
+            setMetadata(null);
+            loadMetadata(selected)
+                .then(setMetadata)
+                .catch(err => console.error("Metadata read error:", err));
+        }
+    };
+
+    const isRestricted = Object.values(permissions).some(allowed => !allowed);
+
+    const handleProtect = async () => {
+        if (!file || (!userPassword && !ownerPassword)) {
+            alert("Please provide a file and at least one password.");
+            return;
+        }
+        if (isRestricted && userPassword && userPassword === ownerPassword) {
+            alert("The owner password must differ from the open password; otherwise anyone who can open the file can lift the restrictions.");
+            return;
+        }
+
+        setIsProcessing(true);
+        setResult(null);
+        try {
+            let bytes = await file.arrayBuffer();
+            if (metadata?.edited) {
+                const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+                applyMetadata(pdfDoc, metadata);
+                bytes = await pdfDoc.save();
+            }
+            const encrypted = await encryptPdf(bytes, { userPassword, ownerPassword, algorithm, permissions });
+            // Fail closed: only a file that opens with the chosen password is handed out
+            const verified = await readSecuritySettings(encrypted, userPassword);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([encrypted], { type: 'application/pdf' }));
+            link.download = `protected_${file.name}`;
+            link.click();
+
+            setResult({
+                fileName: link.download,
+                algorithm,
+                openPassword: !!userPassword,
+                ownerPassword: !!ownerPassword,
+                permissions: verified
+            });
+        } catch (err) {
+            console.error(err);
+            const message = err instanceof EncryptedPDFError
+                ? 'This PDF is already password protected. Unlock it first.'
+                : err.message;
+            alert("Protect failed, nothing was downloaded: " + message);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const canProtect = file && (userPassword || ownerPassword) && !isProcessing;
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center py-10" >
+            <div className="w-full max-w-xl bg-gray-800 p-8 rounded-xl shadow-2xl">
+                <div className="flex justify-between items-center mb-8">
+                    <h2 className="text-2xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-amber-400 to-red-500">
+                        Protect PDF
+                    </h2>
+                    <button onClick={onBack} className="text-gray-400 hover:text-white transition-colors">
+                        ✕ Close
+                    </button>
+                </div>
+
+                <div className="space-y-6">
+                    {/* Upload Area */}
+                    <div className="border-2 border-dashed border-gray-600 rounded-lg p-10 text-center hover:border-amber-500 hover:bg-gray-700/30 transition-all cursor-pointer relative">
+                        <input
+                            type="file"
+                            accept="application/pdf"
+                            onChange={handleFileChange}
+                            className="absolute inset-0 opacity-0 cursor-pointer"
+                        />
+                        <div className="text-gray-300">
+                            {file ? (
+                                <div>
+                                    <span className="text-4xl block mb-2">📄</span>
+                                    <p className="text-lg font-semibold text-amber-400">{file.name}</p>
+                                    <p className="text-sm text-gray-400">{(file.size / 1024 / 1024).toFixed(2)} MB</p>
+                                </div>
+                            ) : (
+                                <div>
+                                    <span className="text-4xl block mb-2">⬇️</span>
+                                    <p className="text-xl font-semibold mb-2">Upload PDF</p>
+                                    <p className="text-sm text-gray-400">Encrypted in your browser; the file is never uploaded</p>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Passwords */}
+                    <div className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-2">Open Password</label>
+                            <input
+                                type={showPasswords ? 'text' : 'password'}
+                                value={userPassword}
+                                onChange={(e) => setUserPassword(e.target.value)}
+                                className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white focus:outline-none focus:border-amber-500 transition-colors"
+                                placeholder="Needed to open the file (optional)"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-2">Owner Password</label>
+                            <input
+                                type={showPasswords ? 'text' : 'password'}
+                                value={ownerPassword}
+                                onChange={(e) => setOwnerPassword(e.target.value)}
+                                className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white focus:outline-none focus:border-amber-500 transition-colors"
+                                placeholder="Needed to change the permissions"
+                            />
+                            {!ownerPassword && (
+                                <p className="mt-1 text-xs text-gray-500">Without one, a random owner password is used and nobody can lift the restrictions later.</p>
+                            )}
+                        </div>
+                        <label className="flex items-center gap-2 text-sm text-gray-400">
+                            <input type="checkbox" checked={showPasswords} onChange={(e) => setShowPasswords(e.target.checked)} />
+                            Show passwords
+                        </label>
+                    </div>
+
+                    {/* Encryption */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-2">Encryption</label>
+                        <select
+                            value={algorithm}
+                            onChange={(e) => setAlgorithm(e.target.value)}
+                            className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white focus:outline-none focus:border-amber-500"
+                        >
+                            {Object.entries(ENCRYPTION_ALGORITHMS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Permissions */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-2">Allow readers to</label>
+                        <div className="grid grid-cols-2 gap-2">
+                            {Object.entries(PERMISSIONS).map(([name, { label }]) => (
+                                <label key={name} className="flex items-center gap-2 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        checked={permissions[name]}
+                                        onChange={(e) => setPermissions(prev => ({ ...prev, [name]: e.target.checked }))}
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                        <p className="mt-2 text-xs text-gray-500">Viewers enforce permissions, not the encryption itself; only the open password keeps the content private.</p>
+                    </div>
+
+                    <button
+                        onClick={() => setShowProperties(true)}
+                        disabled={!metadata}
+                        className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm disabled:opacity-50"
+                    >
+                        📋 Document Properties...
+                    </button>
+
+                    {/* Action Button */}
+                    <button
+                        onClick={handleProtect}
+                        disabled={!canProtect}
+                        className={`w-full py-4 rounded-lg font-bold text-lg shadow-lg transform transition-all
+                            ${canProtect
+                                ? 'bg-gradient-to-r from-amber-500 to-red-600 hover:scale-[1.02] active:scale-[0.98] text-white'
+                                : 'bg-gray-700 text-gray-500 cursor-not-allowed'}`}
+                    >
+                        {isProcessing ? (
+                            <span className="flex items-center justify-center">
+                                <span className="animate-spin h-5 w-5 border-t-2 border-white rounded-full mr-2"></span>
+                                Encrypting...
+                            </span>
+                        ) : 'Protect PDF 🔐'}
+                    </button>
+
+                    {/* Resulting Settings */}
+                    {result && (
+                        <div className="bg-gray-900 border border-gray-700 rounded-lg p-4 text-sm space-y-2">
+                            <p className="font-semibold text-green-400">Downloaded {result.fileName}</p>
+                            <dl className="grid grid-cols-2 gap-x-4 gap-y-1">
+                                <dt className="text-gray-400">Encryption</dt>
+                                <dd>{ENCRYPTION_ALGORITHMS[result.algorithm]}</dd>
+                                <dt className="text-gray-400">Open password</dt>
+                                <dd>{result.openPassword ? 'Required' : 'None (anyone can open it)'}</dd>
+                                <dt className="text-gray-400">Owner password</dt>
+                                <dd>{result.ownerPassword ? 'Set' : 'Random (restrictions are permanent)'}</dd>
+                            </dl>
+                            <ul className="grid grid-cols-2 gap-x-4 gap-y-1 pt-2 border-t border-gray-700">
+                                {Object.entries(PERMISSIONS).map(([name, { label }]) => (
+                                    <li key={name} className={result.permissions[name] ? 'text-gray-200' : 'text-red-400'}>
+                                        {result.permissions[name] ? '✓' : '✕'} {label}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {showProperties && (
+                <PropertiesDialog
+                    metadata={metadata}
+                    onApply={(next) => { setMetadata(next); setShowProperties(false); }}
+                    onClose={() => setShowProperties(false)}
+                />
+            )}
+        </div >
+    );
+};
+
+export default ProtectScreen;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+
+// Controls for the redact tool: mark every match of a search, clear the marks, and
+// apply them (applying happens on save, which removes the marked content for good).
+const RedactionPanel = ({ markedCount, onMarkMatches, onClear, onApply }) => {
+    const [query, setQuery] = useState('');
+    const [caseSensitive, setCaseSensitive] = useState(false);
+    const [isSearching, setIsSearching] = useState(false);
+
+    const handleMark = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+        setIsSearching(true);
+        try {
+            await onMarkMatches(query, { caseSensitive });
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    return (
+        <div className="flex items-center justify-center gap-6 px-4 py-2 bg-gray-800 border-t border-gray-700 text-sm z-10">
+            <span className="text-gray-400">Drag over a page to mark an area, or</span>
+            <form onSubmit={handleMark} className="flex items-center gap-2">
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Text to redact"
+                    className="w-48 bg-gray-900 border border-gray-600 rounded px-2 py-1"
+                />
+                <label className="flex items-center gap-1 text-gray-300" title="Match case">
+                    <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} />
+                    Aa
+                </label>
+                <button type="submit" disabled={isSearching || !query.trim()} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">
+                    {isSearching ? 'Searching...' : 'Mark all matches'}
+                </button>
+            </form>
+            <span className="text-gray-300">{markedCount} area{markedCount === 1 ? '' : 's'} marked</span>
+            <button onClick={onClear} disabled={markedCount === 0} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">Clear marks</button>
+            <button
+                onClick={onApply}
+                disabled={markedCount === 0}
+                title="Saves a copy with the marked content removed. Pages with redactions are converted to images."
+                className="px-3 py-1 bg-red-700 hover:bg-red-600 rounded font-semibold disabled:opacity-50"
+            >
+                Apply redactions & save
+            </button>
+        </div>
+    );
+};
+
+export default RedactionPanel;
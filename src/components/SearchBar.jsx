@@ -0,0 +1,64 @@
+import React, { useRef, useEffect } from 'react';
+
+const OPTION_TOGGLES = [
+    { key: 'caseSensitive', label: 'Aa', title: 'Match case' },
+    { key: 'wholeWord', label: 'ab|', title: 'Whole words' },
+    { key: 'regex', label: '.*', title: 'Regular expression' }
+];
+
+// Find bar for the editor. Enter / Shift+Enter step through the hits, Escape closes.
+const SearchBar = ({ focusRequest, query, options, hitCount, activeHit, isSearching, error, onChange, onNext, onPrev, onClose }) => {
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+        inputRef.current?.select();
+    }, [focusRequest]);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.shiftKey) onPrev();
+            else onNext();
+        } else if (e.key === 'Escape') {
+            onClose();
+        }
+    };
+
+    let status = '';
+    if (error) status = error;
+    else if (isSearching) status = 'Searching...';
+    else if (query) status = hitCount > 0 ? `${activeHit + 1} / ${hitCount}` : 'No results';
+
+    return (
+        <div className="flex items-center justify-center gap-3 px-4 py-2 bg-gray-800 border-t border-gray-700 text-sm z-10">
+            <input
+                ref={inputRef}
+                type="text"
+                value={query}
+                onChange={(e) => onChange(e.target.value, options)}
+                onKeyDown={handleKeyDown}
+                placeholder="Find in document"
+                className={`w-64 bg-gray-900 border rounded px-2 py-1 outline-none ${error ? 'border-red-500' : 'border-gray-600 focus:border-blue-500'}`}
+            />
+            <div className="flex bg-gray-700 rounded">
+                {OPTION_TOGGLES.map(({ key, label, title }) => (
+                    <button
+                        key={key}
+                        onClick={() => onChange(query, { ...options, [key]: !options[key] })}
+                        title={title}
+                        className={`px-2 py-1 rounded font-mono ${options[key] ? 'bg-blue-500 text-white' : 'text-gray-300 hover:bg-gray-600'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <span className={`w-28 text-center ${error ? 'text-red-400' : 'text-gray-400'}`}>{status}</span>
+            <button disabled={hitCount === 0} onClick={onPrev} title="Previous (Shift+Enter)" className="px-3 py-1 bg-gray-700 rounded disabled:opacity-50">↑</button>
+            <button disabled={hitCount === 0} onClick={onNext} title="Next (Enter)" className="px-3 py-1 bg-gray-700 rounded disabled:opacity-50">↓</button>
+            <button onClick={onClose} title="Close (Esc)" className="text-gray-400 hover:text-white">✕</button>
+        </div>
+    );
+};
+
+export default SearchBar;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { SHORTCUTS, formatCombo } from '../utils/shortcuts';
+
+// Cheat sheet of a screen's keyboard shortcuts, grouped as in utils/shortcuts
+const ShortcutHelp = ({ scope, onClose }) => {
+    const groups = [];
+    SHORTCUTS[scope].forEach(shortcut => {
+        let group = groups.find(g => g.name === shortcut.group);
+        if (!group) {
+            group = { name: shortcut.group, shortcuts: [] };
+            groups.push(group);
+        }
+        group.shortcuts.push(shortcut);
+    });
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-gray-800 p-6 rounded-xl w-full max-w-2xl shadow-2xl max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">Keyboard Shortcuts</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">✕ Close</button>
+                </div>
+                <div className="grid grid-cols-2 gap-x-8 gap-y-4 text-sm">
+                    {groups.map(group => (
+                        <div key={group.name}>
+                            <h4 className="text-gray-400 mb-2">{group.name}</h4>
+                            {group.shortcuts.map(shortcut => (
+                                <div key={shortcut.id} className="flex justify-between items-center py-1 border-b border-gray-700">
+                                    <span>{shortcut.label}</span>
+                                    <span className="flex gap-1">
+                                        {shortcut.keys.map(combo => (
+                                            <kbd key={combo} className="px-1.5 py-0.5 bg-gray-700 rounded text-xs font-mono">{formatCombo(combo)}</kbd>
+                                        ))}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-4">Shortcuts are ignored while typing in a text field.</p>
+            </div>
+        </div>
+    );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,281 @@
+import React, { useState, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    SCRIPT_FONT,
+    loadSignatures,
+    saveSignatures,
+    trimCanvas,
+    renderTypedSignature,
+    imageFileToSignature,
+    formatSignDate
+} from '../utils/signatures';
+import { pressureWidth } from '../utils/ink';
+
+const INK_COLORS = { Black: '#000000', Blue: '#1a3ea8' };
+const PAD_LINE_WIDTH = 4; // Pad pixels, before pen pressure
+
+// Create signatures/initials (drawn, typed or uploaded), pick one from the local
+// library to place, or place a date field. `onPlace` receives a library entry.
+const SignatureDialog = ({ onPlace, onPlaceDate, onClose }) => {
+    const [library, setLibrary] = useState(loadSignatures);
+    const [kind, setKind] = useState('signature'); // signature | initials
+    const [mode, setMode] = useState('draw'); // draw | type | upload
+    const [color, setColor] = useState(INK_COLORS.Black);
+    const [typedText, setTypedText] = useState('');
+    const [hasInk, setHasInk] = useState(false);
+    const padRef = useRef(null);
+    const strokeRef = useRef(null); // { pointerId, last, mid } while a pointer is drawing on the pad
+    const penSeenRef = useRef(false); // Palm rejection, as in the editor
+    const uploadRef = useRef(null);
+
+    const updateLibrary = (next) => {
+        try {
+            saveSignatures(next);
+        } catch (err) {
+            alert(err.message);
+            return false;
+        }
+        setLibrary(next);
+        return true;
+    };
+
+    const addAndPlace = (dataUrl) => {
+        const entry = { id: uuidv4(), kind, dataUrl, createdAt: Date.now() };
+        if (updateLibrary([entry, ...library])) onPlace(entry);
+    };
+
+    const handleDelete = (id) => {
+        if (!confirm("Delete this saved signature?")) return;
+        updateLibrary(library.filter(entry => entry.id !== id));
+    };
+
+    // --- Drawing Pad ---
+    const getPadPoint = (e) => {
+        const canvas = padRef.current;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    };
+
+    const padLineWidth = (e) => (e.pointerType === 'pen' ? pressureWidth(PAD_LINE_WIDTH, e.pressure) : PAD_LINE_WIDTH);
+
+    const startInk = (e) => {
+        if (e.pointerType === 'pen') penSeenRef.current = true;
+        if (strokeRef.current || e.button !== 0 || (e.pointerType === 'touch' && penSeenRef.current)) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const ctx = padRef.current.getContext('2d');
+        const point = getPadPoint(e);
+        ctx.strokeStyle = color;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = padLineWidth(e);
+        ctx.beginPath();
+        ctx.moveTo(point.x, point.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+        strokeRef.current = { pointerId: e.pointerId, last: point, mid: point };
+        setHasInk(true);
+    };
+
+    // Each sample adds a curve between the midpoints around the previous one, drawn at that
+    // sample's pressure, so the line is smooth and its width follows the pen
+    const drawInk = (e) => {
+        const stroke = strokeRef.current;
+        if (!stroke || stroke.pointerId !== e.pointerId) return;
+        const ctx = padRef.current.getContext('2d');
+        const samples = e.nativeEvent.getCoalescedEvents?.() || [];
+        (samples.length > 0 ? samples : [e.nativeEvent]).forEach(sample => {
+            const point = getPadPoint(sample);
+            const mid = { x: (stroke.last.x + point.x) / 2, y: (stroke.last.y + point.y) / 2 };
+            ctx.lineWidth = padLineWidth(sample);
+            ctx.beginPath();
+            ctx.moveTo(stroke.mid.x, stroke.mid.y);
+            ctx.quadraticCurveTo(stroke.last.x, stroke.last.y, mid.x, mid.y);
+            ctx.stroke();
+            stroke.last = point;
+            stroke.mid = mid;
+        });
+    };
+
+    const endInk = (e) => {
+        const stroke = strokeRef.current;
+        if (!stroke || stroke.pointerId !== e.pointerId) return;
+        const ctx = padRef.current.getContext('2d');
+        ctx.beginPath();
+        ctx.moveTo(stroke.mid.x, stroke.mid.y);
+        ctx.lineTo(stroke.last.x, stroke.last.y);
+        ctx.stroke();
+        strokeRef.current = null;
+    };
+
+    const clearPad = () => {
+        const canvas = padRef.current;
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        setHasInk(false);
+    };
+
+    // --- Create ---
+    const handleCreate = async () => {
+        try {
+            if (mode === 'draw') {
+                const dataUrl = trimCanvas(padRef.current);
+                if (!dataUrl) {
+                    alert("Draw your signature first.");
+                    return;
+                }
+                addAndPlace(dataUrl);
+            } else if (mode === 'type') {
+                if (!typedText.trim()) {
+                    alert("Type your name first.");
+                    return;
+                }
+                addAndPlace(await renderTypedSignature(typedText.trim(), color));
+            }
+        } catch (err) {
+            console.error("Signature error:", err);
+            alert(`Failed to create signature: ${err.message}`);
+        }
+    };
+
+    const handleUpload = async (e) => {
+        const imageFile = e.target.files?.[0];
+        e.target.value = '';
+        if (!imageFile) return;
+        try {
+            addAndPlace(await imageFileToSignature(imageFile));
+        } catch (err) {
+            console.error("Signature upload error:", err);
+            alert(`Failed to load signature: ${err.message}`);
+        }
+    };
+
+    const saved = library.filter(entry => entry.kind === kind);
+    const label = kind === 'initials' ? 'initials' : 'signature';
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50">
+            <div className="bg-gray-800 p-6 rounded-xl w-full max-w-2xl shadow-2xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">Sign Document</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">✕ Close</button>
+                </div>
+
+                <div className="flex items-center gap-2 mb-4">
+                    {[['signature', 'Signature'], ['initials', 'Initials']].map(([value, text]) => (
+                        <button
+                            key={value}
+                            onClick={() => {
+                                setKind(value);
+                                setHasInk(false); // The pad is resized (and cleared) for initials
+                            }}
+                            className={`px-4 py-1 rounded ${kind === value ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            {text}
+                        </button>
+                    ))}
+                    <div className="flex-1"></div>
+                    <button
+                        onClick={onPlaceDate}
+                        title="Click on a page to stamp today's date"
+                        className="px-4 py-1 rounded bg-gray-700 hover:bg-gray-600"
+                    >
+                        📅 Date ({formatSignDate()})
+                    </button>
+                </div>
+
+                {/* Saved Library */}
+                <div className="mb-6">
+                    <h4 className="text-sm text-gray-400 mb-2">Saved {label}s — click to place</h4>
+                    {saved.length > 0 ? (
+                        <div className="grid grid-cols-3 gap-3">
+                            {saved.map(entry => (
+                                <div key={entry.id} className="relative group">
+                                    <button
+                                        onClick={() => onPlace(entry)}
+                                        className="w-full h-20 bg-white rounded flex items-center justify-center p-2 hover:ring-2 hover:ring-blue-500"
+                                    >
+                                        <img src={entry.dataUrl} alt={`Saved ${label}`} className="max-w-full max-h-full" />
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(entry.id)}
+                                        title="Delete"
+                                        className="absolute top-1 right-1 w-6 h-6 rounded-full bg-red-600 text-xs opacity-0 group-hover:opacity-100"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-500">No saved {label}s yet.</p>
+                    )}
+                </div>
+
+                {/* Create New */}
+                <div className="flex items-center gap-2 mb-3">
+                    <h4 className="text-sm text-gray-400 mr-2">New {label}:</h4>
+                    {[['draw', 'Draw'], ['type', 'Type'], ['upload', 'Upload']].map(([value, text]) => (
+                        <button
+                            key={value}
+                            onClick={() => setMode(value)}
+                            className={`px-3 py-1 rounded text-sm ${mode === value ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            {text}
+                        </button>
+                    ))}
+                    {mode !== 'upload' && (
+                        <select value={color} onChange={(e) => setColor(e.target.value)} className="ml-auto bg-gray-700 rounded px-2 py-1 text-sm">
+                            {Object.entries(INK_COLORS).map(([name, value]) => (
+                                <option key={value} value={value}>{name} ink</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+
+                {mode === 'draw' && (
+                    <canvas
+                        ref={padRef}
+                        width={1200}
+                        height={kind === 'initials' ? 400 : 300}
+                        onPointerDown={startInk}
+                        onPointerMove={drawInk}
+                        onPointerUp={endInk}
+                        onPointerCancel={endInk}
+                        className="w-full bg-white rounded cursor-crosshair"
+                        style={{ aspectRatio: kind === 'initials' ? '3 / 1' : '4 / 1', touchAction: 'none' }}
+                    />
+                )}
+                {mode === 'type' && (
+                    <input
+                        type="text"
+                        value={typedText}
+                        onChange={(e) => setTypedText(e.target.value)}
+                        placeholder={kind === 'initials' ? 'Your initials' : 'Your full name'}
+                        className="w-full h-24 bg-white rounded px-4 text-4xl outline-none"
+                        style={{ fontFamily: `"${SCRIPT_FONT}", cursive`, color }}
+                    />
+                )}
+                {mode === 'upload' && (
+                    <div className="flex flex-col items-center justify-center h-24 border-2 border-dashed border-gray-600 rounded text-sm text-gray-400">
+                        <p className="mb-2">A PNG with a transparent background works best.</p>
+                        <button onClick={() => uploadRef.current?.click()} className="px-4 py-1 bg-gray-700 hover:bg-gray-600 rounded">Choose image…</button>
+                        <input type="file" accept="image/*" ref={uploadRef} className="hidden" onChange={handleUpload} />
+                    </div>
+                )}
+
+                {mode !== 'upload' && (
+                    <div className="flex justify-end gap-2 mt-4">
+                        {mode === 'draw' && (
+                            <button onClick={clearPad} disabled={!hasInk} className="px-4 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">Clear</button>
+                        )}
+                        <button onClick={handleCreate} className="px-4 py-1 bg-green-600 hover:bg-green-500 rounded font-semibold">Save & Place</button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SignatureDialog;
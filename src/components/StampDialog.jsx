@@ -0,0 +1,163 @@
+import React, { useState, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    BUILT_IN_STAMPS,
+    STAMP_FIELDS,
+    STAMP_COLORS,
+    fillStampTemplate,
+    loadCustomStamps,
+    saveCustomStamps
+} from '../utils/stamps';
+import { loadUserName, saveUserName } from '../utils/userProfile';
+
+const StampPreview = ({ stamp, userName }) => {
+    const text = fillStampTemplate(stamp.text, { page: 1, numPages: 1, userName: userName || 'Your name' });
+    return (
+        <div
+            className="inline-block px-3 py-1 text-center whitespace-pre leading-tight"
+            style={{ color: stamp.color, border: `2px solid ${stamp.color}`, outline: `1px solid ${stamp.color}`, outlineOffset: '-5px' }}
+        >
+            {text}
+        </div>
+    );
+};
+
+// Pick a built-in or custom stamp to place, or define a custom one. Template fields
+// are filled in when the stamp is placed; `onPlace` receives the stamp definition
+// and the user name to fill in.
+const StampDialog = ({ onPlace, onClose }) => {
+    const [custom, setCustom] = useState(loadCustomStamps);
+    const [userName, setUserName] = useState(loadUserName);
+    const [template, setTemplate] = useState('');
+    const [color, setColor] = useState(STAMP_COLORS.Red);
+    const templateRef = useRef(null);
+
+    const handleUserNameChange = (value) => {
+        setUserName(value);
+        saveUserName(value.trim());
+    };
+
+    const place = (stamp) => {
+        if (stamp.text.includes('{user}') && !userName.trim()) {
+            alert("Enter your name first; this stamp includes it.");
+            return;
+        }
+        onPlace(stamp, userName.trim());
+    };
+
+    const updateCustom = (next) => {
+        try {
+            saveCustomStamps(next);
+        } catch (err) {
+            alert(err.message);
+            return false;
+        }
+        setCustom(next);
+        return true;
+    };
+
+    const handleDelete = (id) => {
+        if (!confirm("Delete this custom stamp?")) return;
+        updateCustom(custom.filter(stamp => stamp.id !== id));
+    };
+
+    // Insert a field token at the cursor
+    const insertField = (token) => {
+        const input = templateRef.current;
+        const start = input?.selectionStart ?? template.length;
+        const end = input?.selectionEnd ?? template.length;
+        setTemplate(template.slice(0, start) + token + template.slice(end));
+        requestAnimationFrame(() => {
+            input?.focus();
+            input?.setSelectionRange(start + token.length, start + token.length);
+        });
+    };
+
+    const handleCreate = () => {
+        const text = template.trim();
+        if (!text) {
+            alert("Type the stamp text first.");
+            return;
+        }
+        const stamp = { id: uuidv4(), text, color, createdAt: Date.now() };
+        if (updateCustom([stamp, ...custom])) place(stamp);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50">
+            <div className="bg-gray-800 p-6 rounded-xl w-full max-w-2xl shadow-2xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">Stamps</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">✕ Close</button>
+                </div>
+
+                <label className="flex items-center gap-2 mb-4 text-sm text-gray-300">
+                    Your name
+                    <input
+                        type="text"
+                        value={userName}
+                        onChange={(e) => handleUserNameChange(e.target.value)}
+                        placeholder="Filled into {user}"
+                        className="flex-1 bg-gray-900 border border-gray-600 rounded px-2 py-1"
+                    />
+                </label>
+
+                {/* Library */}
+                <h4 className="text-sm text-gray-400 mb-2">Click a stamp, then click on a page to place it</h4>
+                <div className="grid grid-cols-3 gap-3 mb-6 max-h-64 overflow-auto">
+                    {[...BUILT_IN_STAMPS, ...custom].map(stamp => (
+                        <div key={stamp.id} className="relative group">
+                            <button
+                                onClick={() => place(stamp)}
+                                className="w-full h-20 bg-white rounded flex items-center justify-center p-2 hover:ring-2 hover:ring-blue-500 overflow-hidden text-xs"
+                            >
+                                <StampPreview stamp={stamp} userName={userName} />
+                            </button>
+                            {!BUILT_IN_STAMPS.includes(stamp) && (
+                                <button
+                                    onClick={() => handleDelete(stamp.id)}
+                                    title="Delete"
+                                    className="absolute top-1 right-1 w-6 h-6 rounded-full bg-red-600 text-xs opacity-0 group-hover:opacity-100"
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                {/* Create Custom */}
+                <h4 className="text-sm text-gray-400 mb-2">New custom stamp</h4>
+                <textarea
+                    ref={templateRef}
+                    value={template}
+                    onChange={(e) => setTemplate(e.target.value)}
+                    placeholder={'e.g. PAID\non {date}'}
+                    rows={2}
+                    className="w-full bg-gray-900 border border-gray-600 rounded px-2 py-1 mb-2 font-mono text-sm"
+                />
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="text-gray-400">Insert:</span>
+                    {STAMP_FIELDS.map(({ token, label }) => (
+                        <button key={token} onClick={() => insertField(token)} title={token} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded">
+                            {label}
+                        </button>
+                    ))}
+                    <select value={color} onChange={(e) => setColor(e.target.value)} className="ml-auto bg-gray-700 rounded px-2 py-1">
+                        {Object.entries(STAMP_COLORS).map(([name, value]) => (
+                            <option key={value} value={value}>{name}</option>
+                        ))}
+                    </select>
+                    <button onClick={handleCreate} className="px-4 py-1 bg-green-600 hover:bg-green-500 rounded font-semibold">Save & Place</button>
+                </div>
+                {template.trim() && (
+                    <div className="mt-3 bg-white rounded p-3 text-center text-sm">
+                        <StampPreview stamp={{ text: template.trim(), color }} userName={userName} />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default StampDialog;
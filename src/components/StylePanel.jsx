@@ -0,0 +1,137 @@
+import React, { useRef } from 'react';
+import { TOOL_STYLE_FIELDS } from '../utils/annotationStyles';
+import { getFontFamilies, registerCustomFont } from '../utils/fonts';
+
+const UPLOAD_FONT = '__upload__';
+
+// Style controls for the active editor tool. Only the fields that apply to the
+// tool are shown; `onChange` receives a partial style to merge.
+const StylePanel = ({ tool, style, onChange }) => {
+    const fontInputRef = useRef(null);
+    const fields = TOOL_STYLE_FIELDS[tool];
+    if (!fields || !style) return null;
+
+    let colorLabel = 'Stroke';
+    if (tool === 'text' || tool === 'note') colorLabel = 'Text';
+    else if (tool === 'callout') colorLabel = 'Line & text';
+
+    const handleFontSelect = (value) => {
+        if (value === UPLOAD_FONT) {
+            fontInputRef.current?.click();
+            return;
+        }
+        onChange({ fontFamily: value });
+    };
+
+    const handleFontUpload = async (e) => {
+        const fontFile = e.target.files?.[0];
+        e.target.value = '';
+        if (!fontFile) return;
+        try {
+            onChange({ fontFamily: await registerCustomFont(fontFile) });
+        } catch (err) {
+            console.error("Font upload error:", err);
+            alert(`Failed to load font: ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="flex items-center justify-center gap-6 px-4 py-2 bg-gray-800 border-t border-gray-700 text-sm z-10">
+            {fields.includes('strokeColor') && (
+                <label className="flex items-center gap-2 text-gray-300">
+                    {colorLabel}
+                    <input
+                        type="color"
+                        value={style.strokeColor}
+                        onChange={(e) => onChange({ strokeColor: e.target.value })}
+                        className="w-8 h-6 bg-transparent cursor-pointer"
+                    />
+                </label>
+            )}
+
+            {fields.includes('fillColor') && (
+                <label className="flex items-center gap-2 text-gray-300">
+                    Fill
+                    <input
+                        type="checkbox"
+                        checked={!!style.fillColor}
+                        onChange={(e) => onChange({ fillColor: e.target.checked ? '#ffffff' : null })}
+                    />
+                    {style.fillColor && (
+                        <input
+                            type="color"
+                            value={style.fillColor}
+                            onChange={(e) => onChange({ fillColor: e.target.value })}
+                            className="w-8 h-6 bg-transparent cursor-pointer"
+                        />
+                    )}
+                </label>
+            )}
+
+            {fields.includes('strokeWidth') && (
+                <label className="flex items-center gap-2 text-gray-300">
+                    Width: {style.strokeWidth}
+                    <input
+                        type="range"
+                        min="1"
+                        max="40"
+                        value={style.strokeWidth}
+                        onChange={(e) => onChange({ strokeWidth: Number(e.target.value) })}
+                    />
+                </label>
+            )}
+
+            {fields.includes('opacity') && (
+                <label className="flex items-center gap-2 text-gray-300">
+                    Opacity: {Math.round(style.opacity * 100)}%
+                    <input
+                        type="range"
+                        min="0.1"
+                        max="1"
+                        step="0.05"
+                        value={style.opacity}
+                        onChange={(e) => onChange({ opacity: Number(e.target.value) })}
+                    />
+                </label>
+            )}
+
+            {fields.includes('fontFamily') && (
+                <>
+                    <select
+                        value={style.fontFamily}
+                        onChange={(e) => handleFontSelect(e.target.value)}
+                        className="bg-gray-700 rounded px-2 py-1"
+                    >
+                        {getFontFamilies().map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                        <option value={UPLOAD_FONT}>Upload TTF/OTF…</option>
+                    </select>
+                    <input
+                        type="file"
+                        accept=".ttf,.otf,font/ttf,font/otf"
+                        ref={fontInputRef}
+                        className="hidden"
+                        onChange={handleFontUpload}
+                    />
+                </>
+            )}
+
+            {fields.includes('fontSize') && (
+                <label className="flex items-center gap-2 text-gray-300">
+                    Size
+                    <input
+                        type="number"
+                        min="6"
+                        max="96"
+                        value={style.fontSize}
+                        onChange={(e) => onChange({ fontSize: Number(e.target.value) || style.fontSize })}
+                        className="w-16 bg-gray-900 border border-gray-600 rounded px-2 py-1"
+                    />
+                </label>
+            )}
+        </div>
+    );
+};
+
+export default StylePanel;
@@ -1,6 +1,6 @@
 import React, { useState, useRef } from 'react';
 
-const UploadScreen = ({ onFilePayload, onMergeClick, onCompressClick, onUnlockClick, onWatermarkClick, onOrganizeClick }) => {
+const UploadScreen = ({ onFilePayload, onMergeClick, onCompressClick, onUnlockClick, onProtectClick, onWatermarkClick, onOrganizeClick }) => {
     const [dragActive, setDragActive] = useState(false);
     const [error, setError] = useState(null);
     const inputRef = useRef(null);
@@ -141,6 +141,13 @@ const UploadScreen = ({ onFilePayload, onMergeClick, onCompressClick, onUnlockCl
                         <span className="text-xl">🔓</span>
                         <span>Unlock Helper</span>
                     </button>
+                    <button
+                        onClick={onProtectClick}
+                        className="px-6 py-3 bg-gray-800 hover:bg-gray-700 text-amber-300 font-semibold rounded-lg border border-amber-500/30 transition-all flex items-center space-x-2"
+                    >
+                        <span className="text-xl">🔐</span>
+                        <span>Protect PDF</span>
+                    </button>
                     <button
                         onClick={onWatermarkClick}
                         className="px-6 py-3 bg-gray-800 hover:bg-gray-700 text-cyan-300 font-semibold rounded-lg border border-cyan-500/30 transition-all flex items-center space-x-2"
@@ -1,5 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { PDFDocument, rgb, degrees } from 'pdf-lib';
+import { getFontFamilies, registerCustomFont, createFontCache, embedTextFont, describeMissingGlyphs } from '../utils/fonts';
+import { loadMetadata, applyMetadata } from '../utils/pdfMetadata';
+import PropertiesDialog from './PropertiesDialog';
 
 const WatermarkScreen = ({ onBack }) => {
     const [file, setFile] = useState(null);
@@ -7,7 +10,11 @@ const WatermarkScreen = ({ onBack }) => {
     const [color, setColor] = useState('#FF0000');
     const [opacity, setOpacity] = useState(0.5);
     const [size, setSize] = useState(50);
+    const [fontFamily, setFontFamily] = useState('Helvetica');
+    const fontInputRef = useRef(null);
     const [isProcessing, setIsProcessing] = useState(false);
+    const [metadata, setMetadata] = useState(null);
+    const [showProperties, setShowProperties] = useState(false);
 
     const handleFileChange = (e) => {
         if (e.target.files && e.target.files[0]) {
@@ -17,6 +24,22 @@ const WatermarkScreen = ({ onBack }) => {
                 return;
             }
             setFile(selected);
+            setMetadata(null);
+            loadMetadata(selected)
+                .then(setMetadata)
+                .catch(err => console.error("Metadata read error:", err));
+        }
+    };
+
+    const handleFontUpload = async (e) => {
+        const fontFile = e.target.files?.[0];
+        e.target.value = '';
+        if (!fontFile) return;
+        try {
+            setFontFamily(await registerCustomFont(fontFile));
+        } catch (err) {
+            console.error(err);
+            alert("Failed to load font: " + err.message);
         }
     };
 
@@ -26,7 +49,7 @@ const WatermarkScreen = ({ onBack }) => {
         setIsProcessing(true);
         try {
             const arrayBuffer = await file.arrayBuffer();
-            const pdfDoc = await PDFDocument.load(arrayBuffer);
+            const pdfDoc = await PDFDocument.load(arrayBuffer, { updateMetadata: false });
             const pages = pdfDoc.getPages();
 
             // Convert hex color to rgb
@@ -35,18 +58,24 @@ const WatermarkScreen = ({ onBack }) => {
             const b = parseInt(color.slice(5, 7), 16) / 255;
             const rgbColor = rgb(r, g, b);
 
+            // Falls back to a Unicode font when the chosen one can't draw the text
+            const fontCache = createFontCache();
+            const font = await embedTextFont(pdfDoc, fontCache, fontFamily, text);
+
             for (const page of pages) {
                 const { width, height } = page.getSize();
                 page.drawText(text, {
                     x: width / 2 - (size * text.length) / 4, // Rough centering
                     y: height / 2,
                     size: Number(size),
+                    font,
                     color: rgbColor,
                     opacity: Number(opacity),
                     rotate: degrees(45),
                 });
             }
 
+            applyMetadata(pdfDoc, metadata);
             const pdfBytes = await pdfDoc.save();
             const blob = new Blob([pdfBytes], { type: 'application/pdf' });
 
@@ -56,7 +85,8 @@ const WatermarkScreen = ({ onBack }) => {
             link.download = `watermarked_${file.name}`;
             link.click();
 
-            alert("Watermark applied successfully!");
+            const missingGlyphs = describeMissingGlyphs(fontCache);
+            alert(missingGlyphs ? `Watermark applied.\n${missingGlyphs}` : "Watermark applied successfully!");
 
         } catch (err) {
             console.error(err);
@@ -114,6 +144,34 @@ const WatermarkScreen = ({ onBack }) => {
                             />
                         </div>
 
+                        <div>
+                            <label className="block text-sm text-gray-300 mb-1">Font</label>
+                            <div className="flex gap-2">
+                                <select
+                                    value={fontFamily}
+                                    onChange={(e) => setFontFamily(e.target.value)}
+                                    className="flex-1 bg-gray-900 border border-gray-600 rounded px-3 py-2"
+                                >
+                                    {getFontFamilies().map(name => (
+                                        <option key={name} value={name}>{name}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    onClick={() => fontInputRef.current?.click()}
+                                    className="px-3 py-2 bg-gray-600 hover:bg-gray-500 rounded text-sm"
+                                >
+                                    Upload TTF/OTF
+                                </button>
+                                <input
+                                    type="file"
+                                    accept=".ttf,.otf,font/ttf,font/otf"
+                                    ref={fontInputRef}
+                                    className="hidden"
+                                    onChange={handleFontUpload}
+                                />
+                            </div>
+                        </div>
+
                         <div className="grid grid-cols-2 gap-4">
                             <div>
                                 <label className="block text-sm text-gray-300 mb-1">Color</label>
@@ -149,6 +207,14 @@ const WatermarkScreen = ({ onBack }) => {
                         </div>
                     </div>
 
+                    <button
+                        onClick={() => setShowProperties(true)}
+                        disabled={!metadata}
+                        className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm disabled:opacity-50"
+                    >
+                        📋 Document Properties...
+                    </button>
+
                     {/* Action Button */}
                     <button
                         onClick={handleApplyWatermark}
@@ -162,6 +228,14 @@ const WatermarkScreen = ({ onBack }) => {
                     </button>
                 </div>
             </div>
+
+            {showProperties && (
+                <PropertiesDialog
+                    metadata={metadata}
+                    onApply={(next) => { setMetadata(next); setShowProperties(false); }}
+                    onClose={() => setShowProperties(false)}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,28 @@
+import { useEffect } from 'react';
+import { SHORTCUTS, matchesCombo, isTypingTarget } from '../utils/shortcuts';
+
+// Runs `handlers[id]` for the shortcuts of `scope` (see utils/shortcuts) pressed
+// anywhere in the window. Actions without a handler (or with null) are not
+// available right now and leave the key to the browser. Nothing fires while
+// `enabled` is false, e.g. while a dialog is open.
+const useShortcuts = (scope, handlers, enabled = true) => {
+    // Re-subscribed every render so handlers always see current state
+    useEffect(() => {
+        if (!enabled) return;
+
+        const handleKeyDown = (e) => {
+            if (e.defaultPrevented || e.isComposing) return;
+            const typing = isTypingTarget(e.target);
+            const shortcut = SHORTCUTS[scope].find(s => (
+                handlers[s.id] && (s.whileTyping || !typing) && s.keys.some(combo => matchesCombo(e, combo))
+            ));
+            if (!shortcut) return;
+            e.preventDefault();
+            handlers[shortcut.id](e);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    });
+};
+
+export default useShortcuts;
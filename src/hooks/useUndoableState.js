@@ -0,0 +1,62 @@
+import { useState, useCallback } from 'react';
+
+// Max number of snapshots kept in the undo stack
+const HISTORY_LIMIT = 100;
+
+// useState with an undo/redo stack.
+// Every call to `set` records the previous value, so callers must update immutably
+// (snapshots share structure, they are never deep-copied).
+const useUndoableState = (initialValue) => {
+    const [history, setHistory] = useState({ past: [], present: initialValue, future: [] });
+
+    const set = useCallback((updater) => {
+        setHistory(h => {
+            const next = typeof updater === 'function' ? updater(h.present) : updater;
+            if (next === h.present) return h;
+            return {
+                past: [...h.past, h.present].slice(-HISTORY_LIMIT),
+                present: next,
+                future: []
+            };
+        });
+    }, []);
+
+    const undo = useCallback(() => {
+        setHistory(h => {
+            if (h.past.length === 0) return h;
+            return {
+                past: h.past.slice(0, -1),
+                present: h.past[h.past.length - 1],
+                future: [h.present, ...h.future]
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(h => {
+            if (h.future.length === 0) return h;
+            return {
+                past: [...h.past, h.present],
+                present: h.future[0],
+                future: h.future.slice(1)
+            };
+        });
+    }, []);
+
+    // Replace the value and drop the history (e.g. when loading a new document)
+    const reset = useCallback((value) => {
+        setHistory({ past: [], present: value, future: [] });
+    }, []);
+
+    return {
+        state: history.present,
+        set,
+        undo,
+        redo,
+        reset,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    };
+};
+
+export default useUndoableState;
@@ -0,0 +1,373 @@
+// Geometry helpers for hit-testing, moving and resizing editor annotations.
+// All coordinates are in page units (PDF points, see pageViewport.js), the space annotations are stored in.
+import { getAnnotationStyle, getCanvasFont } from './annotationStyles';
+
+export const NOTE_WIDTH = 150;
+export const NOTE_HEIGHT = 100;
+export const NOTE_PADDING = 10;
+export const TEXT_LINE_HEIGHT = 1.2;
+export const HANDLE_SIZE = 8;
+export const ROTATE_HANDLE_DISTANCE = 20; // From the top edge of a rotatable box to its rotation handle
+export const CALLOUT_WIDTH = 160;
+export const CALLOUT_HEIGHT = 50;
+export const CALLOUT_PADDING = 4;
+
+const HIT_TOLERANCE = 4;
+const MIN_SIZE = 10;
+const ROTATION_SNAP = 15; // Degrees
+
+const normalizeRect = ({ x, y, width, height }) => ({
+    x: width < 0 ? x + width : x,
+    y: height < 0 ? y + height : y,
+    width: Math.abs(width),
+    height: Math.abs(height)
+});
+
+const measureTextWidth = (text, style, ctx) => {
+    if (!ctx) return Math.max(...text.split('\n').map(line => line.length)) * style.fontSize * 0.6; // Rough estimate without a canvas
+    ctx.save();
+    ctx.font = getCanvasFont(style);
+    const width = Math.max(...text.split('\n').map(line => ctx.measureText(line).width));
+    ctx.restore();
+    return width;
+};
+
+const unionRects = (rects) => {
+    const minX = Math.min(...rects.map(r => r.x));
+    const minY = Math.min(...rects.map(r => r.y));
+    const maxX = Math.max(...rects.map(r => r.x + r.width));
+    const maxY = Math.max(...rects.map(r => r.y + r.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// Merge the per-span client rects of a text selection into one rect per line
+export const mergeLineRects = (rects) => {
+    const sorted = rects
+        .filter(r => r.width >= 1 && r.height >= 1)
+        .sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    const lines = [];
+    sorted.forEach(rect => {
+        // Same line when the rects overlap vertically by more than half the smaller height
+        const line = lines.find(l => {
+            const overlap = Math.min(l.y + l.height, rect.y + rect.height) - Math.max(l.y, rect.y);
+            return overlap > Math.min(l.height, rect.height) / 2;
+        });
+        if (line) {
+            Object.assign(line, unionRects([line, rect]));
+        } else {
+            lines.push({ x: rect.x, y: rect.y, width: rect.width, height: rect.height });
+        }
+    });
+    return lines;
+};
+
+// Types whose geometry is a list of points
+const POINT_TYPES = ['path', 'line', 'polygon'];
+
+// Two barbs of an open arrowhead at `to`, for a line coming from `from`
+export const getArrowHead = (from, to, strokeWidth) => {
+    const length = Math.max(8, strokeWidth * 3);
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const spread = Math.PI / 7;
+    return [angle - spread, angle + spread].map(a => ({
+        x: to.x - length * Math.cos(a),
+        y: to.y - length * Math.sin(a)
+    }));
+};
+
+// Where a callout's leader line meets its box: the middle of the side nearest the anchor
+export const getCalloutLeaderEnd = (ann) => {
+    const { x, y, width, height, anchor } = ann;
+    const sides = [
+        { x: x + width / 2, y },
+        { x: x + width / 2, y: y + height },
+        { x, y: y + height / 2 },
+        { x: x + width, y: y + height / 2 }
+    ];
+    return sides.reduce((best, p) => (
+        Math.hypot(p.x - anchor.x, p.y - anchor.y) < Math.hypot(best.x - anchor.x, best.y - anchor.y) ? p : best
+    ));
+};
+
+// Grow a callout's box so its text fits (boxes never shrink below the size the user gave them)
+export const fitCalloutBox = (ann, ctx) => {
+    const style = getAnnotationStyle(ann);
+    const lines = ann.text.split('\n').length;
+    const textWidth = measureTextWidth(ann.text, style, ctx);
+    const textHeight = style.fontSize * 1.25 + (lines - 1) * style.fontSize * TEXT_LINE_HEIGHT;
+    return {
+        ...ann,
+        width: Math.max(ann.width, textWidth + CALLOUT_PADDING * 2),
+        height: Math.max(ann.height, textHeight + CALLOUT_PADDING * 2)
+    };
+};
+
+// --- Rotated Images ---
+// Images may carry `rotation`: degrees clockwise about the center of their box, which
+// keeps the unrotated x, y, width and height.
+
+// `p` turned `degrees` clockwise about `center` (y down)
+const rotateAround = (p, center, degrees) => {
+    const angle = (degrees * Math.PI) / 180;
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    return {
+        x: center.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+        y: center.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+};
+
+const boxCenter = ({ x, y, width, height }) => ({ x: x + width / 2, y: y + height / 2 });
+
+// Corners of an image on the page, keyed like the resize handles
+export const getImageCorners = (ann) => {
+    const { x, y, width, height } = ann;
+    const center = boxCenter(ann);
+    const rotation = ann.rotation || 0;
+    return [
+        { id: 'nw', ...rotateAround({ x, y }, center, rotation) },
+        { id: 'ne', ...rotateAround({ x: x + width, y }, center, rotation) },
+        { id: 'se', ...rotateAround({ x: x + width, y: y + height }, center, rotation) },
+        { id: 'sw', ...rotateAround({ x, y: y + height }, center, rotation) }
+    ];
+};
+
+// Bounding box of an annotation: { x, y, width, height } with positive width/height
+export const getAnnotationBounds = (ann, ctx) => {
+    switch (ann.type) {
+        case 'markup':
+            return unionRects(ann.rects);
+        case 'callout':
+            return unionRects([normalizeRect(ann), { ...ann.anchor, width: 0, height: 0 }]);
+        case 'line':
+        case 'polygon':
+        case 'path': {
+            const xs = ann.points.map(p => p.x);
+            const ys = ann.points.map(p => p.y);
+            const minX = Math.min(...xs);
+            const minY = Math.min(...ys);
+            return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+        }
+        case 'text': {
+            // Text is drawn from its baseline, so the box starts one font size above ann.y
+            const style = getAnnotationStyle(ann);
+            const size = style.fontSize;
+            const extraLines = ann.text.split('\n').length - 1;
+            return {
+                x: ann.x,
+                y: ann.y - size,
+                width: measureTextWidth(ann.text, style, ctx),
+                height: size * 1.25 + extraLines * size * TEXT_LINE_HEIGHT
+            };
+        }
+        case 'note':
+            return { x: ann.x, y: ann.y, width: ann.width ?? NOTE_WIDTH, height: ann.height ?? NOTE_HEIGHT };
+        case 'image': {
+            if (!ann.rotation) return normalizeRect(ann);
+            const corners = getImageCorners(ann);
+            const minX = Math.min(...corners.map(p => p.x));
+            const minY = Math.min(...corners.map(p => p.y));
+            return { x: minX, y: minY, width: Math.max(...corners.map(p => p.x)) - minX, height: Math.max(...corners.map(p => p.y)) - minY };
+        }
+        case 'rect':
+        case 'ellipse':
+        default:
+            return normalizeRect(ann);
+    }
+};
+
+const distanceToSegment = (p, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+const rectContains = (rect, point, tolerance = 0) => (
+    point.x >= rect.x - tolerance && point.x <= rect.x + rect.width + tolerance &&
+    point.y >= rect.y - tolerance && point.y <= rect.y + rect.height + tolerance
+);
+
+// Even-odd rule
+const polygonContains = (points, p) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+};
+
+export const hitTestAnnotation = (ann, point, ctx) => {
+    if (ann.type === 'path' || ann.type === 'line' || ann.type === 'polygon') {
+        const style = getAnnotationStyle(ann);
+        const reach = style.strokeWidth / 2 + HIT_TOLERANCE;
+        const points = ann.closed ? [...ann.points, ann.points[0]] : ann.points;
+        if (points.length === 1) return Math.hypot(point.x - points[0].x, point.y - points[0].y) <= reach;
+        for (let i = 0; i < points.length - 1; i++) {
+            if (distanceToSegment(point, points[i], points[i + 1]) <= reach) return true;
+        }
+        return !!(ann.closed && style.fillColor && polygonContains(ann.points, point));
+    }
+    if (ann.type === 'callout') {
+        const reach = getAnnotationStyle(ann).strokeWidth / 2 + HIT_TOLERANCE;
+        return rectContains(normalizeRect(ann), point, HIT_TOLERANCE) ||
+            distanceToSegment(point, ann.anchor, getCalloutLeaderEnd(ann)) <= reach;
+    }
+    if (ann.type === 'markup') {
+        return ann.rects.some(rect => rectContains(rect, point, HIT_TOLERANCE));
+    }
+    if (ann.type === 'image' && ann.rotation) {
+        return rectContains(normalizeRect(ann), rotateAround(point, boxCenter(ann), -ann.rotation), HIT_TOLERANCE);
+    }
+    return rectContains(getAnnotationBounds(ann, ctx), point, HIT_TOLERANCE);
+};
+
+// Returns the topmost annotation under the point (last drawn wins)
+export const findAnnotationAt = (anns, point, ctx) => {
+    for (let i = anns.length - 1; i >= 0; i--) {
+        if (hitTestAnnotation(anns[i], point, ctx)) return anns[i];
+    }
+    return null;
+};
+
+// Eight resize handles around a bounding box, keyed by compass direction
+const getResizeHandles = ({ x, y, width, height }) => [
+    { id: 'nw', x, y },
+    { id: 'n', x: x + width / 2, y },
+    { id: 'ne', x: x + width, y },
+    { id: 'e', x: x + width, y: y + height / 2 },
+    { id: 'se', x: x + width, y: y + height },
+    { id: 's', x: x + width / 2, y: y + height },
+    { id: 'sw', x, y: y + height },
+    { id: 'w', x, y: y + height / 2 }
+];
+
+// Handles of a selected annotation with the given bounds: the eight resize handles, or
+// for images the four corners (resizing keeps the proportions) and a rotation handle
+export const getSelectionHandles = (ann, bounds) => {
+    if (ann.type !== 'image') return getResizeHandles(bounds);
+    const center = boxCenter(ann);
+    const rotateHandle = rotateAround({ x: center.x, y: ann.y - ROTATE_HANDLE_DISTANCE }, center, ann.rotation || 0);
+    return [...getImageCorners(ann), { id: 'rotate', ...rotateHandle }];
+};
+
+export const findHandleAt = (handles, point) => {
+    const reach = HANDLE_SIZE / 2 + 2;
+    const handle = handles.find(h => Math.abs(point.x - h.x) <= reach && Math.abs(point.y - h.y) <= reach);
+    return handle ? handle.id : null;
+};
+
+export const moveAnnotation = (ann, dx, dy) => {
+    if (POINT_TYPES.includes(ann.type)) {
+        return { ...ann, points: ann.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy })) };
+    }
+    if (ann.type === 'callout') {
+        return { ...ann, x: ann.x + dx, y: ann.y + dy, anchor: { x: ann.anchor.x + dx, y: ann.anchor.y + dy } };
+    }
+    if (ann.type === 'markup') {
+        return { ...ann, rects: ann.rects.map(r => ({ ...r, x: r.x + dx, y: r.y + dy })) };
+    }
+    return { ...ann, x: ann.x + dx, y: ann.y + dy };
+};
+
+const OPPOSITE_CORNERS = { nw: 'se', ne: 'sw', se: 'nw', sw: 'ne' };
+
+// Drag an image corner by (dx, dy) with the opposite corner fixed, in the image's own
+// (rotated) frame. The box keeps its proportions unless `freeAspect`.
+const resizeImage = (ann, handle, dx, dy, freeAspect) => {
+    const corners = getImageCorners(ann);
+    const dragged = corners.find(c => c.id === handle);
+    const anchor = corners.find(c => c.id === OPPOSITE_CORNERS[handle]);
+    const rotation = ann.rotation || 0;
+    const local = rotateAround({ x: dragged.x + dx, y: dragged.y + dy }, anchor, -rotation);
+    const signX = handle.includes('e') ? 1 : -1;
+    const signY = handle.includes('s') ? 1 : -1;
+    let width = (local.x - anchor.x) * signX;
+    let height = (local.y - anchor.y) * signY;
+    if (freeAspect) {
+        width = Math.max(width, MIN_SIZE);
+        height = Math.max(height, MIN_SIZE);
+    } else {
+        // The pointer projected onto the box diagonal
+        const factor = (width * ann.width + height * ann.height) / (ann.width ** 2 + ann.height ** 2);
+        const scale = Math.max(factor, MIN_SIZE / Math.min(ann.width, ann.height));
+        width = ann.width * scale;
+        height = ann.height * scale;
+    }
+    const center = rotateAround({ x: anchor.x + (signX * width) / 2, y: anchor.y + (signY * height) / 2 }, anchor, rotation);
+    return { ...ann, x: center.x - width / 2, y: center.y - height / 2, width, height };
+};
+
+// Turn an image so its rotation handle points at `point`; `snap` rounds to ROTATION_SNAP degrees
+export const rotateAnnotation = (ann, point, snap = false) => {
+    const center = boxCenter(ann);
+    let rotation = (Math.atan2(point.x - center.x, center.y - point.y) * 180) / Math.PI; // 0 with the pointer straight above
+    if (snap) rotation = Math.round(rotation / ROTATION_SNAP) * ROTATION_SNAP;
+    return { ...ann, rotation: ((rotation % 360) + 360) % 360 };
+};
+
+// Resize `ann` (whose box was `bounds` when the drag began) by dragging `handle` by (dx, dy).
+// `freeAspect` lets image corners change the proportions.
+export const resizeAnnotation = (ann, bounds, handle, dx, dy, freeAspect = false) => {
+    if (ann.type === 'image') return resizeImage(ann, handle, dx, dy, freeAspect);
+    let { x, y, width, height } = bounds;
+    if (handle.includes('w')) { x += dx; width -= dx; }
+    if (handle.includes('e')) { width += dx; }
+    if (handle.includes('n')) { y += dy; height -= dy; }
+    if (handle.includes('s')) { height += dy; }
+    const next = normalizeRect({ x, y, width, height });
+    next.width = Math.max(next.width, MIN_SIZE);
+    next.height = Math.max(next.height, MIN_SIZE);
+
+    // Scale factors from the old box into the new one
+    const sx = bounds.width === 0 ? 1 : next.width / bounds.width;
+    const sy = bounds.height === 0 ? 1 : next.height / bounds.height;
+
+    const mapPoint = (p) => ({
+        x: next.x + (p.x - bounds.x) * sx,
+        y: next.y + (p.y - bounds.y) * sy
+    });
+
+    switch (ann.type) {
+        case 'callout': {
+            // The box and the anchor scale together within the overall bounds
+            const box = normalizeRect(ann);
+            const topLeft = mapPoint(box);
+            return {
+                ...ann,
+                x: topLeft.x,
+                y: topLeft.y,
+                width: box.width * sx,
+                height: box.height * sy,
+                anchor: mapPoint(ann.anchor)
+            };
+        }
+        case 'line':
+        case 'polygon':
+        case 'path':
+            return {
+                ...ann,
+                points: ann.points.map(p => ({ ...p, ...mapPoint(p) }))
+            };
+        case 'markup':
+            return {
+                ...ann,
+                rects: ann.rects.map(r => ({
+                    x: next.x + (r.x - bounds.x) * sx,
+                    y: next.y + (r.y - bounds.y) * sy,
+                    width: r.width * sx,
+                    height: r.height * sy
+                }))
+            };
+        case 'text': {
+            // Text scales with the box height; the first baseline sits one font size below the top
+            const fontSize = Math.max(6, getAnnotationStyle(ann).fontSize * (next.height / bounds.height));
+            return { ...ann, style: { ...ann.style, fontSize }, x: next.x, y: next.y + fontSize };
+        }
+        default:
+            return { ...ann, ...next };
+    }
+};
@@ -0,0 +1,85 @@
+import { restoreAnnotations } from './draftStore';
+
+// The editor's own annotation file: the annotations state as it is, for scripts and for
+// moving markup between copies of a document without losing anything XFDF can't carry.
+//   { format: 'pdf-editor-annotations', version: 1, document, exportedAt, pages: { [pageNum]: Annotation[] } }
+// Image files are embedded as data URLs in `dataUrl` (and decoded again on import).
+
+const ANNOTATION_JSON_FORMAT = 'pdf-editor-annotations';
+const ANNOTATION_JSON_VERSION = 1;
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+export const annotationsToJson = async (annotations, documentName) => {
+    const pages = {};
+    for (const [page, anns] of Object.entries(annotations)) {
+        if (anns.length === 0) continue;
+        pages[page] = [];
+        for (const ann of anns) {
+            if (ann.type === 'image') {
+                const { file, url: _url, imgElement: _imgElement, ...rest } = ann;
+                pages[page].push({ ...rest, fileName: file.name, dataUrl: await blobToDataUrl(file) });
+            } else {
+                pages[page].push(ann);
+            }
+        }
+    }
+    const data = {
+        format: ANNOTATION_JSON_FORMAT,
+        version: ANNOTATION_JSON_VERSION,
+        document: documentName,
+        exportedAt: new Date().toISOString(),
+        pages
+    };
+    return JSON.stringify(data, null, 2);
+};
+
+// Annotations of an exported file, by page number: { annotations, count, skipped }.
+// Pages the loaded document doesn't have (`pageSizes`) are skipped.
+// Throws when `text` isn't one of our files.
+export const jsonToAnnotations = async (text, pageSizes) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('This is not a JSON file.');
+    }
+    if (data?.format !== ANNOTATION_JSON_FORMAT || typeof data.pages !== 'object' || data.pages === null) {
+        throw new Error('This JSON file does not contain editor annotations.');
+    }
+    if (data.version > ANNOTATION_JSON_VERSION) {
+        throw new Error('This annotation file was made by a newer version of the editor.');
+    }
+
+    const stored = {};
+    let count = 0;
+    let skipped = 0;
+    for (const [page, anns] of Object.entries(data.pages)) {
+        if (!Array.isArray(anns)) continue;
+        if (!pageSizes[page]) {
+            skipped += anns.length;
+            continue;
+        }
+        stored[page] = [];
+        for (const ann of anns) {
+            if (!ann?.id || !ann.type) {
+                skipped++;
+                continue;
+            }
+            if (ann.type === 'image') {
+                const { dataUrl, fileName, ...rest } = ann;
+                const blob = await fetch(dataUrl).then(res => res.blob());
+                stored[page].push({ ...rest, file: new File([blob], fileName || 'image', { type: blob.type }) });
+            } else {
+                stored[page].push(ann);
+            }
+            count++;
+        }
+    }
+    return { annotations: await restoreAnnotations(stored), count, skipped };
+};
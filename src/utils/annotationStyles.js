@@ -0,0 +1,131 @@
+import { parseColor, toHexColor } from './color';
+import { getFontCss } from './fonts';
+
+// Visual style of an annotation, stored on each one as `ann.style`:
+// { strokeColor, fillColor, strokeWidth, opacity, fontFamily, fontSize }
+// Colors are '#rrggbb' (fillColor may be null for "no fill"); opacity is 0..1.
+// Text and notes use strokeColor as their text color; notes use fillColor as the paper.
+// Callouts use strokeColor for their text, border and leader line, fillColor for the box.
+// Stamps use strokeColor for their text and border.
+// fontFamily is one of the families from utils/fonts.
+
+export const DEFAULT_TOOL_STYLES = {
+    pen: { strokeColor: '#ff0000', strokeWidth: 2, opacity: 1 },
+    highlight: { strokeColor: '#ffff00', strokeWidth: 20, opacity: 0.5 },
+    textHighlight: { strokeColor: '#ffeb3b', opacity: 0.5 },
+    underline: { strokeColor: '#00a000', opacity: 1 },
+    strikeout: { strokeColor: '#dc0000', opacity: 1 },
+    rect: { strokeColor: '#0000ff', fillColor: null, strokeWidth: 3, opacity: 1 },
+    ellipse: { strokeColor: '#0000ff', fillColor: null, strokeWidth: 3, opacity: 1 },
+    line: { strokeColor: '#ff0000', strokeWidth: 2, opacity: 1 },
+    arrow: { strokeColor: '#ff0000', strokeWidth: 2, opacity: 1 },
+    polyline: { strokeColor: '#0000ff', strokeWidth: 2, opacity: 1 },
+    polygon: { strokeColor: '#0000ff', fillColor: null, strokeWidth: 2, opacity: 1 },
+    callout: { strokeColor: '#000000', fillColor: '#ffffff', strokeWidth: 1, opacity: 1, fontFamily: 'Helvetica', fontSize: 12 },
+    text: { strokeColor: '#000000', opacity: 1, fontFamily: 'Helvetica', fontSize: 16 },
+    note: { strokeColor: '#000000', fillColor: '#ffeb3b', opacity: 1, fontFamily: 'Helvetica', fontSize: 14 },
+    stamp: { strokeColor: '#dc2626', opacity: 1, fontFamily: 'Helvetica' },
+    image: { opacity: 1 }
+};
+
+// Which controls the style panel shows for each tool
+export const TOOL_STYLE_FIELDS = {
+    pen: ['strokeColor', 'strokeWidth', 'opacity'],
+    highlight: ['strokeColor', 'strokeWidth', 'opacity'],
+    textHighlight: ['strokeColor', 'opacity'],
+    underline: ['strokeColor', 'opacity'],
+    strikeout: ['strokeColor', 'opacity'],
+    rect: ['strokeColor', 'fillColor', 'strokeWidth', 'opacity'],
+    ellipse: ['strokeColor', 'fillColor', 'strokeWidth', 'opacity'],
+    line: ['strokeColor', 'strokeWidth', 'opacity'],
+    arrow: ['strokeColor', 'strokeWidth', 'opacity'],
+    polyline: ['strokeColor', 'strokeWidth', 'opacity'],
+    polygon: ['strokeColor', 'fillColor', 'strokeWidth', 'opacity'],
+    callout: ['strokeColor', 'fillColor', 'strokeWidth', 'opacity', 'fontFamily', 'fontSize'],
+    text: ['strokeColor', 'opacity', 'fontFamily', 'fontSize'],
+    note: ['strokeColor', 'fillColor', 'opacity', 'fontFamily', 'fontSize'],
+    stamp: ['strokeColor', 'opacity', 'fontFamily'],
+    image: ['opacity']
+};
+
+// Tool whose defaults apply to annotations of each type (markup is per variant)
+const TYPE_DEFAULT_TOOL = {
+    path: 'pen',
+    rect: 'rect',
+    ellipse: 'ellipse',
+    callout: 'callout',
+    stamp: 'stamp',
+    text: 'text',
+    note: 'note',
+    image: 'image',
+    markup: 'textHighlight'
+};
+const MARKUP_VARIANT_TOOL = {
+    highlight: 'textHighlight',
+    underline: 'underline',
+    strikeout: 'strikeout'
+};
+
+// Annotations saved before styles existed carry `color` (any CSS color), `width` and `size`
+const legacyStyle = (ann) => {
+    const legacy = {};
+    if (ann.color) {
+        const color = parseColor(ann.color);
+        legacy.strokeColor = toHexColor(color);
+        legacy.opacity = color.a;
+    }
+    if (ann.type === 'path' && ann.width) legacy.strokeWidth = ann.width;
+    if (ann.size) legacy.fontSize = ann.size;
+    return legacy;
+};
+
+// Tool whose style controls apply to an existing annotation
+export const getStyleTool = (ann) => {
+    if (ann.type === 'markup') return MARKUP_VARIANT_TOOL[ann.variant];
+    if (ann.type === 'line') return ann.arrow ? 'arrow' : 'line';
+    if (ann.type === 'polygon') return ann.closed ? 'polygon' : 'polyline';
+    return TYPE_DEFAULT_TOOL[ann.type];
+};
+
+// Complete style of an annotation: type defaults < legacy fields < ann.style
+export const getAnnotationStyle = (ann) => {
+    const tool = getStyleTool(ann);
+    return {
+        strokeColor: '#000000',
+        fillColor: null,
+        strokeWidth: 1,
+        opacity: 1,
+        fontFamily: 'Helvetica',
+        fontSize: 16,
+        ...DEFAULT_TOOL_STYLES[tool],
+        ...legacyStyle(ann),
+        ...ann.style
+    };
+};
+
+export const getCanvasFont = ({ fontSize, fontFamily }) => `${fontSize}px ${getFontCss(fontFamily)}`;
+
+// --- Per-tool styles, remembered across sessions ---
+const STORAGE_KEY = 'pdf-editor-tool-styles';
+
+export const loadToolStyles = () => {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        stored = {};
+    }
+    const styles = {};
+    Object.keys(DEFAULT_TOOL_STYLES).forEach(tool => {
+        styles[tool] = { ...DEFAULT_TOOL_STYLES[tool], ...stored[tool] };
+    });
+    return styles;
+};
+
+export const saveToolStyles = (styles) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(styles));
+    } catch (err) {
+        console.warn("Could not persist tool styles:", err);
+    }
+};
@@ -0,0 +1,45 @@
+// Minimal CSS color parsing for the formats the editor produces:
+// named colors, #rgb / #rrggbb and rgb() / rgba().
+// Returns channels in the 0..1 range expected by pdf-lib: { r, g, b, a }
+
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [1, 1, 1],
+    red: [1, 0, 0],
+    green: [0, 0.5, 0],
+    blue: [0, 0, 1],
+    yellow: [1, 1, 0]
+};
+
+export const parseColor = (value) => {
+    const color = String(value || '').trim().toLowerCase();
+
+    if (NAMED_COLORS[color]) {
+        const [r, g, b] = NAMED_COLORS[color];
+        return { r, g, b, a: 1 };
+    }
+
+    if (color.startsWith('#')) {
+        let hex = color.slice(1);
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        return {
+            r: parseInt(hex.slice(0, 2), 16) / 255,
+            g: parseInt(hex.slice(2, 4), 16) / 255,
+            b: parseInt(hex.slice(4, 6), 16) / 255,
+            a: 1
+        };
+    }
+
+    const match = color.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const [r, g, b, a = 1] = match[1].split(',').map(part => parseFloat(part));
+        return { r: r / 255, g: g / 255, b: b / 255, a };
+    }
+
+    return { r: 0, g: 0, b: 0, a: 1 };
+};
+
+const toHexChannel = (value) => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0');
+
+// { r, g, b } in 0..1 to '#rrggbb' (for <input type="color">)
+export const toHexColor = ({ r, g, b }) => `#${toHexChannel(r)}${toHexChannel(g)}${toHexChannel(b)}`;
@@ -0,0 +1,146 @@
+import { PDFDocument, rgb } from 'pdf-lib';
+import { v4 as uuidv4 } from 'uuid';
+import { createFontCache, embedTextFont } from './fonts';
+
+// Review comments: notes, text boxes and callouts carry an author, a creation time,
+// an open/resolved status and a thread of replies:
+//   { author, createdAt, status: 'open' | 'resolved', resolvedBy, replies: [{ id, author, text, createdAt }] }
+// Annotations made before these fields existed count as open, with no author or replies.
+
+export const COMMENT_TYPES = ['note', 'text', 'callout'];
+
+export const COMMENT_TYPE_LABELS = { note: 'Note', text: 'Text', callout: 'Callout' };
+
+export const COMMENT_STATUSES = { open: 'Open', resolved: 'Resolved' };
+
+export const isComment = (ann) => COMMENT_TYPES.includes(ann.type);
+
+export const getCommentStatus = (ann) => (ann.status === 'resolved' ? 'resolved' : 'open');
+
+// Fields every new comment starts with
+export const newCommentFields = (author) => ({ author, createdAt: Date.now(), status: 'open', replies: [] });
+
+export const createReply = (text, author) => ({ id: uuidv4(), author, text, createdAt: Date.now() });
+
+export const formatCommentDate = (time) => (time ? new Date(time).toLocaleString() : '');
+
+// Every comment in the document, in page order and top to bottom: [{ page, ann }]
+export const collectComments = (annotations) => Object.entries(annotations)
+    .flatMap(([page, anns]) => anns.filter(isComment).map(ann => ({ page: Number(page), ann })))
+    .sort((a, b) => (a.page - b.page) || (a.ann.y - b.ann.y) || (a.ann.x - b.ann.x));
+
+// --- CSV Summary ---
+const CSV_HEADER = ['Page', 'Type', 'Status', 'Author', 'Date', 'Comment', 'In reply to'];
+
+// Quote every cell; cells that spreadsheets would run as formulas get a leading apostrophe
+const csvCell = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+// One row per comment, followed by a row per reply. Starts with a byte order mark so
+// spreadsheet apps read the file as UTF-8.
+export const commentsToCsv = (comments) => {
+    const rows = [CSV_HEADER];
+    comments.forEach(({ page, ann }) => {
+        const status = COMMENT_STATUSES[getCommentStatus(ann)];
+        rows.push([page, COMMENT_TYPE_LABELS[ann.type], status, ann.author, formatCommentDate(ann.createdAt), ann.text, '']);
+        (ann.replies || []).forEach(reply => {
+            rows.push([page, 'Reply', status, reply.author, formatCommentDate(reply.createdAt), reply.text, ann.text]);
+        });
+    });
+    return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+// --- PDF Summary ---
+const REPORT_PAGE = { width: 595, height: 842 }; // A4
+const REPORT_MARGIN = 50;
+const REPORT_COLORS = {
+    text: rgb(0.1, 0.1, 0.1),
+    muted: rgb(0.4, 0.4, 0.4),
+    open: rgb(0.75, 0.45, 0),
+    resolved: rgb(0.1, 0.55, 0.25)
+};
+
+// Words of `text` wrapped to `width` (long words are broken by character)
+const wrapText = (text, font, size, width) => text.split(/\r\n|\r|\n/).flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (font.widthOfTextAtSize(candidate, size) <= width) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line);
+        line = '';
+        for (const ch of word) {
+            if (line && font.widthOfTextAtSize(line + ch, size) > width) {
+                lines.push(line);
+                line = '';
+            }
+            line += ch;
+        }
+    });
+    lines.push(line);
+    return lines;
+});
+
+// A4 report listing every comment and its replies with page references.
+// Returns { bytes, fontCache } (see describeMissingGlyphs in utils/fonts).
+export const createCommentSummaryPdf = async (comments, documentName) => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(`Comment summary - ${documentName}`);
+    const fontCache = createFontCache();
+    const contentWidth = REPORT_PAGE.width - REPORT_MARGIN * 2;
+    let page = null;
+    let y = 0;
+
+    const newPage = () => {
+        page = pdfDoc.addPage([REPORT_PAGE.width, REPORT_PAGE.height]);
+        y = REPORT_PAGE.height - REPORT_MARGIN;
+    };
+
+    // Wrapped text at `indent`, continuing on a new page when the current one is full
+    const write = async (text, { size = 10, indent = 0, color = REPORT_COLORS.text, gap = 4 } = {}) => {
+        const font = await embedTextFont(pdfDoc, fontCache, 'Helvetica', text);
+        const lineHeight = size * 1.3;
+        for (const line of wrapText(text, font, size, contentWidth - indent)) {
+            if (y - lineHeight < REPORT_MARGIN) newPage();
+            y -= lineHeight;
+            page.drawText(line, { x: REPORT_MARGIN + indent, y, size, font, color });
+        }
+        y -= gap;
+    };
+
+    newPage();
+    const openCount = comments.filter(({ ann }) => getCommentStatus(ann) === 'open').length;
+    await write('Comment summary', { size: 18, gap: 2 });
+    await write(documentName, { size: 11, color: REPORT_COLORS.muted, gap: 2 });
+    await write(
+        `${comments.length} comment${comments.length === 1 ? '' : 's'}, ${openCount} open - ${new Date().toLocaleString()}`,
+        { size: 9, color: REPORT_COLORS.muted, gap: 16 }
+    );
+    if (comments.length === 0) await write('This document has no comments.');
+
+    let lastPage = null;
+    for (const { page: pageNum, ann } of comments) {
+        if (pageNum !== lastPage) {
+            await write(`Page ${pageNum}`, { size: 13, gap: 6 });
+            lastPage = pageNum;
+        }
+        const status = getCommentStatus(ann);
+        const meta = [COMMENT_TYPE_LABELS[ann.type], ann.author || 'Unknown author', formatCommentDate(ann.createdAt)].filter(Boolean).join(' - ');
+        await write(`${meta}  [${COMMENT_STATUSES[status]}]`, { size: 9, indent: 10, color: REPORT_COLORS[status], gap: 1 });
+        await write(ann.text, { indent: 10 });
+        for (const reply of ann.replies || []) {
+            const replyMeta = [reply.author || 'Unknown author', formatCommentDate(reply.createdAt)].join(' - ');
+            await write(`Reply - ${replyMeta}`, { size: 9, indent: 30, color: REPORT_COLORS.muted, gap: 1 });
+            await write(reply.text, { indent: 30 });
+        }
+        y -= 8;
+    }
+
+    return { bytes: await pdfDoc.save(), fontCache };
+};
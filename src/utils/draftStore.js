@@ -0,0 +1,120 @@
+// Persists PdfEditor drafts in IndexedDB so a reload or Back doesn't lose markup.
+// Image files are stored as Blobs (IndexedDB clones them natively); object URLs and
+// <img> elements can't survive a reload, so they are stripped and rebuilt on restore.
+// The save password is never stored, only whether one was set; it is asked for again.
+
+const DB_NAME = 'pdf-editor-drafts';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+const runRequest = async (mode, makeRequest) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+// Identify a document by a hash of its bytes so re-uploads of the same file
+// find their draft; fall back to the upload URL when hashing is unavailable.
+export const getDraftKey = async (file) => {
+    try {
+        if (!crypto.subtle) throw new Error('SubtleCrypto unavailable');
+        const bytes = await fetch(file.url, { cache: 'no-store' }).then(res => res.arrayBuffer());
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        return `sha256:${hex}`;
+    } catch (err) {
+        console.warn("Draft key hashing failed, using file URL:", err);
+        return `url:${file.url}`;
+    }
+};
+
+const stripImage = ({ file, width, height }) => ({ file, width, height });
+
+const serializeAnnotations = (annotations) => {
+    const result = {};
+    Object.entries(annotations).forEach(([page, anns]) => {
+        result[page] = anns.map(ann => {
+            if (ann.type !== 'image') return ann;
+            const stored = { ...ann };
+            delete stored.url;
+            delete stored.imgElement;
+            return stored;
+        });
+    });
+    return result;
+};
+
+const loadImage = (blob) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => resolve({ url, imgElement: img });
+    img.onerror = () => reject(new Error('Failed to decode stored image'));
+    img.src = url;
+});
+
+// Annotations with their image Blobs decoded again (object URLs + <img> elements)
+export const restoreAnnotations = async (annotations) => {
+    const result = {};
+    for (const [page, anns] of Object.entries(annotations)) {
+        result[page] = [];
+        for (const ann of anns) {
+            if (ann.type === 'image') {
+                result[page].push({ ...ann, ...(await loadImage(ann.file)) });
+            } else {
+                result[page].push(ann);
+            }
+        }
+    }
+    return result;
+};
+
+export const saveDraft = (key, { annotations, pendingImage, passwordProtected, formValues }) => {
+    const record = {
+        annotations: serializeAnnotations(annotations),
+        pendingImage: pendingImage ? stripImage(pendingImage) : null,
+        passwordProtected,
+        formValues,
+        updatedAt: Date.now()
+    };
+    return runRequest('readwrite', store => store.put(record, key));
+};
+
+// Raw stored record (without decoded images), or undefined
+export const loadDraft = (key) => runRequest('readonly', store => store.get(key));
+
+// Turn a stored record back into live editor state (object URLs + <img> elements)
+export const restoreDraft = async (record) => ({
+    annotations: await restoreAnnotations(record.annotations),
+    pendingImage: record.pendingImage
+        ? { ...record.pendingImage, ...(await loadImage(record.pendingImage.file)) }
+        : null,
+    // Drafts from before passwords were kept out still carry one: only its presence counts
+    passwordProtected: !!(record.passwordProtected || record.pdfPassword),
+    formValues: record.formValues || {}
+});
+
+export const deleteDraft = (key) => runRequest('readwrite', store => store.delete(key));
@@ -0,0 +1,184 @@
+import { StandardFonts } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import notoSansUrl from '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf?url';
+import notoSansScUrl from '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf?url';
+import notoSansKrUrl from '@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf?url';
+import notoEmojiUrl from '@expo-google-fonts/noto-emoji/400Regular/NotoEmoji_400Regular.ttf?url';
+
+// Fonts for text written into PDFs (editor text/notes, watermarks).
+// The standard PDF fonts only cover WinAnsi (Latin-1), so text they can't encode
+// falls back to the bundled Unicode font, then to any user-uploaded TTF/OTF
+// that has glyphs for it, then to the CJK and emoji fonts (fetched only when the
+// text needs them). Embedded TrueType/OpenType fonts are subset.
+
+// Standard fonts, with their canvas equivalents and the resource names used in appearance streams
+export const STANDARD_FONTS = {
+    Helvetica: { css: 'Helvetica, Arial, sans-serif', pdf: StandardFonts.Helvetica, resource: 'Helv' },
+    Times: { css: '"Times New Roman", Times, serif', pdf: StandardFonts.TimesRoman, resource: 'TiRo' },
+    Courier: { css: '"Courier New", Courier, monospace', pdf: StandardFonts.Courier, resource: 'Cour' }
+};
+
+export const UNICODE_FONT = 'Noto Sans';
+
+// Embeddable fonts by family name: { css, load: () => Promise<ArrayBuffer> }
+const embeddableFonts = new Map();
+const parsedFonts = new Map(); // family -> Promise<{ bytes, font (fontkit) }>
+
+const addCanvasFont = (family, source, descriptors) => {
+    if (typeof FontFace === 'undefined' || typeof document === 'undefined') return;
+    const face = new FontFace(family, source, descriptors);
+    document.fonts.add(face);
+    return face;
+};
+
+// Fetches a bundled font once; a failed fetch is retried on the next call
+const bundledFontLoader = (family, url) => {
+    let bytes = null;
+    return () => {
+        if (!bytes) {
+            bytes = fetch(url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`Could not load the ${family} font (${res.status})`);
+                    return res.arrayBuffer();
+                })
+                .catch(err => {
+                    bytes = null;
+                    throw err;
+                });
+        }
+        return bytes;
+    };
+};
+
+// Fallbacks for scripts Noto Sans lacks. Not offered in font pickers; the browser only
+// downloads them for characters in their range, and so does embedTextFont.
+// Noto Emoji is monochrome: PDF text can't carry color emoji.
+const FALLBACK_FONTS = [
+    { family: 'Noto Sans SC', url: notoSansScUrl, ranges: [[0x2E80, 0x2FDF], [0x3000, 0x312F], [0x31C0, 0x31FF], [0x3400, 0x4DBF], [0x4E00, 0x9FFF], [0xF900, 0xFAFF], [0xFE30, 0xFE4F], [0xFF00, 0xFFEF], [0x20000, 0x3134F]] },
+    { family: 'Noto Sans KR', url: notoSansKrUrl, ranges: [[0x1100, 0x11FF], [0x3130, 0x318F], [0xA960, 0xA97F], [0xAC00, 0xD7FF]] },
+    { family: 'Noto Emoji', url: notoEmojiUrl, ranges: [[0x2190, 0x21FF], [0x2300, 0x23FF], [0x25A0, 0x27BF], [0x2B00, 0x2BFF], [0x1F000, 0x1FAFF]] }
+].map(fallback => ({ ...fallback, load: bundledFontLoader(fallback.family, fallback.url) }));
+
+const toUnicodeRange = (ranges) => ranges
+    .map(([from, to]) => `U+${from.toString(16).toUpperCase()}-${to.toString(16).toUpperCase()}`)
+    .join(', ');
+
+embeddableFonts.set(UNICODE_FONT, {
+    css: [UNICODE_FONT, ...FALLBACK_FONTS.map(fallback => fallback.family)].map(name => `"${name}"`).join(', ') + ', sans-serif',
+    load: bundledFontLoader(UNICODE_FONT, notoSansUrl)
+});
+addCanvasFont(UNICODE_FONT, `url(${notoSansUrl})`);
+FALLBACK_FONTS.forEach(({ family, url, ranges }) => addCanvasFont(family, `url(${url})`, { unicodeRange: toUnicodeRange(ranges) }));
+
+const getFontSource = (family) => embeddableFonts.get(family) || FALLBACK_FONTS.find(fallback => fallback.family === family);
+
+const getParsedFont = (family) => {
+    if (!parsedFonts.has(family)) {
+        const promise = getFontSource(family).load().then(bytes => ({
+            bytes,
+            font: fontkit.create(new Uint8Array(bytes))
+        }));
+        promise.catch(() => parsedFonts.delete(family));
+        parsedFonts.set(family, promise);
+    }
+    return parsedFonts.get(family);
+};
+
+// Every family offered in font pickers: standard, bundled Unicode, then uploaded fonts
+export const getFontFamilies = () => [...Object.keys(STANDARD_FONTS), ...embeddableFonts.keys()];
+
+export const getFontCss = (family) => (
+    STANDARD_FONTS[family]?.css || embeddableFonts.get(family)?.css || STANDARD_FONTS.Helvetica.css
+);
+
+// Adds a user-uploaded TTF/OTF for this session. Returns the family name to select.
+export const registerCustomFont = async (file) => {
+    const bytes = await file.arrayBuffer();
+    let font;
+    try {
+        font = fontkit.create(new Uint8Array(bytes));
+    } catch {
+        throw new Error(`${file.name} is not a TrueType or OpenType font.`);
+    }
+    if (!font.characterSet || font.characterSet.length === 0) {
+        throw new Error(`${file.name} does not contain any characters.`);
+    }
+
+    const baseName = font.familyName || file.name.replace(/\.[^.]+$/, '');
+    let family = baseName;
+    for (let i = 2; STANDARD_FONTS[family] || embeddableFonts.has(family); i++) {
+        family = `${baseName} (${i})`;
+    }
+
+    embeddableFonts.set(family, { css: `"${family}", ${STANDARD_FONTS.Helvetica.css}`, load: async () => bytes });
+    parsedFonts.set(family, Promise.resolve({ bytes, font }));
+    const face = addCanvasFont(family, bytes);
+    if (face) await face.load();
+    return family;
+};
+
+// --- PDF Embedding ---
+// One cache per output document: embedded fonts, plus characters no available font could draw
+export const createFontCache = () => ({ fonts: {}, missing: new Set() });
+
+const codePointsOf = (text) => [...text.replace(/\s/g, '')].map(ch => ch.codePointAt(0));
+
+const canEncode = (font, text) => {
+    try {
+        text.split(/\r\n|\r|\n/).forEach(line => font.encodeText(line));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const embedCached = (pdfDoc, fontCache, family) => {
+    if (!fontCache.fonts[family]) {
+        fontCache.fonts[family] = STANDARD_FONTS[family]
+            ? pdfDoc.embedFont(STANDARD_FONTS[family].pdf)
+            : getParsedFont(family).then(({ bytes }) => {
+                pdfDoc.registerFontkit(fontkit);
+                return pdfDoc.embedFont(bytes, { subset: true });
+            });
+    }
+    return fontCache.fonts[family];
+};
+
+// Font that can draw `text` in the requested family, falling back when it lacks glyphs
+export const embedTextFont = async (pdfDoc, fontCache, family, text) => {
+    if (STANDARD_FONTS[family] || !embeddableFonts.has(family)) {
+        const standard = await embedCached(pdfDoc, fontCache, STANDARD_FONTS[family] ? family : 'Helvetica');
+        if (canEncode(standard, text)) return standard;
+    }
+
+    const codePoints = codePointsOf(text);
+    const fallbacks = FALLBACK_FONTS
+        .filter(({ ranges }) => codePoints.some(cp => ranges.some(([from, to]) => cp >= from && cp <= to)))
+        .map(fallback => fallback.family);
+    const candidates = [...new Set([family, ...embeddableFonts.keys()])].filter(name => embeddableFonts.has(name)).concat(fallbacks);
+    const lacking = new Map(); // family -> code points it has no glyph for
+    for (const name of candidates) {
+        const { font } = await getParsedFont(name);
+        lacking.set(name, codePoints.filter(cp => !font.hasGlyphForCodePoint(cp)));
+        if (lacking.get(name).length === 0) return embedCached(pdfDoc, fontCache, name);
+    }
+
+    // Nothing covers everything (one font per text, e.g. emoji mixed with letters):
+    // draw with the candidate that lacks the fewest and report what it lacks
+    const best = candidates.reduce((a, b) => (lacking.get(b).length < lacking.get(a).length ? b : a));
+    lacking.get(best).forEach(cp => fontCache.missing.add(String.fromCodePoint(cp)));
+    return embedCached(pdfDoc, fontCache, best);
+};
+
+// Name for a font in an appearance stream's /Font resources (and FreeText /DA)
+export const getFontResourceName = (font) => {
+    const standard = Object.values(STANDARD_FONTS).find(entry => entry.pdf === font.name);
+    return standard ? standard.resource : font.name.replace(/[^A-Za-z0-9]/g, '');
+};
+
+export const describeMissingGlyphs = (fontCache) => (
+    fontCache.missing.size === 0
+        ? null
+        : `Some characters have no glyph in the available fonts and were drawn as blank boxes: ${[...fontCache.missing].join(' ')}\n` +
+          'Upload a TTF/OTF font that covers them from the font picker (emoji mixed with letters need one font that has both).'
+);
@@ -0,0 +1,129 @@
+// Image files for image annotations. pdf-lib only embeds JPEG and PNG, so every other
+// format the browser can decode (WebP, GIF, BMP, AVIF, ...) is drawn onto a canvas and
+// re-encoded when it is picked, and SVG is rasterized at SVG_DPI. Most browsers can't
+// decode HEIC/HEIF photos, so those go through libheif (WebAssembly, loaded on first
+// use). Image annotations therefore always carry a JPEG or PNG `file`.
+
+const SVG_DPI = 300;
+const CSS_DPI = 96;
+const MAX_RASTER_SIDE = 4096; // Pixels; keeps huge SVG viewports and photos in check
+const JPEG_QUALITY = 0.92;
+const SVG_DEFAULT_SIZE = { width: 300, height: 150 }; // What browsers use for an SVG without a size
+
+// 'jpg' or 'png' from the file signature, or null for anything pdf-lib can't embed
+export const getEmbeddableFormat = (bytes) => {
+    const head = new Uint8Array(bytes, 0, Math.min(8, bytes.byteLength));
+    if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpg';
+    if (head[0] === 0x89 && head[1] === 0x50 && head[2] === 0x4e && head[3] === 0x47) return 'png';
+    return null;
+};
+
+const decodeImage = (url, name) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`${name} is not an image the browser can read.`));
+    img.src = url;
+});
+
+const isHeif = (file) => /^image\/hei[cf]/.test(file.type) || /\.hei[cf]$/i.test(file.name);
+
+let libheifPromise = null;
+const loadLibheif = () => {
+    if (!libheifPromise) {
+        libheifPromise = import('libheif-js/libheif-wasm/libheif-bundle.mjs')
+            .then(({ default: createLibheif }) => createLibheif())
+            .catch(err => {
+                libheifPromise = null;
+                throw err;
+            });
+    }
+    return libheifPromise;
+};
+
+// The primary image of a HEIC/HEIF file drawn onto a canvas
+const decodeHeif = async (file) => {
+    const libheif = await loadLibheif();
+    const images = new libheif.HeifDecoder().decode(new Uint8Array(await file.arrayBuffer()));
+    try {
+        const image = images.find(img => img.is_primary()) || images[0];
+        if (!image) throw new Error(`${file.name} is not a HEIC/HEIF image.`);
+        const canvas = document.createElement('canvas');
+        canvas.width = image.get_width();
+        canvas.height = image.get_height();
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(canvas.width, canvas.height);
+        await new Promise((resolve, reject) => {
+            image.display(imageData, (displayData) => (
+                displayData ? resolve() : reject(new Error(`${file.name} uses a HEIF encoding that can't be decoded here.`))
+            ));
+        });
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    } finally {
+        images.forEach(img => img.free());
+    }
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type, quality);
+});
+
+const hasTransparency = (ctx, width, height) => {
+    const { data } = ctx.getImageData(0, 0, width, height);
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 255) return true;
+    }
+    return false;
+};
+
+// Re-encode a decoded image (or canvas) `pixelWidth` x `pixelHeight`: PNG when it has transparency
+// (and always for vector art), JPEG for opaque photos
+const transcode = async (img, pixelWidth, pixelHeight, name, forcePng) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, pixelWidth, pixelHeight);
+    const png = forcePng || hasTransparency(ctx, pixelWidth, pixelHeight);
+    const blob = await canvasToBlob(canvas, png ? 'image/png' : 'image/jpeg', JPEG_QUALITY);
+    const baseName = name.replace(/\.[^.]+$/, '') || 'image';
+    return new File([blob], `${baseName}.${png ? 'png' : 'jpg'}`, { type: png ? 'image/png' : 'image/jpeg' });
+};
+
+const fitScale = (width, height, maxSide) => Math.min(1, maxSide / Math.max(width, height));
+
+// Decode an image file for placing: { file, url, imgElement, width, height } where `file`
+// is JPEG or PNG and width/height are its natural size in CSS pixels.
+// Rejects with a readable message when the browser can't decode the file.
+export const loadImageFile = async (file) => {
+    if (isHeif(file)) {
+        const canvas = await decodeHeif(file);
+        const { width, height } = canvas;
+        const scale = fitScale(width, height, MAX_RASTER_SIDE);
+        const converted = await transcode(canvas, Math.round(width * scale), Math.round(height * scale), file.name, false);
+        const url = URL.createObjectURL(converted);
+        return { file: converted, url, imgElement: await decodeImage(url, converted.name), width, height };
+    }
+
+    const sourceUrl = URL.createObjectURL(file);
+    try {
+        const img = await decodeImage(sourceUrl, file.name);
+        const isSvg = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+        const width = img.naturalWidth || SVG_DEFAULT_SIZE.width;
+        const height = img.naturalHeight || SVG_DEFAULT_SIZE.height;
+
+        if (!isSvg && getEmbeddableFormat(await file.arrayBuffer())) {
+            return { file, url: sourceUrl, imgElement: img, width, height };
+        }
+
+        const rasterScale = isSvg ? SVG_DPI / CSS_DPI : 1;
+        const scale = rasterScale * fitScale(width * rasterScale, height * rasterScale, MAX_RASTER_SIDE);
+        const converted = await transcode(img, Math.round(width * scale), Math.round(height * scale), file.name, isSvg);
+        URL.revokeObjectURL(sourceUrl);
+        const url = URL.createObjectURL(converted);
+        return { file: converted, url, imgElement: await decodeImage(url, converted.name), width, height };
+    } catch (err) {
+        URL.revokeObjectURL(sourceUrl);
+        throw err;
+    }
+};
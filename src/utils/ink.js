@@ -0,0 +1,125 @@
+// Freehand ink strokes ('path' annotations). Points are in page units; strokes drawn
+// with a pen also record its pressure (0..1) on every point.
+// Strokes marked `smooth` are drawn as curves through their points, and strokes with
+// pressure as a filled outline whose width follows the pressure. Older and imported
+// paths are drawn as straight segments, as they were recorded.
+
+const MIN_POINT_DISTANCE = 1; // Page units between the points kept for a finished stroke
+const PRESSURE_FACTOR = [0.3, 1.7]; // Width factor at pressure 0 and 1; the default 0.5 gives the set width
+const CAP_STEPS = [0.25, 0.5, 0.75]; // Fractions of a half turn sampled for the round stroke ends
+
+// Width of a stroke drawn at `pressure` (mouse and touch input have none)
+export const pressureWidth = (strokeWidth, pressure = 0.5) => {
+    const [min, max] = PRESSURE_FACTOR;
+    return strokeWidth * (min + (max - min) * Math.min(1, Math.max(0, pressure)));
+};
+
+const hasPressure = (points) => points.some(p => p.pressure !== undefined);
+
+// Clean up a finished stroke: drop points closer than MIN_POINT_DISTANCE to the last kept
+// one, then even out hand jitter with a [1 2 1] average (the ends stay where they were)
+export const finishStroke = (points) => {
+    const kept = points.filter((p, i) => {
+        if (i === 0 || i === points.length - 1) return true;
+        const prev = points[i - 1];
+        return Math.hypot(p.x - prev.x, p.y - prev.y) >= MIN_POINT_DISTANCE;
+    });
+    return kept.map((p, i) => {
+        if (i === 0 || i === kept.length - 1) return p;
+        const a = kept[i - 1];
+        const b = kept[i + 1];
+        const point = { x: (a.x + 2 * p.x + b.x) / 4, y: (a.y + 2 * p.y + b.y) / 4 };
+        if (p.pressure !== undefined) point.pressure = ((a.pressure ?? p.pressure) + 2 * p.pressure + (b.pressure ?? p.pressure)) / 4;
+        return point;
+    });
+};
+
+// Cubic Bezier segments through every point (Catmull-Rom): [{ c1, c2, to }]
+const curveThrough = (points, closed) => {
+    const n = points.length;
+    const at = (i) => (closed ? points[(i + n) % n] : points[Math.min(n - 1, Math.max(0, i))]);
+    const segments = [];
+    for (let i = 0; i < (closed ? n : n - 1); i++) {
+        const p0 = at(i - 1);
+        const p1 = at(i);
+        const p2 = at(i + 1);
+        const p3 = at(i + 2);
+        segments.push({
+            c1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+            c2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+            to: { x: p2.x, y: p2.y }
+        });
+    }
+    return segments;
+};
+
+// Closed outline of a pressure stroke: the left edge forward, a round end, the right edge back
+// and a round start. Edges sit half the pressure width away from the centre line.
+const pressureOutline = (points, strokeWidth) => {
+    let normal = { x: 0, y: -1 };
+    const sides = points.map((p, i) => {
+        const prev = points[Math.max(0, i - 1)];
+        const next = points[Math.min(points.length - 1, i + 1)];
+        const length = Math.hypot(next.x - prev.x, next.y - prev.y);
+        if (length > 0) normal = { x: -(next.y - prev.y) / length, y: (next.x - prev.x) / length }; // Else keep the last one
+        const half = pressureWidth(strokeWidth, p.pressure) / 2;
+        return {
+            left: { x: p.x + normal.x * half, y: p.y + normal.y * half },
+            right: { x: p.x - normal.x * half, y: p.y - normal.y * half },
+            normal,
+            half
+        };
+    });
+
+    // Half turn around `p` from one side (sign 1: left, -1: right) through the tip beyond it
+    const cap = (p, { normal: n, half }, sign) => CAP_STEPS.map(t => {
+        const angle = t * Math.PI;
+        const tangent = { x: n.y, y: -n.x }; // Along the stroke
+        return {
+            x: p.x + sign * half * (n.x * Math.cos(angle) + tangent.x * Math.sin(angle)),
+            y: p.y + sign * half * (n.y * Math.cos(angle) + tangent.y * Math.sin(angle))
+        };
+    });
+
+    const last = points.length - 1;
+    return [
+        ...sides.map(s => s.left),
+        ...cap(points[last], sides[last], 1),
+        ...sides.map(s => s.right).reverse(),
+        ...cap(points[0], sides[0], -1)
+    ];
+};
+
+// How to draw a path annotation, in page units:
+// { start, segments: [{ to } | { c1, c2, to }], closed, filled, width }
+// Filled shapes are pressure outlines; the others are stroked `width` wide with round ends.
+export const getInkShape = (ann, strokeWidth) => {
+    const { points } = ann;
+    if (points.length === 1 || !ann.smooth) {
+        // A single point is a dot as wide as the pen was pressing
+        const width = points.length === 1 ? pressureWidth(strokeWidth, points[0].pressure) : strokeWidth;
+        const segments = (points.length === 1 ? points : points.slice(1)).map(p => ({ to: { x: p.x, y: p.y } }));
+        return { start: points[0], segments, closed: false, filled: false, width };
+    }
+    if (hasPressure(points)) {
+        const outline = pressureOutline(points, strokeWidth);
+        return { start: outline[0], segments: curveThrough(outline, true), closed: true, filled: true, width: 0 };
+    }
+    return { start: points[0], segments: curveThrough(points, false), closed: false, filled: false, width: strokeWidth };
+};
+
+// SVG path data of an ink shape (y down, like page units)
+export const inkSvgPath = ({ start, segments, closed }) => {
+    const parts = [`M ${start.x} ${start.y}`];
+    segments.forEach(({ c1, c2, to }) => {
+        parts.push(c1 ? `C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${to.x} ${to.y}` : `L ${to.x} ${to.y}`);
+    });
+    if (closed) parts.push('Z');
+    return parts.join(' ');
+};
+
+// Every point an ink shape passes through or bends towards, for bounding boxes
+export const inkShapePoints = ({ start, segments }) => [
+    start,
+    ...segments.flatMap(({ c1, c2, to }) => (c1 ? [c1, c2, to] : [to]))
+];
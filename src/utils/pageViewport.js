@@ -0,0 +1,54 @@
+// Editor annotations are stored in page units: PDF points from the top-left corner of
+// the page's view box, y down, before the page's /Rotate is applied. A page viewport
+// maps them to CSS pixels of the rendered page at a given zoom, rotating the same way
+// pdf.js lays out the page, so zoom and rotation never move the markup.
+
+const applyTransform = ([a, b, c, d, e, f], x, y) => ({ x: a * x + c * y + e, y: b * x + d * y + f });
+
+const invertTransform = ([a, b, c, d, e, f]) => {
+    const det = a * d - b * c;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+const transformRect = (matrix, { x, y, width, height }) => {
+    const p1 = applyTransform(matrix, x, y);
+    const p2 = applyTransform(matrix, x + width, y + height);
+    return {
+        x: Math.min(p1.x, p2.x),
+        y: Math.min(p1.y, p2.y),
+        width: Math.abs(p2.x - p1.x),
+        height: Math.abs(p2.y - p1.y)
+    };
+};
+
+// size: { width, height, rotate } of the unrotated page in page units
+export const createPageViewport = ({ width, height, rotate = 0 }, scale) => {
+    const rotation = ((rotate % 360) + 360) % 360;
+    let transform;
+    switch (rotation) {
+        case 90:
+            transform = [0, scale, -scale, 0, height * scale, 0];
+            break;
+        case 180:
+            transform = [-scale, 0, 0, -scale, width * scale, height * scale];
+            break;
+        case 270:
+            transform = [0, -scale, scale, 0, 0, width * scale];
+            break;
+        default:
+            transform = [scale, 0, 0, scale, 0, 0];
+    }
+    const inverse = invertTransform(transform);
+    const sideways = rotation === 90 || rotation === 270;
+
+    return {
+        width: (sideways ? height : width) * scale,
+        height: (sideways ? width : height) * scale,
+        transform,
+        toView: (x, y) => applyTransform(transform, x, y),
+        toPage: (x, y) => applyTransform(inverse, x, y),
+        // Axis-aligned rects between view pixels and page units (rotations are multiples of 90°)
+        toPageRect: (rect) => transformRect(inverse, rect),
+        toViewRect: (rect) => transformRect(transform, rect)
+    };
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { createPageViewport } from './pageViewport';
+
+const WIDTH = 200;
+const HEIGHT = 100;
+const SCALE = 2;
+
+// Where the page's top-left and top-right corners land: the page turns clockwise
+const CORNERS = {
+    0: { size: [400, 200], topLeft: { x: 0, y: 0 }, topRight: { x: 400, y: 0 } },
+    90: { size: [200, 400], topLeft: { x: 200, y: 0 }, topRight: { x: 200, y: 400 } },
+    180: { size: [400, 200], topLeft: { x: 400, y: 200 }, topRight: { x: 0, y: 200 } },
+    270: { size: [200, 400], topLeft: { x: 0, y: 400 }, topRight: { x: 0, y: 0 } }
+};
+
+const POINTS = [{ x: 0, y: 0 }, { x: 12.5, y: 40 }, { x: 200, y: 100 }, { x: 150, y: 7.25 }];
+
+const expectPoint = (actual, expected) => {
+    expect(actual.x).toBeCloseTo(expected.x, 9);
+    expect(actual.y).toBeCloseTo(expected.y, 9);
+};
+
+// pdf.js viewports of a WIDTH x HEIGHT page, as the editor renders it
+let pdf;
+let pdfjsPage;
+
+beforeAll(async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage([WIDTH, HEIGHT]);
+    pdf = await getDocument({ data: await pdfDoc.save(), verbosity: 0 }).promise;
+    pdfjsPage = await pdf.getPage(1);
+});
+
+afterAll(() => pdf?.destroy());
+
+describe.each([0, 90, 180, 270])('createPageViewport at %i°', (rotate) => {
+    const viewport = createPageViewport({ width: WIDTH, height: HEIGHT, rotate }, SCALE);
+
+    it('lays the page out rotated clockwise', () => {
+        const { size, topLeft, topRight } = CORNERS[rotate];
+        expect([viewport.width, viewport.height]).toEqual(size);
+        expectPoint(viewport.toView(0, 0), topLeft);
+        expectPoint(viewport.toView(WIDTH, 0), topRight);
+    });
+
+    it('places points where pdf.js renders them', () => {
+        // pdf.js works in PDF space, y up from the bottom of the view box
+        const pdfjsViewport = pdfjsPage.getViewport({ scale: SCALE, rotation: rotate });
+        expect([pdfjsViewport.width, pdfjsViewport.height]).toEqual([viewport.width, viewport.height]);
+        POINTS.forEach(({ x, y }) => {
+            const [viewX, viewY] = pdfjsViewport.convertToViewportPoint(x, HEIGHT - y);
+            expectPoint(viewport.toView(x, y), { x: viewX, y: viewY });
+        });
+    });
+
+    it('maps view pixels back to page units', () => {
+        POINTS.forEach(point => {
+            const view = viewport.toView(point.x, point.y);
+            expectPoint(viewport.toPage(view.x, view.y), point);
+        });
+    });
+
+    it('converts rects both ways', () => {
+        const rect = { x: 20, y: 10, width: 60, height: 30 };
+        const viewRect = viewport.toViewRect(rect);
+        expect(viewRect.width * viewRect.height).toBeCloseTo(rect.width * rect.height * SCALE * SCALE, 9);
+        const corners = [viewport.toView(rect.x, rect.y), viewport.toView(rect.x + rect.width, rect.y + rect.height)];
+        expect(viewRect.x).toBeCloseTo(Math.min(...corners.map(p => p.x)), 9);
+        expect(viewRect.y).toBeCloseTo(Math.min(...corners.map(p => p.y)), 9);
+
+        const back = viewport.toPageRect(viewRect);
+        ['x', 'y', 'width', 'height'].forEach(key => expect(back[key]).toBeCloseTo(rect[key], 9));
+    });
+});
+
+describe('createPageViewport', () => {
+    it('normalizes negative and full-turn rotations', () => {
+        expect(createPageViewport({ width: WIDTH, height: HEIGHT, rotate: -90 }, SCALE).transform)
+            .toEqual(createPageViewport({ width: WIDTH, height: HEIGHT, rotate: 270 }, SCALE).transform);
+        expect(createPageViewport({ width: WIDTH, height: HEIGHT, rotate: 450 }, SCALE).transform)
+            .toEqual(createPageViewport({ width: WIDTH, height: HEIGHT, rotate: 90 }, SCALE).transform);
+    });
+
+    it('treats a missing rotation as 0°', () => {
+        const viewport = createPageViewport({ width: WIDTH, height: HEIGHT }, 1.5);
+        expect([viewport.width, viewport.height]).toEqual([300, 150]);
+        expectPoint(viewport.toView(10, 20), { x: 15, y: 30 });
+    });
+});
@@ -0,0 +1,775 @@
+import {
+    rgb,
+    LineCapStyle,
+    LineJoinStyle,
+    BlendMode,
+    PDFString,
+    PDFHexString,
+    PDFName,
+    PDFDict,
+    PDFArray,
+    pushGraphicsState,
+    popGraphicsState,
+    setLineJoin,
+    degrees
+} from 'pdf-lib';
+import {
+    NOTE_WIDTH,
+    NOTE_HEIGHT,
+    NOTE_PADDING,
+    TEXT_LINE_HEIGHT,
+    CALLOUT_PADDING,
+    getArrowHead,
+    getCalloutLeaderEnd,
+    getImageCorners
+} from './annotationGeometry';
+import { getAnnotationStyle } from './annotationStyles';
+import { getStampLayout, getStampBorders } from './stamps';
+import { getInkShape, inkSvgPath, inkShapePoints } from './ink';
+import { embedTextFont, getFontResourceName } from './fonts';
+import { parseColor } from './color';
+import { getEmbeddableFormat } from './images';
+
+// Writes editor annotations into a pdf-lib page, either burned into the page
+// content ('flatten') or as native annotation dictionaries ('native') that other
+// viewers can list, hide and edit.
+
+export const SAVE_MODES = {
+    FLATTEN: 'flatten',
+    NATIVE: 'native'
+};
+
+// Text markup variants ('markup' annotations) and their PDF subtypes
+export const MARKUP_SUBTYPES = {
+    highlight: 'Highlight',
+    underline: 'Underline',
+    strikeout: 'StrikeOut'
+};
+
+// Line drawn by underline/strikeout, relative to the height of the text line
+export const markupLineWidth = (height) => Math.max(1, height / 14);
+
+// Maps editor page units (PDF points from the top-left of the visible page box, y down,
+// ignoring /Rotate) to PDF user space (y up). Sizes need no conversion.
+export const createPageMapper = (page) => {
+    const { x: left, y: bottom, height } = page.getCropBox();
+    const top = bottom + height;
+    return {
+        left,
+        top,
+        point: (x, y) => ({ x: left + x, y: top - y })
+    };
+};
+
+const pdfColor = (hex) => {
+    const { r, g, b } = parseColor(hex);
+    return rgb(r, g, b);
+};
+
+// Outline of a line or polygon annotation as separate point runs (page units):
+// the shape itself, then the arrowhead barbs of an arrow
+const shapeStrokes = (ann, strokeWidth) => {
+    const strokes = [ann.points];
+    if (ann.type === 'line' && ann.arrow) {
+        const [from, to] = ann.points;
+        const [left, right] = getArrowHead(from, to, strokeWidth);
+        strokes.push([left, to, right]);
+    }
+    return strokes;
+};
+
+// Image files are JPEG or PNG (see utils/images); the bytes decide which, not the MIME type
+const embedAnnotationImage = async (pdfDoc, ann) => {
+    const imageBytes = await ann.file.arrayBuffer();
+    const format = getEmbeddableFormat(imageBytes);
+    if (format === 'jpg') return pdfDoc.embedJpg(imageBytes);
+    if (format === 'png') return pdfDoc.embedPng(imageBytes);
+    throw new Error(`${ann.file.name || 'An image'} is not a JPEG or PNG file`);
+};
+
+// --- Flatten ---
+// `fontCache` comes from createFontCache() (utils/fonts), one per saved document
+export const flattenAnnotation = async (pdfDoc, page, ann, mapper, fontCache) => {
+    const style = getAnnotationStyle(ann);
+
+    if (ann.type === 'path') {
+        if (ann.points.length > 1) {
+            // A single path (not one line per segment) so overlapping joints keep the exact opacity.
+            // SVG coordinates are y-down from (x, y), which matches page units with the origin at the page top.
+            const ink = getInkShape(ann, style.strokeWidth);
+            const color = pdfColor(style.strokeColor);
+            page.pushOperators(pushGraphicsState(), setLineJoin(LineJoinStyle.Round));
+            page.drawSvgPath(inkSvgPath(ink), ink.filled ? {
+                x: mapper.left, y: mapper.top,
+                color, opacity: style.opacity,
+            } : {
+                x: mapper.left, y: mapper.top,
+                borderColor: color, borderWidth: ink.width,
+                borderOpacity: style.opacity, borderLineCap: LineCapStyle.Round,
+            });
+            page.pushOperators(popGraphicsState());
+        }
+    } else if (ann.type === 'line' || ann.type === 'polygon') {
+        const d = shapeStrokes(ann, style.strokeWidth)
+            .map(points => points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' '))
+            .join(' ') + (ann.closed ? ' Z' : '');
+        const filled = ann.closed && style.fillColor;
+        page.pushOperators(pushGraphicsState(), setLineJoin(LineJoinStyle.Round));
+        page.drawSvgPath(d, {
+            x: mapper.left, y: mapper.top,
+            borderColor: pdfColor(style.strokeColor), borderWidth: style.strokeWidth,
+            borderOpacity: style.opacity, borderLineCap: LineCapStyle.Round,
+            color: filled ? pdfColor(style.fillColor) : undefined, opacity: style.opacity,
+        });
+        page.pushOperators(popGraphicsState());
+    } else if (ann.type === 'ellipse') {
+        const center = mapper.point(ann.x + ann.width / 2, ann.y + ann.height / 2);
+        page.drawEllipse({
+            x: center.x, y: center.y, xScale: Math.abs(ann.width) / 2, yScale: Math.abs(ann.height) / 2,
+            borderColor: pdfColor(style.strokeColor), borderWidth: style.strokeWidth, borderOpacity: style.opacity,
+            color: style.fillColor ? pdfColor(style.fillColor) : undefined, opacity: style.opacity,
+        });
+    } else if (ann.type === 'callout') {
+        const font = await embedTextFont(pdfDoc, fontCache, style.fontFamily, ann.text);
+        const leaderEnd = getCalloutLeaderEnd(ann);
+        const bottomLeft = mapper.point(ann.x, ann.y + ann.height);
+        const baseline = mapper.point(ann.x + CALLOUT_PADDING, ann.y + CALLOUT_PADDING + style.fontSize);
+        page.drawSvgPath(`M ${ann.anchor.x} ${ann.anchor.y} L ${leaderEnd.x} ${leaderEnd.y}`, {
+            x: mapper.left, y: mapper.top,
+            borderColor: pdfColor(style.strokeColor), borderWidth: style.strokeWidth,
+            borderOpacity: style.opacity, borderLineCap: LineCapStyle.Round,
+        });
+        page.drawRectangle({
+            x: bottomLeft.x, y: bottomLeft.y, width: ann.width, height: ann.height,
+            borderColor: pdfColor(style.strokeColor), borderWidth: style.strokeWidth, borderOpacity: style.opacity,
+            color: style.fillColor ? pdfColor(style.fillColor) : undefined, opacity: style.opacity,
+        });
+        page.drawText(ann.text, {
+            x: baseline.x, y: baseline.y,
+            size: style.fontSize, font, lineHeight: style.fontSize * TEXT_LINE_HEIGHT,
+            color: pdfColor(style.strokeColor), opacity: style.opacity,
+        });
+    } else if (ann.type === 'stamp') {
+        const font = await embedTextFont(pdfDoc, fontCache, style.fontFamily, ann.text);
+        const color = pdfColor(style.strokeColor);
+        getStampBorders(ann).forEach(border => {
+            const bottomLeft = mapper.point(border.x, border.y + border.height);
+            page.drawRectangle({
+                x: bottomLeft.x, y: bottomLeft.y, width: border.width, height: border.height,
+                borderColor: color, borderWidth: border.lineWidth, borderOpacity: style.opacity,
+            });
+        });
+        const { fontSize, lines } = getStampLayout(ann, line => font.widthOfTextAtSize(line, 1));
+        const centerX = Math.min(ann.x, ann.x + ann.width) + Math.abs(ann.width) / 2;
+        lines.forEach(line => {
+            const origin = mapper.point(centerX - font.widthOfTextAtSize(line.text, fontSize) / 2, line.baseline);
+            page.drawText(line.text, { x: origin.x, y: origin.y, size: fontSize, font, color, opacity: style.opacity });
+        });
+    } else if (ann.type === 'text') {
+        const font = await embedTextFont(pdfDoc, fontCache, style.fontFamily, ann.text);
+        const baseline = mapper.point(ann.x, ann.y);
+        page.drawText(ann.text, {
+            x: baseline.x, y: baseline.y,
+            size: style.fontSize, font, lineHeight: style.fontSize * TEXT_LINE_HEIGHT,
+            color: pdfColor(style.strokeColor), opacity: style.opacity,
+        });
+    } else if (ann.type === 'rect') {
+        let cX = ann.x, cY = ann.y, cW = ann.width, cH = ann.height;
+        if (cW < 0) { cX += cW; cW = Math.abs(cW); }
+        if (cH < 0) { cY += cH; cH = Math.abs(cH); }
+        const bottomLeft = mapper.point(cX, cY + cH);
+        page.drawRectangle({
+            x: bottomLeft.x, y: bottomLeft.y, width: cW, height: cH,
+            borderColor: pdfColor(style.strokeColor), borderWidth: style.strokeWidth, borderOpacity: style.opacity,
+            color: style.fillColor ? pdfColor(style.fillColor) : undefined, opacity: style.opacity,
+        });
+    } else if (ann.type === 'image') {
+        // Drawn from its bottom-left corner, turned counterclockwise in PDF space (clockwise on screen)
+        const pdfImage = await embedAnnotationImage(pdfDoc, ann);
+        const [, , , bottomLeft] = getImageCorners(ann).map(p => mapper.point(p.x, p.y));
+        page.drawImage(pdfImage, {
+            x: bottomLeft.x, y: bottomLeft.y, width: ann.width, height: ann.height,
+            rotate: degrees(-(ann.rotation || 0)), opacity: style.opacity
+        });
+    } else if (ann.type === 'markup') {
+        const color = pdfColor(style.strokeColor);
+        for (const r of ann.rects) {
+            const bottomLeft = mapper.point(r.x, r.y + r.height);
+            if (ann.variant === 'highlight') {
+                page.drawRectangle({
+                    x: bottomLeft.x, y: bottomLeft.y, width: r.width, height: r.height,
+                    color, opacity: style.opacity, blendMode: BlendMode.Multiply,
+                });
+            } else {
+                const lineY = ann.variant === 'underline' ? bottomLeft.y + r.height * 0.1 : bottomLeft.y + r.height / 2;
+                page.drawLine({
+                    start: { x: bottomLeft.x, y: lineY }, end: { x: bottomLeft.x + r.width, y: lineY },
+                    thickness: markupLineWidth(r.height), color, opacity: style.opacity,
+                });
+            }
+        }
+    } else if (ann.type === 'note') {
+        const font = await embedTextFont(pdfDoc, fontCache, style.fontFamily, ann.text);
+        const noteW = ann.width ?? NOTE_WIDTH;
+        const noteH = ann.height ?? NOTE_HEIGHT;
+        const bottomLeft = mapper.point(ann.x, ann.y + noteH);
+        const baseline = mapper.point(ann.x + NOTE_PADDING, ann.y + NOTE_PADDING + style.fontSize);
+        page.drawRectangle({
+            x: bottomLeft.x, y: bottomLeft.y, width: noteW, height: noteH,
+            color: pdfColor(style.fillColor || '#ffeb3b'), opacity: style.opacity,
+        });
+        page.drawText(ann.text, {
+            x: baseline.x, y: baseline.y,
+            size: style.fontSize, font, lineHeight: style.fontSize * TEXT_LINE_HEIGHT,
+            color: pdfColor(style.strokeColor), opacity: style.opacity,
+        });
+    }
+};
+
+// --- Native Annotations ---
+const NOTE_ICON_SIZE = 24;
+
+const fmt = (n) => Number(n.toFixed(3)).toString();
+const colorArray = ({ r, g, b }) => [r, g, b];
+const strokeColorOp = ({ r, g, b }) => `${fmt(r)} ${fmt(g)} ${fmt(b)} RG`;
+const fillColorOp = ({ r, g, b }) => `${fmt(r)} ${fmt(g)} ${fmt(b)} rg`;
+
+// Appearance stream (/AP /N) drawn in page space: BBox equals the annotation Rect
+const registerAppearance = (pdfDoc, rect, content, resources = {}) => {
+    const stream = pdfDoc.context.flateStream(content, {
+        Type: 'XObject',
+        Subtype: 'Form',
+        BBox: rect,
+        Resources: resources
+    });
+    return pdfDoc.context.register(stream);
+};
+
+// Appearance streams select this graphics state with `/GS0 gs`
+const graphicsStateResources = (opacity, blendMode) => ({
+    ExtGState: { GS0: { CA: opacity, ca: opacity, BM: blendMode } }
+});
+
+const addAnnotation = (pdfDoc, page, dict) => {
+    const ref = pdfDoc.context.register(pdfDoc.context.obj({
+        Type: 'Annot',
+        F: 4, // Print
+        M: PDFString.fromDate(new Date()),
+        ...dict
+    }));
+    page.node.addAnnot(ref);
+    return ref;
+};
+
+// Bounding Rect of points in PDF space, grown by `pad` on every side
+const pointsRect = (points, pad) => {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return [Math.min(...xs) - pad, Math.min(...ys) - pad, Math.max(...xs) + pad, Math.max(...ys) + pad];
+};
+
+// InkList keeps the recorded points; the appearance draws the stroke as the editor shows
+// it (curves for smoothed strokes, a filled outline for pressure strokes)
+const writeInk = (pdfDoc, page, ann, mapper) => {
+    if (ann.points.length < 2) return;
+    const points = ann.points.map(p => mapper.point(p.x, p.y));
+    const style = getAnnotationStyle(ann);
+    const color = parseColor(style.strokeColor);
+    const ink = getInkShape(ann, style.strokeWidth);
+    const rect = pointsRect(inkShapePoints(ink).map(p => mapper.point(p.x, p.y)), ink.width / 2 + 1);
+
+    const at = (p) => {
+        const { x, y } = mapper.point(p.x, p.y);
+        return `${fmt(x)} ${fmt(y)}`;
+    };
+    const path = [
+        `${at(ink.start)} m`,
+        ...ink.segments.map(({ c1, c2, to }) => (c1 ? `${at(c1)} ${at(c2)} ${at(to)} c` : `${at(to)} l`))
+    ].join('\n');
+    const content = [
+        '/GS0 gs',
+        ink.filled ? fillColorOp(color) : strokeColorOp(color),
+        ink.filled ? '' : `${fmt(ink.width)} w 1 J 1 j`,
+        path,
+        ink.filled ? 'h f' : 'S'
+    ].join('\n');
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: 'Ink',
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        InkList: [points.flatMap(p => [p.x, p.y])],
+        C: colorArray(color),
+        CA: style.opacity,
+        BS: { W: style.strokeWidth, S: 'S' },
+        AP: { N: registerAppearance(pdfDoc, rect, content, graphicsStateResources(style.opacity)) }
+    });
+};
+
+const writeSquare = (pdfDoc, page, ann, mapper) => {
+    let { x, y, width: w, height: h } = ann;
+    if (w < 0) { x += w; w = Math.abs(w); }
+    if (h < 0) { y += h; h = Math.abs(h); }
+    const style = getAnnotationStyle(ann);
+    const color = parseColor(style.strokeColor);
+    const fill = style.fillColor ? parseColor(style.fillColor) : null;
+    const borderWidth = style.strokeWidth;
+    const bottomLeft = mapper.point(x, y + h);
+    // Rect includes the border, the stroke is centred on the drawn box
+    const half = borderWidth / 2;
+    const rect = [bottomLeft.x - half, bottomLeft.y - half, bottomLeft.x + w + half, bottomLeft.y + h + half];
+
+    const content = [
+        '/GS0 gs',
+        strokeColorOp(color),
+        fill ? fillColorOp(fill) : '',
+        `${fmt(borderWidth)} w`,
+        `${fmt(bottomLeft.x)} ${fmt(bottomLeft.y)} ${fmt(w)} ${fmt(h)} re`,
+        fill ? 'B' : 'S'
+    ].join('\n');
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: 'Square',
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        C: colorArray(color),
+        IC: fill ? colorArray(fill) : undefined,
+        CA: style.opacity,
+        BS: { W: borderWidth, S: 'S' },
+        AP: { N: registerAppearance(pdfDoc, rect, content, graphicsStateResources(style.opacity)) }
+    });
+};
+
+const pathOps = (points) => points.map((p, i) => `${fmt(p.x)} ${fmt(p.y)} ${i === 0 ? 'm' : 'l'}`).join('\n');
+
+// Four Bezier arcs approximating an ellipse
+const ELLIPSE_KAPPA = 0.5523;
+const ellipseOps = (cx, cy, rx, ry) => {
+    const ox = rx * ELLIPSE_KAPPA;
+    const oy = ry * ELLIPSE_KAPPA;
+    const c = (...values) => values.map(fmt).join(' ');
+    return [
+        `${c(cx - rx, cy)} m`,
+        `${c(cx - rx, cy + oy, cx - ox, cy + ry, cx, cy + ry)} c`,
+        `${c(cx + ox, cy + ry, cx + rx, cy + oy, cx + rx, cy)} c`,
+        `${c(cx + rx, cy - oy, cx + ox, cy - ry, cx, cy - ry)} c`,
+        `${c(cx - ox, cy - ry, cx - rx, cy - oy, cx - rx, cy)} c`
+    ].join('\n');
+};
+
+const writeCircle = (pdfDoc, page, ann, mapper) => {
+    const style = getAnnotationStyle(ann);
+    const color = parseColor(style.strokeColor);
+    const fill = style.fillColor ? parseColor(style.fillColor) : null;
+    const borderWidth = style.strokeWidth;
+    const center = mapper.point(ann.x + ann.width / 2, ann.y + ann.height / 2);
+    const rx = Math.abs(ann.width) / 2;
+    const ry = Math.abs(ann.height) / 2;
+    const half = borderWidth / 2;
+    const rect = [center.x - rx - half, center.y - ry - half, center.x + rx + half, center.y + ry + half];
+
+    const content = [
+        '/GS0 gs',
+        strokeColorOp(color),
+        fill ? fillColorOp(fill) : '',
+        `${fmt(borderWidth)} w`,
+        ellipseOps(center.x, center.y, rx, ry),
+        fill ? 'b' : 's'
+    ].join('\n');
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: 'Circle',
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        C: colorArray(color),
+        IC: fill ? colorArray(fill) : undefined,
+        CA: style.opacity,
+        BS: { W: borderWidth, S: 'S' },
+        AP: { N: registerAppearance(pdfDoc, rect, content, graphicsStateResources(style.opacity)) }
+    });
+};
+
+// Line (optionally with an open arrow at its end), PolyLine and Polygon
+const writeLineShape = (pdfDoc, page, ann, mapper) => {
+    const style = getAnnotationStyle(ann);
+    const color = parseColor(style.strokeColor);
+    const fill = ann.closed && style.fillColor ? parseColor(style.fillColor) : null;
+    const width = style.strokeWidth;
+    const strokes = shapeStrokes(ann, width).map(points => points.map(p => mapper.point(p.x, p.y)));
+    const vertices = strokes[0];
+    const rect = pointsRect(strokes.flat(), width / 2 + 1);
+
+    let paint = 'S';
+    if (ann.closed) paint = fill ? 'b' : 's';
+    const content = [
+        '/GS0 gs',
+        strokeColorOp(color),
+        fill ? fillColorOp(fill) : '',
+        `${fmt(width)} w 1 J 1 j`,
+        pathOps(vertices),
+        paint,
+        ...strokes.slice(1).map(points => `${pathOps(points)}\nS`)
+    ].join('\n');
+
+    const shape = ann.type === 'line'
+        ? {
+            Subtype: 'Line',
+            L: [vertices[0].x, vertices[0].y, vertices[1].x, vertices[1].y],
+            LE: ['None', ann.arrow ? 'OpenArrow' : 'None']
+        }
+        : {
+            Subtype: ann.closed ? 'Polygon' : 'PolyLine',
+            Vertices: vertices.flatMap(p => [p.x, p.y])
+        };
+
+    return addAnnotation(pdfDoc, page, {
+        ...shape,
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        C: colorArray(color),
+        IC: fill ? colorArray(fill) : undefined,
+        CA: style.opacity,
+        BS: { W: width, S: 'S' },
+        AP: { N: registerAppearance(pdfDoc, rect, content, graphicsStateResources(style.opacity)) }
+    });
+};
+
+// FreeText with the callout intent: the text box plus a leader line (/CL) to the anchor.
+// /RD holds the distances from the annotation Rect in to the box.
+const writeCallout = async (pdfDoc, page, ann, mapper, fontCache) => {
+    const style = getAnnotationStyle(ann);
+    const font = await embedTextFont(pdfDoc, fontCache, style.fontFamily, ann.text);
+    const resource = getFontResourceName(font);
+    const color = parseColor(style.strokeColor);
+    const fill = style.fillColor ? parseColor(style.fillColor) : null;
+    const size = style.fontSize;
+    const borderWidth = style.strokeWidth;
+    const lines = ann.text.split('\n');
+
+    const boxBottomLeft = mapper.point(ann.x, ann.y + ann.height);
+    const box = [boxBottomLeft.x, boxBottomLeft.y, boxBottomLeft.x + ann.width, boxBottomLeft.y + ann.height];
+    const anchor = mapper.point(ann.anchor.x, ann.anchor.y);
+    const leaderEnd = getCalloutLeaderEnd(ann);
+    const knee = mapper.point(leaderEnd.x, leaderEnd.y);
+    const half = borderWidth / 2;
+    const rect = pointsRect([{ x: box[0], y: box[1] }, { x: box[2], y: box[3] }, anchor], half + 1);
+    const baseline = mapper.point(ann.x + CALLOUT_PADDING, ann.y + CALLOUT_PADDING + size);
+
+    const content = [
+        '/GS0 gs',
+        strokeColorOp(color),
+        `${fmt(borderWidth)} w 1 J`,
+        pathOps([anchor, knee]),
+        'S',
+        fill ? fillColorOp(fill) : '',
+        `${fmt(box[0])} ${fmt(box[1])} ${fmt(ann.width)} ${fmt(ann.height)} re`,
+        fill ? 'B' : 'S',
+        'BT',
+        fillColorOp(color),
+        `/${resource} ${fmt(size)} Tf`,
+        `${fmt(size * TEXT_LINE_HEIGHT)} TL`,
+        `${fmt(baseline.x)} ${fmt(baseline.y)} Td`,
+        lines.map(line => `${font.encodeText(line).toString()} Tj`).join('\nT*\n'),
+        'ET'
+    ].join('\n');
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: 'FreeText',
+        IT: 'FreeTextCallout',
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        RD: [box[0] - rect[0], rect[3] - box[3], rect[2] - box[2], box[1] - rect[1]].map(v => Math.max(0, v)),
+        CL: [anchor.x, anchor.y, knee.x, knee.y],
+        LE: 'None',
+        Contents: PDFHexString.fromText(ann.text),
+        DA: PDFString.of(`${strokeColorOp(color)} ${fillColorOp(color)} /${resource} ${fmt(size)} Tf`),
+        C: fill ? colorArray(fill) : undefined,
+        CA: style.opacity,
+        BS: { W: borderWidth, S: 'S' },
+        AP: {
+            N: registerAppearance(pdfDoc, rect, content, {
+                ...graphicsStateResources(style.opacity),
+                Font: { [resource]: font.ref }
+            })
+        }
+    });
+};
+
+const writeFreeText = async (pdfDoc, page, ann, mapper, fontCache) => {
+    const style = getAnnotationStyle(ann);
+    const font = await embedTextFont(pdfDoc, fontCache, style.fontFamily, ann.text);
+    const resource = getFontResourceName(font);
+    const color = parseColor(style.strokeColor);
+    const size = style.fontSize;
+    const lines = ann.text.split('\n');
+    const lineHeight = size * TEXT_LINE_HEIGHT;
+    const baseline = mapper.point(ann.x, ann.y);
+    const width = Math.max(...lines.map(line => font.widthOfTextAtSize(line, size)));
+    const descent = size * 0.25;
+    const rect = [
+        baseline.x,
+        baseline.y - descent - lineHeight * (lines.length - 1),
+        baseline.x + width + 2,
+        baseline.y + size
+    ];
+
+    const content = [
+        '/GS0 gs',
+        'BT',
+        fillColorOp(color),
+        `/${resource} ${fmt(size)} Tf`,
+        `${fmt(lineHeight)} TL`,
+        `${fmt(baseline.x)} ${fmt(baseline.y)} Td`,
+        lines.map(line => `${font.encodeText(line).toString()} Tj`).join('\nT*\n'),
+        'ET'
+    ].join('\n');
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: 'FreeText',
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        Contents: PDFHexString.fromText(ann.text),
+        DA: PDFString.of(`${fillColorOp(color)} /${resource} ${fmt(size)} Tf`),
+        CA: style.opacity,
+        BS: { W: 0 },
+        AP: {
+            N: registerAppearance(pdfDoc, rect, content, {
+                ...graphicsStateResources(style.opacity),
+                Font: { [resource]: font.ref }
+            })
+        }
+    });
+};
+
+// Highlight / Underline / StrikeOut with one quad per selected line
+const writeTextMarkup = (pdfDoc, page, ann, mapper) => {
+    const style = getAnnotationStyle(ann);
+    const color = parseColor(style.strokeColor);
+    const quads = ann.rects.map(r => {
+        const topLeft = mapper.point(r.x, r.y);
+        const bottomRight = mapper.point(r.x + r.width, r.y + r.height);
+        return { x1: topLeft.x, y1: bottomRight.y, x2: bottomRight.x, y2: topLeft.y };
+    });
+    const rect = [
+        Math.min(...quads.map(q => q.x1)),
+        Math.min(...quads.map(q => q.y1)),
+        Math.max(...quads.map(q => q.x2)),
+        Math.max(...quads.map(q => q.y2))
+    ];
+
+    const isHighlight = ann.variant === 'highlight';
+    const shapes = quads.map(q => {
+        if (isHighlight) return `${fmt(q.x1)} ${fmt(q.y1)} ${fmt(q.x2 - q.x1)} ${fmt(q.y2 - q.y1)} re f`;
+        const height = q.y2 - q.y1;
+        const lineY = ann.variant === 'underline' ? q.y1 + height * 0.1 : q.y1 + height / 2;
+        return `${fmt(markupLineWidth(height))} w ${fmt(q.x1)} ${fmt(lineY)} m ${fmt(q.x2)} ${fmt(lineY)} l S`;
+    });
+    const content = [
+        '/GS0 gs',
+        isHighlight ? fillColorOp(color) : strokeColorOp(color),
+        ...shapes
+    ].join('\n');
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: MARKUP_SUBTYPES[ann.variant],
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        // Quad order used by Acrobat: upper-left, upper-right, lower-left, lower-right
+        QuadPoints: quads.flatMap(q => [q.x1, q.y2, q.x2, q.y2, q.x1, q.y1, q.x2, q.y1]),
+        Contents: ann.text ? PDFHexString.fromText(ann.text) : undefined,
+        C: colorArray(color),
+        CA: style.opacity,
+        AP: { N: registerAppearance(pdfDoc, rect, content, graphicsStateResources(style.opacity, isHighlight ? 'Multiply' : undefined)) }
+    });
+};
+
+// Sticky note: a /Text icon at the note's corner plus a /Popup covering the note box
+const writeNote = (pdfDoc, page, ann, mapper) => {
+    const style = getAnnotationStyle(ann);
+    const noteColor = parseColor(style.fillColor || '#ffeb3b');
+    const topLeft = mapper.point(ann.x, ann.y);
+    const noteW = ann.width ?? NOTE_WIDTH;
+    const noteH = ann.height ?? NOTE_HEIGHT;
+    const iconRect = [topLeft.x, topLeft.y - NOTE_ICON_SIZE, topLeft.x + NOTE_ICON_SIZE, topLeft.y];
+
+    const [x0, y0, x1, y1] = iconRect;
+    const content = [
+        '/GS0 gs',
+        fillColorOp(noteColor),
+        '0 G 1 w',
+        `${fmt(x0 + 0.5)} ${fmt(y0 + 0.5)} ${fmt(x1 - x0 - 1)} ${fmt(y1 - y0 - 1)} re`,
+        'B',
+        ...[0.3, 0.5, 0.7].map(t => `${fmt(x0 + 5)} ${fmt(y1 - (y1 - y0) * t)} m ${fmt(x1 - 5)} ${fmt(y1 - (y1 - y0) * t)} l S`)
+    ].join('\n');
+
+    const popupRef = pdfDoc.context.nextRef();
+    const noteRef = addAnnotation(pdfDoc, page, {
+        Subtype: 'Text',
+        NM: PDFString.of(ann.id),
+        Rect: iconRect,
+        Contents: PDFHexString.fromText(ann.text),
+        Name: 'Comment',
+        C: colorArray(noteColor),
+        CA: style.opacity,
+        Open: false,
+        Popup: popupRef,
+        AP: { N: registerAppearance(pdfDoc, iconRect, content, graphicsStateResources(style.opacity)) }
+    });
+
+    pdfDoc.context.assign(popupRef, pdfDoc.context.obj({
+        Type: 'Annot',
+        Subtype: 'Popup',
+        Rect: [topLeft.x, topLeft.y - noteH, topLeft.x + noteW, topLeft.y],
+        Parent: noteRef,
+        Open: false
+    }));
+    page.node.addAnnot(popupRef);
+    return noteRef;
+};
+
+const writeStamp = async (pdfDoc, page, ann, mapper) => {
+    const pdfImage = await embedAnnotationImage(pdfDoc, ann);
+    const corners = getImageCorners(ann).map(p => mapper.point(p.x, p.y));
+    const [topLeft, topRight, , bottomLeft] = corners;
+    const rect = pointsRect(corners, 0);
+
+    // The image's unit square mapped onto its (possibly rotated) corners
+    const { opacity } = getAnnotationStyle(ann);
+    const matrix = [
+        topRight.x - topLeft.x, topRight.y - topLeft.y,
+        topLeft.x - bottomLeft.x, topLeft.y - bottomLeft.y,
+        bottomLeft.x, bottomLeft.y
+    ];
+    const content = `/GS0 gs q ${matrix.map(fmt).join(' ')} cm /Im0 Do Q`;
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: 'Stamp',
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        Name: 'Image',
+        CA: opacity,
+        AP: {
+            N: registerAppearance(pdfDoc, rect, content, {
+                ...graphicsStateResources(opacity),
+                XObject: { Im0: pdfImage.ref }
+            })
+        }
+    });
+};
+
+// Text stamp drawn as vectors; /Name is the standard stamp name when there is one
+const writeTextStamp = async (pdfDoc, page, ann, mapper, fontCache) => {
+    const style = getAnnotationStyle(ann);
+    const font = await embedTextFont(pdfDoc, fontCache, style.fontFamily, ann.text);
+    const resource = getFontResourceName(font);
+    const color = parseColor(style.strokeColor);
+    const [outer] = getStampBorders(ann);
+    const topLeft = mapper.point(outer.x, outer.y);
+    const half = outer.lineWidth / 2;
+    const rect = [topLeft.x - half, topLeft.y - outer.height - half, topLeft.x + outer.width + half, topLeft.y + half];
+
+    const { fontSize, lines } = getStampLayout(ann, line => font.widthOfTextAtSize(line, 1));
+    const centerX = outer.x + outer.width / 2;
+    const content = [
+        '/GS0 gs',
+        strokeColorOp(color),
+        fillColorOp(color),
+        ...getStampBorders(ann).map(border => {
+            const bottomLeft = mapper.point(border.x, border.y + border.height);
+            return `${fmt(border.lineWidth)} w ${fmt(bottomLeft.x)} ${fmt(bottomLeft.y)} ${fmt(border.width)} ${fmt(border.height)} re S`;
+        }),
+        'BT',
+        `/${resource} ${fmt(fontSize)} Tf`,
+        ...lines.map(line => {
+            const origin = mapper.point(centerX - font.widthOfTextAtSize(line.text, fontSize) / 2, line.baseline);
+            return `1 0 0 1 ${fmt(origin.x)} ${fmt(origin.y)} Tm ${font.encodeText(line.text).toString()} Tj`;
+        }),
+        'ET'
+    ].join('\n');
+
+    return addAnnotation(pdfDoc, page, {
+        Subtype: 'Stamp',
+        NM: PDFString.of(ann.id),
+        Rect: rect,
+        Name: ann.name,
+        Contents: PDFHexString.fromText(ann.text),
+        C: colorArray(color),
+        CA: style.opacity,
+        AP: {
+            N: registerAppearance(pdfDoc, rect, content, {
+                ...graphicsStateResources(style.opacity),
+                Font: { [resource]: font.ref }
+            })
+        }
+    });
+};
+
+// Writes the annotation dictionary; returns its reference (nothing when there's nothing to draw)
+const writeAnnotation = async (pdfDoc, page, ann, mapper, fontCache) => {
+    if (ann.type === 'path') {
+        return writeInk(pdfDoc, page, ann, mapper);
+    } else if (ann.type === 'rect') {
+        return writeSquare(pdfDoc, page, ann, mapper);
+    } else if (ann.type === 'ellipse') {
+        return writeCircle(pdfDoc, page, ann, mapper);
+    } else if (ann.type === 'line' || ann.type === 'polygon') {
+        return writeLineShape(pdfDoc, page, ann, mapper);
+    } else if (ann.type === 'callout') {
+        return writeCallout(pdfDoc, page, ann, mapper, fontCache);
+    } else if (ann.type === 'markup') {
+        return writeTextMarkup(pdfDoc, page, ann, mapper);
+    } else if (ann.type === 'text') {
+        return writeFreeText(pdfDoc, page, ann, mapper, fontCache);
+    } else if (ann.type === 'note') {
+        return writeNote(pdfDoc, page, ann, mapper);
+    } else if (ann.type === 'stamp') {
+        return writeTextStamp(pdfDoc, page, ann, mapper, fontCache);
+    } else if (ann.type === 'image') {
+        return writeStamp(pdfDoc, page, ann, mapper);
+    }
+};
+
+// Review data: the author (/T) and creation date on the annotation itself, each reply as a
+// Text annotation in reply to it (/IRT), and a resolved status as a Review state reply.
+// Replies are listed by viewers' comment panes rather than drawn, so their appearance is empty.
+const writeCommentThread = (pdfDoc, page, ann, ref) => {
+    const dict = pdfDoc.context.lookup(ref, PDFDict);
+    if (ann.author) dict.set(PDFName.of('T'), PDFHexString.fromText(ann.author));
+    if (ann.createdAt) dict.set(PDFName.of('CreationDate'), PDFString.fromDate(new Date(ann.createdAt)));
+
+    const { x, y } = dict.lookup(PDFName.of('Rect'), PDFArray).asRectangle();
+    const replyRect = [x, y, x + NOTE_ICON_SIZE, y + NOTE_ICON_SIZE];
+    const emptyAppearance = () => registerAppearance(pdfDoc, [0, 0, 0, 0], '');
+    const reply = (fields) => addAnnotation(pdfDoc, page, {
+        Subtype: 'Text',
+        Rect: replyRect,
+        IRT: ref,
+        RT: 'R',
+        Open: false,
+        F: 28, // Print, NoZoom, NoRotate
+        AP: { N: emptyAppearance() },
+        ...fields
+    });
+
+    (ann.replies || []).forEach(({ id, author, text, createdAt }) => reply({
+        NM: PDFString.of(id),
+        Contents: PDFHexString.fromText(text),
+        T: author ? PDFHexString.fromText(author) : undefined,
+        CreationDate: createdAt ? PDFString.fromDate(new Date(createdAt)) : undefined,
+        Name: 'Comment'
+    }));
+    if (ann.status === 'resolved') {
+        reply({
+            Contents: PDFHexString.fromText(`Completed set by ${ann.resolvedBy || ann.author || 'reviewer'}`),
+            T: ann.resolvedBy ? PDFHexString.fromText(ann.resolvedBy) : undefined,
+            StateModel: PDFString.of('Review'),
+            State: PDFString.of('Completed'),
+            F: 30 // Hidden as well
+        });
+    }
+};
+
+export const writeNativeAnnotation = async (pdfDoc, page, ann, mapper, fontCache) => {
+    const ref = await writeAnnotation(pdfDoc, page, ann, mapper, fontCache);
+    if (ref) writeCommentThread(pdfDoc, page, ann, ref);
+};
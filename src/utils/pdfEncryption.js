@@ -0,0 +1,328 @@
+import {
+    PDFDocument,
+    PDFName,
+    PDFString,
+    PDFHexString,
+    PDFDict,
+    PDFArray,
+    PDFRawStream,
+    PDFHeader
+} from 'pdf-lib';
+
+// Password protection with the PDF standard security handler, done in the browser:
+// AES-256 (revision 6, PDF 2.0 / Acrobat X and later) or AES-128 (revision 4, PDF 1.6).
+// Every string and stream of the document is encrypted; key derivation follows
+// ISO 32000-2 section 7.6.4. AES and SHA-2 come from Web Crypto, which only exists on
+// secure (HTTPS or localhost) pages; MD5 and RC4, which revision 4 still needs for its
+// password entries, are implemented below.
+// Anything that goes wrong throws: callers must not fall back to the unencrypted file.
+
+export const ENCRYPTION_ALGORITHMS = {
+    'aes-256': 'AES-256 (Acrobat X and later)',
+    'aes-128': 'AES-128 (Acrobat 7 and later)'
+};
+
+// Permission flags (/P bits, ISO 32000-2 table 22), all granted by default
+export const PERMISSIONS = {
+    print: { bit: 3, label: 'Print' },
+    printHighQuality: { bit: 12, label: 'Print at full quality' },
+    modify: { bit: 4, label: 'Change the document' },
+    assemble: { bit: 11, label: 'Insert, rotate and delete pages' },
+    copy: { bit: 5, label: 'Copy text and images' },
+    accessibility: { bit: 10, label: 'Extract text for accessibility' },
+    annotate: { bit: 6, label: 'Add comments and sign' },
+    fillForms: { bit: 9, label: 'Fill in form fields' }
+};
+
+// 32-byte padding string of revisions 2-4
+const PASSWORD_PADDING = new Uint8Array([
+    0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+    0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+const AES_SALT = new Uint8Array([0x73, 0x41, 0x6c, 0x54]); // "sAlT"
+const MAX_PASSWORD_BYTES = 127;
+
+// --- Bytes ---
+const concatBytes = (...parts) => {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+};
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const littleEndian = (value, length) => Uint8Array.from({ length }, (_, i) => (value >>> (8 * i)) & 0xff);
+
+// --- MD5 (RFC 1321) ---
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_TABLE = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+const md5 = (input) => {
+    const bitLength = input.length * 8;
+    const padded = new Uint8Array((((input.length + 8) >> 6) + 1) * 64);
+    padded.set(input);
+    padded[input.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, bitLength >>> 0, true);
+    view.setUint32(padded.length - 4, Math.floor(bitLength / 2 ** 32), true);
+
+    let [a0, b0, c0, d0] = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    for (let chunk = 0; chunk < padded.length; chunk += 64) {
+        const m = Array.from({ length: 16 }, (_, i) => view.getUint32(chunk + i * 4, true));
+        let [a, b, c, d] = [a0, b0, c0, d0];
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) { f = (b & c) | (~b & d); g = i; }
+            else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+            else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+            else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+            const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+            const sum = (a + f + MD5_TABLE[i] + m[g]) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+        }
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+    return concatBytes(littleEndian(a0, 4), littleEndian(b0, 4), littleEndian(c0, 4), littleEndian(d0, 4));
+};
+
+// --- RC4 ---
+const rc4 = (key, data) => {
+    const s = Uint8Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key[i % key.length]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
+    }
+    const out = new Uint8Array(data.length);
+    for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+        i = (i + 1) & 0xff;
+        j = (j + s[i]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
+        out[k] = data[k] ^ s[(s[i] + s[j]) & 0xff];
+    }
+    return out;
+};
+
+// --- Web Crypto ---
+const subtle = () => {
+    if (!globalThis.crypto?.subtle) {
+        throw new Error('Encryption needs a secure connection (HTTPS); this page cannot encrypt files.');
+    }
+    return globalThis.crypto.subtle;
+};
+
+const aesKey = (key) => subtle().importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+
+// AES-CBC with PKCS#5 padding, as PDF strings and streams use it
+const aesCbc = async (key, iv, data) => new Uint8Array(await subtle().encrypt({ name: 'AES-CBC', iv }, key, data));
+
+// AES-CBC without padding (`data` is a whole number of blocks): Web Crypto always pads,
+// and the padding only adds a last block, so that block is dropped
+const aesCbcNoPadding = async (keyBytes, iv, data) => (await aesCbc(await aesKey(keyBytes), iv, data)).slice(0, data.length);
+
+const sha = async (bits, data) => new Uint8Array(await subtle().digest(`SHA-${bits}`, data));
+
+// --- Passwords ---
+// Revision 4 passwords are PDFDocEncoding; the Latin-1 range is what we can encode safely
+const latin1Password = (password) => {
+    if ([...password].some(ch => ch.codePointAt(0) > 0xff)) {
+        throw new Error('AES-128 passwords can only use Latin characters. Use AES-256 for other scripts.');
+    }
+    return Uint8Array.from(password.slice(0, 32), ch => ch.charCodeAt(0));
+};
+
+const padPassword = (bytes) => concatBytes(bytes.slice(0, 32), PASSWORD_PADDING.slice(0, 32 - Math.min(32, bytes.length)));
+
+// Revision 6 passwords are UTF-8 after SASLprep (NFKC normalization covers what users type)
+const utf8Password = (password) => new TextEncoder().encode(password.normalize('NFKC')).slice(0, MAX_PASSWORD_BYTES);
+
+// --- Revision 4 (AES-128) ---
+// Algorithm 3: the owner entry, the padded user password encrypted with a key from the owner password
+const computeOwnerEntryR4 = (ownerBytes, userBytes) => {
+    let hash = md5(padPassword(ownerBytes));
+    for (let i = 0; i < 50; i++) hash = md5(hash);
+    let entry = rc4(hash, padPassword(userBytes));
+    for (let i = 1; i <= 19; i++) entry = rc4(hash.map(b => b ^ i), entry);
+    return entry;
+};
+
+// Algorithm 2: the file key from the user password
+const computeFileKeyR4 = (userBytes, ownerEntry, permissions, documentId) => {
+    let hash = md5(concatBytes(padPassword(userBytes), ownerEntry, littleEndian(permissions, 4), documentId));
+    for (let i = 0; i < 50; i++) hash = md5(hash);
+    return hash;
+};
+
+// Algorithm 5: the user entry, the padding hash encrypted with the file key
+const computeUserEntryR4 = (fileKey, documentId) => {
+    let entry = rc4(fileKey, md5(concatBytes(PASSWORD_PADDING, documentId)));
+    for (let i = 1; i <= 19; i++) entry = rc4(fileKey.map(b => b ^ i), entry);
+    return concatBytes(entry, new Uint8Array(16));
+};
+
+const setupR4 = ({ userPassword, ownerPassword, permissions, documentId }) => {
+    const userBytes = latin1Password(userPassword);
+    const ownerEntry = computeOwnerEntryR4(latin1Password(ownerPassword), userBytes);
+    const fileKey = computeFileKeyR4(userBytes, ownerEntry, permissions, documentId);
+    const encryptDict = {
+        Filter: 'Standard',
+        V: 4,
+        R: 4,
+        Length: 128,
+        CF: { StdCF: { Type: 'CryptFilter', CFM: 'AESV2', AuthEvent: 'DocOpen', Length: 16 } },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        O: PDFHexString.of(toHex(ownerEntry)),
+        U: PDFHexString.of(toHex(computeUserEntryR4(fileKey, documentId))),
+        P: permissions
+    };
+    // Algorithm 1: every object has its own key
+    const objectKey = (ref) => md5(concatBytes(fileKey, littleEndian(ref.objectNumber, 3), littleEndian(ref.generationNumber, 2), AES_SALT));
+    return { encryptDict, objectKey };
+};
+
+// --- Revision 6 (AES-256) ---
+// Algorithm 2.B: the password hash, rounds of AES-128 and SHA-2 until the data says stop
+const hashR6 = async (password, salt, userEntry = new Uint8Array(0)) => {
+    let k = await sha(256, concatBytes(password, salt, userEntry));
+    let e = new Uint8Array(0);
+    for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+        const block = concatBytes(password, k, userEntry);
+        const k1 = new Uint8Array(block.length * 64);
+        for (let i = 0; i < 64; i++) k1.set(block, i * block.length);
+        e = await aesCbcNoPadding(k.slice(0, 16), k.slice(16, 32), k1);
+        const remainder = e.slice(0, 16).reduce((sum, b) => sum + b, 0) % 3;
+        k = await sha([256, 384, 512][remainder], e);
+    }
+    return k.slice(0, 32);
+};
+
+const ZERO_IV = new Uint8Array(16);
+
+const setupR6 = async ({ userPassword, ownerPassword, permissions }) => {
+    const fileKey = randomBytes(32);
+    const userBytes = utf8Password(userPassword);
+    const ownerBytes = utf8Password(ownerPassword);
+
+    const [userValidationSalt, userKeySalt, ownerValidationSalt, ownerKeySalt] = [8, 8, 8, 8].map(randomBytes);
+    const userEntry = concatBytes(await hashR6(userBytes, userValidationSalt), userValidationSalt, userKeySalt);
+    const userKeyEntry = await aesCbcNoPadding(await hashR6(userBytes, userKeySalt), ZERO_IV, fileKey);
+    const ownerEntry = concatBytes(await hashR6(ownerBytes, ownerValidationSalt, userEntry), ownerValidationSalt, ownerKeySalt);
+    const ownerKeyEntry = await aesCbcNoPadding(await hashR6(ownerBytes, ownerKeySalt, userEntry), ZERO_IV, fileKey);
+
+    // /Perms: the permissions again, encrypted so tampering with /P can be detected
+    const perms = concatBytes(littleEndian(permissions, 4), new Uint8Array([0xff, 0xff, 0xff, 0xff]), new TextEncoder().encode('Tadb'), randomBytes(4));
+    const encryptDict = {
+        Filter: 'Standard',
+        V: 5,
+        R: 6,
+        Length: 256,
+        CF: { StdCF: { Type: 'CryptFilter', CFM: 'AESV3', AuthEvent: 'DocOpen', Length: 32 } },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        O: PDFHexString.of(toHex(ownerEntry)),
+        U: PDFHexString.of(toHex(userEntry)),
+        OE: PDFHexString.of(toHex(ownerKeyEntry)),
+        UE: PDFHexString.of(toHex(userKeyEntry)),
+        Perms: PDFHexString.of(toHex(await aesCbcNoPadding(fileKey, ZERO_IV, perms))),
+        P: permissions
+    };
+    return { encryptDict, objectKey: () => fileKey };
+};
+
+// --- Document ---
+// /P value for the given permission switches (missing ones are granted)
+export const permissionFlags = (allowed = {}) => {
+    // Bits 7-8 and 13-32 must be set, bits 1-2 clear
+    let flags = ~0b11 & ~Object.values(PERMISSIONS).reduce((mask, { bit }) => mask | (1 << (bit - 1)), 0);
+    Object.entries(PERMISSIONS).forEach(([name, { bit }]) => {
+        if (allowed[name] !== false) flags |= 1 << (bit - 1);
+    });
+    return flags | 0;
+};
+
+const stringBytes = (value) => (value instanceof PDFString || value instanceof PDFHexString ? value.asBytes() : null);
+
+// Strings anywhere in a dictionary or array, encrypted in place
+const encryptStrings = async (object, encrypt) => {
+    if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) {
+            const bytes = stringBytes(value);
+            if (bytes) object.set(key, PDFHexString.of(toHex(await encrypt(bytes))));
+            else await encryptStrings(value, encrypt);
+        }
+    } else if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) {
+            const value = object.get(i);
+            const bytes = stringBytes(value);
+            if (bytes) object.set(i, PDFHexString.of(toHex(await encrypt(bytes))));
+            else await encryptStrings(value, encrypt);
+        }
+    }
+};
+
+// Encrypted copy of a finished PDF file.
+// options: { userPassword, ownerPassword, algorithm: 'aes-256' | 'aes-128', permissions }
+// An empty owner password gets a random one, so that the user password can't lift
+// the permission restrictions. `permissions` holds PERMISSIONS keys set to false to deny.
+export const encryptPdf = async (pdfBytes, { userPassword = '', ownerPassword = '', algorithm = 'aes-256', permissions = {} } = {}) => {
+    if (!ENCRYPTION_ALGORITHMS[algorithm]) throw new Error(`Unknown encryption algorithm: ${algorithm}`);
+    if (!userPassword && !ownerPassword) throw new Error('A password is required to encrypt the file.');
+
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const { context } = pdfDoc;
+
+    // The first half of /ID goes into the revision 4 keys; both halves are new for a new file
+    const existingId = context.lookupMaybe(context.trailerInfo.ID, PDFArray)?.get(0);
+    const documentId = stringBytes(existingId)?.length ? stringBytes(existingId) : randomBytes(16);
+    context.trailerInfo.ID = context.obj([PDFHexString.of(toHex(documentId)), PDFHexString.of(toHex(randomBytes(16)))]);
+
+    const handler = await (algorithm === 'aes-256' ? setupR6 : setupR4)({
+        userPassword,
+        ownerPassword: ownerPassword || toHex(randomBytes(16)),
+        permissions: permissionFlags(permissions),
+        documentId
+    });
+
+    // AES-256 is an Acrobat extension of PDF 1.7 (and part of PDF 2.0)
+    context.header = PDFHeader.forVersion(1, 7);
+    if (algorithm === 'aes-256') {
+        pdfDoc.catalog.set(PDFName.of('Extensions'), context.obj({ ADBE: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 } }));
+    }
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        const key = await aesKey(handler.objectKey(ref));
+        // Each string and stream gets a random IV, stored in front of its data
+        const encrypt = async (bytes) => {
+            const iv = randomBytes(16);
+            return concatBytes(iv, await aesCbc(key, iv, bytes));
+        };
+        if (object instanceof PDFRawStream) {
+            await encryptStrings(object.dict, encrypt);
+            context.assign(ref, PDFRawStream.of(object.dict, await encrypt(object.contents)));
+        } else if (object instanceof PDFDict || object instanceof PDFArray) {
+            await encryptStrings(object, encrypt);
+        } else if (stringBytes(object)) {
+            context.assign(ref, PDFHexString.of(toHex(await encrypt(stringBytes(object)))));
+        } else if (object?.getContents) {
+            throw new Error(`Unsupported stream object ${ref}`);
+        }
+    }
+
+    context.trailerInfo.Encrypt = context.register(context.obj(handler.encryptDict));
+    // Object streams would be built after encryption, unencrypted: keep every object at the top level.
+    // Nothing may be added after encryption either (form appearances would go in unencrypted)
+    return pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false });
+};
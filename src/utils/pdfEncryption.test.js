@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { ENCRYPTION_ALGORITHMS, PERMISSIONS, encryptPdf } from './pdfEncryption';
+
+const USER_PASSWORD = 'open sesame';
+const OWNER_PASSWORD = 'owner-Ünïcode';
+const SECRET = 'Quarterly figures';
+
+const samplePdf = async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle('Encryption sample');
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    pdfDoc.addPage([300, 200]).drawText(SECRET, { x: 20, y: 100, size: 14, font });
+    return pdfDoc.save();
+};
+
+// Opens the file the way a viewer does: text, Info title and /P of the decrypted document
+const openPdf = async (bytes, password) => {
+    const pdf = await getDocument({ data: bytes.slice(0), password, verbosity: 0 }).promise;
+    try {
+        const page = await pdf.getPage(1);
+        const { items } = await page.getTextContent();
+        const { info } = await pdf.getMetadata();
+        return { text: items.map(item => item.str).join(''), title: info.Title, permissions: await pdf.getPermissions() };
+    } finally {
+        await pdf.destroy();
+    }
+};
+
+describe.each(Object.keys(ENCRYPTION_ALGORITHMS))('encryptPdf (%s)', (algorithm) => {
+    const encrypted = (options) => samplePdf().then(bytes => encryptPdf(bytes, { algorithm, ...options }));
+
+    it('hides the content from readers without a password', async () => {
+        const bytes = await encrypted({ userPassword: USER_PASSWORD, ownerPassword: OWNER_PASSWORD });
+        expect(new TextDecoder('latin1').decode(bytes)).not.toContain('Encryption sample');
+        await expect(openPdf(bytes)).rejects.toMatchObject({ name: 'PasswordException' });
+    });
+
+    it('opens with the user password', async () => {
+        const bytes = await encrypted({ userPassword: USER_PASSWORD, ownerPassword: OWNER_PASSWORD });
+        const opened = await openPdf(bytes, USER_PASSWORD);
+        expect(opened.text).toBe(SECRET);
+        expect(opened.title).toBe('Encryption sample');
+    });
+
+    it('opens with the owner password', async () => {
+        const bytes = await encrypted({ userPassword: USER_PASSWORD, ownerPassword: OWNER_PASSWORD });
+        expect((await openPdf(bytes, OWNER_PASSWORD)).text).toBe(SECRET);
+    });
+
+    it('rejects a wrong password', async () => {
+        const bytes = await encrypted({ userPassword: USER_PASSWORD, ownerPassword: OWNER_PASSWORD });
+        await expect(openPdf(bytes, 'open sesame!')).rejects.toMatchObject({ name: 'PasswordException' });
+    });
+
+    it('opens without a password when only the owner password is set', async () => {
+        const bytes = await encrypted({ ownerPassword: OWNER_PASSWORD, permissions: { print: false } });
+        const opened = await openPdf(bytes);
+        expect(opened.text).toBe(SECRET);
+        expect(opened.permissions).not.toContain(1 << (PERMISSIONS.print.bit - 1));
+        expect(opened.permissions).toContain(1 << (PERMISSIONS.copy.bit - 1));
+    });
+});
+
+describe('encryptPdf', () => {
+    it('requires a password', async () => {
+        await expect(encryptPdf(await samplePdf())).rejects.toThrow('A password is required');
+    });
+
+    it('rejects an unknown algorithm', async () => {
+        await expect(encryptPdf(await samplePdf(), { userPassword: USER_PASSWORD, algorithm: 'rc4-40' })).rejects.toThrow('Unknown encryption algorithm');
+    });
+});
@@ -0,0 +1,140 @@
+import {
+    PDFTextField,
+    PDFCheckBox,
+    PDFRadioGroup,
+    PDFDropdown,
+    PDFOptionList
+} from 'pdf-lib';
+import { createFontCache, embedTextFont } from './fonts';
+
+// AcroForm support for the editor: read fillable fields (with the page-unit boxes of
+// their widgets) so inputs can be laid over them, and write edited values back on save.
+// Buttons and signature fields are left alone.
+
+const fieldType = (field) => {
+    if (field instanceof PDFTextField) return 'text';
+    if (field instanceof PDFCheckBox) return 'checkbox';
+    if (field instanceof PDFRadioGroup) return 'radio';
+    if (field instanceof PDFDropdown) return 'dropdown';
+    if (field instanceof PDFOptionList) return 'list';
+    return null;
+};
+
+const fieldValue = (field, type) => {
+    switch (type) {
+        case 'text': return field.getText() || '';
+        case 'checkbox': return field.isChecked();
+        case 'radio': return field.getSelected() || null;
+        case 'dropdown': return field.getSelected()[0] || '';
+        case 'list': return field.getSelected();
+        default: return null;
+    }
+};
+
+// Map of widget object ref ("12 0 R") to its 1-based page number
+const indexWidgetPages = (pdfDoc) => {
+    const pages = new Map();
+    pdfDoc.getPages().forEach((page, index) => {
+        const annots = page.node.Annots();
+        if (!annots) return;
+        for (let i = 0; i < annots.size(); i++) {
+            pages.set(annots.get(i).toString(), index + 1);
+        }
+    });
+    return pages;
+};
+
+// Returns [{ name, type, value, options, multiline, multiSelect, readOnly, maxLength,
+//            widgets: [{ page, rect: { x, y, width, height }, option }] }]
+// with rects in page units (see utils/pageViewport).
+export const readFormFields = (pdfDoc) => {
+    const form = pdfDoc.getForm();
+    const widgetPages = indexWidgetPages(pdfDoc);
+    const pages = pdfDoc.getPages();
+    const fields = [];
+
+    for (const field of form.getFields()) {
+        const type = fieldType(field);
+        if (!type) continue;
+
+        const options = type === 'radio' || type === 'dropdown' || type === 'list' ? field.getOptions() : [];
+        const widgets = [];
+        field.acroField.getWidgets().forEach((widget, i) => {
+            const ref = pdfDoc.context.getObjectRef(widget.dict);
+            const page = ref && widgetPages.get(ref.toString());
+            if (!page) return;
+
+            const crop = pages[page - 1].getCropBox();
+            const { x, y, width, height } = widget.getRectangle();
+            widgets.push({
+                page,
+                rect: { x: x - crop.x, y: crop.y + crop.height - (y + height), width, height },
+                // Radio widgets each stand for one option, in widget order
+                option: type === 'radio' ? options[i] : undefined
+            });
+        });
+        if (widgets.length === 0) continue;
+
+        fields.push({
+            name: field.getName(),
+            type,
+            value: fieldValue(field, type),
+            options,
+            multiline: type === 'text' && field.isMultiline(),
+            multiSelect: type === 'list' && field.isMultiselect(),
+            readOnly: field.isReadOnly(),
+            maxLength: type === 'text' ? field.getMaxLength() : undefined,
+            widgets
+        });
+    }
+    return fields;
+};
+
+// Writes the edited values ({ [fieldName]: value }) into a pdf-lib document and
+// regenerates their appearances; with `flatten` the form is burned into the pages.
+export const applyFormValues = async (pdfDoc, values, { flatten = false, fontCache = createFontCache() } = {}) => {
+    const form = pdfDoc.getForm();
+    const names = Object.keys(values);
+    const errors = [];
+
+    for (const name of names) {
+        try {
+            const field = form.getField(name);
+            const value = values[name];
+            switch (fieldType(field)) {
+                case 'text':
+                    field.setText(value || undefined);
+                    break;
+                case 'checkbox':
+                    if (value) field.check();
+                    else field.uncheck();
+                    break;
+                case 'radio':
+                    if (value) field.select(value);
+                    else field.clear();
+                    break;
+                case 'dropdown':
+                    if (value) field.select(value);
+                    else field.clear();
+                    break;
+                case 'list':
+                    if (value.length > 0) field.select(value);
+                    else field.clear();
+                    break;
+                default:
+                    break;
+            }
+        } catch (err) {
+            errors.push(`${name}: ${err.message}`);
+        }
+    }
+
+    if (names.length > 0) {
+        // The default Helvetica appearance can't encode non-Latin values
+        const allText = names.map(name => [].concat(values[name]).filter(v => typeof v === 'string').join(' ')).join(' ');
+        const font = await embedTextFont(pdfDoc, fontCache, 'Helvetica', allText);
+        form.updateFieldAppearances(font);
+    }
+    if (flatten) form.flatten();
+    return errors;
+};
@@ -0,0 +1,333 @@
+import { PDFName, PDFRef, PDFArray, PDFNumber, PDFDict } from 'pdf-lib';
+import { v4 as uuidv4 } from 'uuid';
+import { toHexColor } from './color';
+import { STANDARD_FONTS } from './fonts';
+
+// Converts annotations that already exist in a PDF (read through pdf.js
+// getAnnotations()) into the editor's annotation model. Only subtypes the editor
+// can draw are converted; everything else stays in the file untouched.
+// Entries pdf.js leaves out or normalizes (line direction, interior color, callout
+// geometry) are read from the raw annotation dictionary when a pdf-lib copy is given.
+
+// pdf.js colors are [r, g, b] in 0..255. Missing values are left out so the
+// editor's defaults for the annotation type apply.
+const toStyle = ({ color, interiorColor, opacity }, extra = {}) => {
+    const style = { ...extra };
+    if (color) style.strokeColor = toHexColor({ r: color[0] / 255, g: color[1] / 255, b: color[2] / 255 });
+    if (interiorColor) style.fillColor = toHexColor({ r: interiorColor[0] / 255, g: interiorColor[1] / 255, b: interiorColor[2] / 255 });
+    if (opacity !== undefined && opacity !== null) style.opacity = opacity;
+    return style;
+};
+
+// Numbers of an array entry of a raw annotation dictionary, or null
+const rawNumbers = (dict, key) => {
+    const array = dict?.lookupMaybe(PDFName.of(key), PDFArray);
+    if (!array) return null;
+    const values = array.asArray().map(item => {
+        const value = dict.context.lookup(item);
+        return value instanceof PDFNumber ? value.asNumber() : NaN;
+    });
+    return values.every(Number.isFinite) ? values : null;
+};
+
+// pdf.js only reads /CA for ink and highlights
+const withOpacity = (data, dict) => {
+    const opacity = dict?.lookupMaybe(PDFName.of('CA'), PDFNumber);
+    return opacity ? { ...data, opacity: opacity.asNumber() } : data;
+};
+
+// /IC is 0..1 RGB; toStyle() takes pdf.js style 0..255 colors
+const withInteriorColor = (data, dict) => {
+    const ic = rawNumbers(dict, 'IC');
+    return ic && ic.length === 3 ? { ...data, interiorColor: ic.map(c => c * 255) } : data;
+};
+
+// Line endings that the editor draws as an arrowhead
+export const ARROW_ENDINGS = ['OpenArrow', 'ClosedArrow', 'ROpenArrow', 'RClosedArrow'];
+
+// pdf.js resets widths larger than half the annotation rect to 1 (rawWidth keeps the real one)
+const borderWidth = (data) => data.borderStyle?.rawWidth || data.borderStyle?.width || 1;
+
+// PDF date string ("D:YYYYMMDDHHmmSS+HH'mm'", trailing parts optional) as a timestamp, or null.
+// Dates without a time zone are read as UTC.
+export const parsePdfDate = (value) => {
+    const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+    if (!match) return null;
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetH = '00', offsetM = '00'] = match;
+    const time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+    const offset = (+offsetH * 60 + +offsetM) * 60000;
+    if (sign === '+') return time - offset;
+    if (sign === '-') return time + offset;
+    return time;
+};
+
+// Author and creation date, when the annotation has them
+const reviewFields = (data) => {
+    const fields = {};
+    if (data.titleObj?.str) fields.author = data.titleObj.str;
+    const createdAt = parsePdfDate(data.creationDate);
+    if (createdAt) fields.createdAt = createdAt;
+    return fields;
+};
+
+// Review states that close a comment thread
+export const RESOLVED_STATES = ['Accepted', 'Rejected', 'Cancelled', 'Completed'];
+
+// PDF user space (y up) to editor page units: points from the top-left of the page view box, y down
+export const toPagePoint = (view, x, y) => ({ x: x - view[0], y: view[3] - y });
+
+export const toPageRect = (view, [x1, y1, x2, y2]) => {
+    const topLeft = toPagePoint(view, Math.min(x1, x2), Math.max(y1, y2));
+    return { ...topLeft, width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+};
+
+const convertInk = (data, view) => data.inkLists
+    .filter(list => list.length >= 4)
+    .map(list => {
+        const points = [];
+        for (let i = 0; i < list.length; i += 2) {
+            points.push(toPagePoint(view, list[i], list[i + 1]));
+        }
+        return {
+            id: uuidv4(),
+            type: 'path',
+            points,
+            style: toStyle(data, { strokeWidth: borderWidth(data) })
+        };
+    });
+
+// Square and Circle: the border is drawn inside /Rect, its center line half a width in
+const convertBox = (type) => (data, view, dict) => {
+    const width = borderWidth(data);
+    const [x1, y1, x2, y2] = data.rect;
+    const inset = Math.min(width / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2);
+    return [{
+        id: uuidv4(),
+        type,
+        ...toPageRect(view, [x1 + inset, y1 + inset, x2 - inset, y2 - inset]),
+        style: toStyle(withInteriorColor(data, dict), { strokeWidth: width })
+    }];
+};
+
+const convertLine = (data, view, dict) => {
+    // pdf.js sorts the coordinates of /L, which loses the line's direction
+    const coords = rawNumbers(dict, 'L') || data.lineCoordinates;
+    const points = [toPagePoint(view, coords[0], coords[1]), toPagePoint(view, coords[2], coords[3])];
+    // Editor arrows point at the second point; a line with an arrow only at its start is turned around
+    const [startEnding, endEnding] = data.lineEndings || [];
+    const arrow = ARROW_ENDINGS.includes(startEnding) || ARROW_ENDINGS.includes(endEnding);
+    if (arrow && !ARROW_ENDINGS.includes(endEnding)) points.reverse();
+    return [{ id: uuidv4(), type: 'line', points, arrow, style: toStyle(data, { strokeWidth: borderWidth(data) }) }];
+};
+
+// PolyLine and Polygon (pdf.js gives the vertices as a flat x, y list)
+const convertPolygon = (closed) => (data, view, dict) => {
+    const vertices = data.vertices || [];
+    const points = [];
+    for (let i = 0; i + 1 < vertices.length; i += 2) {
+        points.push(toPagePoint(view, vertices[i], vertices[i + 1]));
+    }
+    if (points.length < 2) return [];
+    return [{
+        id: uuidv4(),
+        type: 'polygon',
+        points,
+        closed,
+        style: toStyle(closed ? withInteriorColor(data, dict) : data, { strokeWidth: borderWidth(data) })
+    }];
+};
+
+// FreeText with the callout intent: /RD insets the box from /Rect, /CL starts at the anchor
+const convertCallout = (data, view, dict, text, style) => {
+    const [left, top, right, bottom] = rawNumbers(dict, 'RD') || [0, 0, 0, 0];
+    const [x1, y1, x2, y2] = data.rect;
+    const box = toPageRect(view, [x1 + left, y1 + bottom, x2 - right, y2 - top]);
+    const [anchorX, anchorY] = rawNumbers(dict, 'CL');
+    const background = rawNumbers(dict, 'C');
+    return [{
+        id: uuidv4(),
+        type: 'callout',
+        text,
+        ...box,
+        anchor: toPagePoint(view, anchorX, anchorY),
+        style: {
+            ...style,
+            fillColor: background && background.length === 3 ? toHexColor({ r: background[0], g: background[1], b: background[2] }) : null,
+            strokeWidth: borderWidth(data)
+        }
+    }];
+};
+
+const convertFreeText = (data, view, dict) => {
+    const text = data.contentsObj?.str || data.textContent?.join('\n') || '';
+    if (!text) return [];
+    const box = toPageRect(view, data.rect);
+    const appearance = data.defaultAppearanceData || {};
+    const fontSize = appearance.fontSize || 10;
+    const fontFamily = Object.keys(STANDARD_FONTS).find(name => STANDARD_FONTS[name].resource === appearance.fontName);
+    const style = toStyle({ color: appearance.fontColor, opacity: data.opacity }, fontFamily ? { fontSize, fontFamily } : { fontSize });
+    const isCallout = dict?.get(PDFName.of('IT')) === PDFName.of('FreeTextCallout');
+    if (isCallout && rawNumbers(dict, 'CL')?.length >= 4) return convertCallout(data, view, dict, text, style);
+    // Editor text is positioned by the baseline of its first line
+    return [{ id: uuidv4(), type: 'text', text, x: box.x, y: box.y + fontSize, style }];
+};
+
+const convertText = (data, view, dict) => {
+    const box = toPageRect(view, data.rect);
+    // The note box is the /Popup the viewer opens for it; without one, the icon
+    const popup = rawNumbers(dict?.lookupMaybe(PDFName.of('Popup'), PDFDict), 'Rect');
+    const popupBox = popup?.length === 4 ? toPageRect(view, popup) : null;
+    const { width, height } = popupBox && popupBox.width > 0 && popupBox.height > 0 ? popupBox : box;
+    // The icon color (/C) is the note's paper color in the editor
+    const style = data.color ? toStyle({ interiorColor: data.color, opacity: data.opacity }) : {};
+    return [{ id: uuidv4(), type: 'note', text: data.contentsObj?.str || '', x: box.x, y: box.y, width, height, style }];
+};
+
+// Highlight / Underline / StrikeOut: one rect per quad (pdf.js gives 8 numbers per quad)
+const convertTextMarkup = (variant) => (data, view) => {
+    const quads = data.quadPoints;
+    if (!quads || quads.length < 8) return [];
+    const rects = [];
+    for (let i = 0; i < quads.length; i += 8) {
+        const xs = [quads[i], quads[i + 2], quads[i + 4], quads[i + 6]];
+        const ys = [quads[i + 1], quads[i + 3], quads[i + 5], quads[i + 7]];
+        rects.push(toPageRect(view, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]));
+    }
+    return [{
+        id: uuidv4(),
+        type: 'markup',
+        variant,
+        rects,
+        text: data.contentsObj?.str || '',
+        style: toStyle(data)
+    }];
+};
+
+const CONVERTERS = {
+    Highlight: convertTextMarkup('highlight'),
+    Underline: convertTextMarkup('underline'),
+    StrikeOut: convertTextMarkup('strikeout'),
+    Ink: convertInk,
+    Square: convertBox('rect'),
+    Circle: convertBox('ellipse'),
+    Line: convertLine,
+    PolyLine: convertPolygon(false),
+    Polygon: convertPolygon(true),
+    FreeText: convertFreeText,
+    Text: convertText
+};
+
+// pdf.js identifies objects as "<num>R" (or "<num>R<gen>" for non-zero generations)
+const refToId = (ref) => `${ref.objectNumber}R${ref.generationNumber ? ref.generationNumber : ''}`;
+
+const lookupAnnotationDict = (pdfDoc, id) => {
+    const match = pdfDoc && /^(\d+)R(\d*)$/.exec(id);
+    if (!match) return null;
+    const dict = pdfDoc.context.lookup(PDFRef.of(Number(match[1]), Number(match[2] || 0)));
+    return dict instanceof PDFDict ? dict : null;
+};
+
+// Reads every page of a pdf.js document; `pdfDoc` is an optional pdf-lib copy of the
+// same file for the entries pdf.js doesn't expose.
+// Replies (/IRT) to a converted annotation join its `replies`, and Review state replies
+// set its `status` (see utils/comments); Marked state replies and replies to anything
+// else stay in the file.
+// Returns { annotations: { [pageNum]: Annotation[] }, refs: Map<string, string[]> } where
+// `refs` maps the object ids ("12R") of the converted PDF annotations and their replies
+// to the ids of the editor annotations they became.
+export const importPdfAnnotations = async (pdf, pdfDoc = null) => {
+    const annotations = {};
+    const refs = new Map();
+    const convertedById = {}; // PDF object id -> the editor annotation it became
+    const replies = [];
+
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+        const page = await pdf.getPage(pageNum);
+        const items = await page.getAnnotations();
+
+        for (const data of items) {
+            const convert = CONVERTERS[data.subtype];
+            if (!convert || !data.id) continue;
+            if (data.inReplyTo && data.replyType !== 'Group') {
+                replies.push(data);
+                continue;
+            }
+            try {
+                const dict = lookupAnnotationDict(pdfDoc, data.id);
+                const converted = convert(withOpacity(data, dict), page.view, dict)
+                    .map(ann => ({ ...ann, ...reviewFields(data) }));
+                if (converted.length === 0) continue;
+                convertedById[data.id] = converted[0];
+                annotations[pageNum] = [...(annotations[pageNum] || []), ...converted];
+                refs.set(data.id, converted.map(ann => ann.id));
+            } catch (err) {
+                // Leave anything we fail to read in the file as-is
+                console.warn(`Skipping ${data.subtype} annotation ${data.id}:`, err);
+            }
+        }
+    }
+
+    // Oldest reply first
+    const byDate = (a, b) => (parsePdfDate(a.creationDate) || 0) - (parsePdfDate(b.creationDate) || 0);
+    for (const data of replies.sort(byDate)) {
+        const parent = convertedById[data.inReplyTo];
+        if (!parent) continue;
+        if (data.stateModel === 'Review') {
+            const resolved = RESOLVED_STATES.includes(data.state);
+            parent.status = resolved ? 'resolved' : 'open';
+            if (resolved && data.titleObj?.str) parent.resolvedBy = data.titleObj.str;
+            else delete parent.resolvedBy;
+        } else if (!data.stateModel) {
+            const { author, createdAt } = reviewFields(data);
+            parent.replies = [...(parent.replies || []), { id: uuidv4(), author: author || '', text: data.contentsObj?.str || '', createdAt: createdAt || null }];
+        } else {
+            continue; // Marked/Unmarked states are the reader's own bookmarks; they stay in the file
+        }
+        refs.set(data.id, refs.get(data.inReplyTo));
+    }
+
+    return { annotations, refs };
+};
+
+// Object ids (from `refs` of importPdfAnnotations) of the PDF annotations whose editor
+// copies were edited or deleted since `baseline`, the annotations as imported.
+// The others can stay in the file as they are.
+export const changedImportRefs = (refs, baseline, annotations) => {
+    const byId = (pages) => Object.fromEntries(Object.values(pages || {}).flat().map(ann => [ann.id, ann]));
+    const original = byId(baseline);
+    const current = byId(annotations);
+    // Restored drafts hold copies, so compare by value
+    const isUnchanged = (id) => current[id] === original[id]
+        || (!!current[id] && JSON.stringify(current[id]) === JSON.stringify(original[id]));
+    const changed = new Set();
+    (refs || new Map()).forEach((ids, ref) => {
+        if (!ids.every(isUnchanged)) changed.add(ref);
+    });
+    return changed;
+};
+
+// Drop the imported annotations (and their popups) from a pdf-lib document,
+// so the editor's copies can replace them without duplicates.
+// `refs` is a Set or Map keyed by object id.
+export const removeImportedAnnotations = (pdfDoc, refs) => {
+    if (!refs || refs.size === 0) return;
+
+    for (const page of pdfDoc.getPages()) {
+        const annots = page.node.Annots();
+        if (!annots) continue;
+
+        for (let i = annots.size() - 1; i >= 0; i--) {
+            const entry = annots.get(i);
+            if (!(entry instanceof PDFRef)) continue;
+            if (refs.has(refToId(entry))) {
+                annots.remove(i);
+                continue;
+            }
+            const dict = pdfDoc.context.lookup(entry);
+            const parent = dict?.get(PDFName.of('Parent'));
+            if (dict?.get(PDFName.of('Subtype')) === PDFName.of('Popup') && parent instanceof PDFRef && refs.has(refToId(parent))) {
+                annots.remove(i);
+            }
+        }
+    }
+};
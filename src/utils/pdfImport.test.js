@@ -0,0 +1,258 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFString } from 'pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { importPdfAnnotations, removeImportedAnnotations, changedImportRefs } from './pdfImport';
+import { createPageMapper, writeNativeAnnotation } from './pdfAnnotations';
+import { createFontCache } from './fonts';
+import { getAnnotationStyle } from './annotationStyles';
+
+const PAGE_SIZE = [612, 792];
+
+// PDF with the editor annotations written as native annotations, { [pageNum]: Annotation[] }
+const writePdf = async (annotations) => {
+    const pdfDoc = await PDFDocument.create();
+    const fontCache = createFontCache();
+    const pageCount = Math.max(...Object.keys(annotations).map(Number));
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+        const page = pdfDoc.addPage(PAGE_SIZE);
+        const mapper = createPageMapper(page);
+        for (const ann of annotations[pageNum] || []) {
+            await writeNativeAnnotation(pdfDoc, page, ann, mapper, fontCache);
+        }
+    }
+    return pdfDoc.save();
+};
+
+// What the editor gets on load: { annotations, refs, pdfDoc }
+const importPdf = async (bytes) => {
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+    const pdf = await getDocument({ data: bytes.slice(0), verbosity: 0 }).promise;
+    try {
+        return { ...await importPdfAnnotations(pdf, pdfDoc), pdfDoc };
+    } finally {
+        await pdf.destroy();
+    }
+};
+
+// PDF with one page holding the given raw annotation dictionaries (names as strings)
+const writeRawPdf = async (dicts) => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage(PAGE_SIZE);
+    const { context } = pdfDoc;
+    const refs = [];
+    dicts.forEach(({ IRT, ...dict }) => {
+        // IRT: 'NOTE' replies to the first annotation
+        refs.push(context.register(context.obj({ Type: 'Annot', ...dict, ...(IRT ? { IRT: refs[0] } : {}) })));
+    });
+    page.node.set(PDFName.of('Annots'), context.obj(refs));
+    return pdfDoc.save();
+};
+
+const annotCount = (pdfDoc) => pdfDoc.getPages().map(page => page.node.Annots()?.size() || 0);
+
+const SAMPLE = {
+    1: [
+        { id: 'rect', type: 'rect', x: 50, y: 60, width: 120, height: 80 },
+        {
+            id: 'note',
+            type: 'note',
+            x: 300,
+            y: 100,
+            text: 'Check the totals',
+            author: 'Reviewer',
+            replies: [{ id: 'reply', author: 'Author', text: 'Done', createdAt: Date.UTC(2024, 0, 2) }],
+            status: 'resolved'
+        }
+    ],
+    2: [{ id: 'highlight', type: 'markup', variant: 'highlight', rects: [{ x: 72, y: 100, width: 200, height: 14 }] }]
+};
+
+// Annotations of every type the import converts, as the editor writes them
+const ALL_TYPES = {
+    1: [
+        { id: 'rect', type: 'rect', x: 50, y: 60, width: 120, height: 80, style: { strokeColor: '#00ff00', fillColor: '#112233', strokeWidth: 4, opacity: 0.5 } },
+        { id: 'ellipse', type: 'ellipse', x: 200, y: 100, width: 60, height: 40 },
+        { id: 'path', type: 'path', points: [{ x: 10, y: 10 }, { x: 20.5, y: 30.25 }, { x: 40, y: 15 }], style: { strokeColor: '#ff0000', strokeWidth: 3 } },
+        { id: 'line', type: 'line', points: [{ x: 300, y: 420 }, { x: 100, y: 400 }], arrow: true },
+        { id: 'polygon', type: 'polygon', closed: true, points: [{ x: 300, y: 300 }, { x: 350, y: 320 }, { x: 320, y: 380 }], style: { fillColor: '#abcdef' } },
+        { id: 'polyline', type: 'polygon', closed: false, points: [{ x: 400, y: 300 }, { x: 450, y: 350 }, { x: 500, y: 310 }] },
+        { id: 'note', type: 'note', x: 500, y: 40, width: 100, height: 80, text: 'Note text', author: 'Reviewer', createdAt: Date.UTC(2024, 4, 6, 12, 30) }
+    ],
+    2: [
+        { id: 'highlight', type: 'markup', variant: 'highlight', rects: [{ x: 50, y: 500, width: 200, height: 14 }, { x: 50, y: 516, width: 120, height: 14 }], text: 'Important' },
+        { id: 'underline', type: 'markup', variant: 'underline', rects: [{ x: 72, y: 300, width: 90, height: 12 }] },
+        { id: 'strikeout', type: 'markup', variant: 'strikeout', rects: [{ x: 72, y: 320, width: 90, height: 12 }] },
+        { id: 'callout', type: 'callout', x: 100, y: 100, width: 160, height: 60, anchor: { x: 40, y: 250 }, text: 'See here', style: { fontSize: 14 } },
+        { id: 'text', type: 'text', x: 72, y: 600, text: 'Plain text', style: { strokeColor: '#333333', fontFamily: 'Times', fontSize: 18 } }
+    ]
+};
+
+const GEOMETRY = {
+    rect: ['x', 'y', 'width', 'height'],
+    ellipse: ['x', 'y', 'width', 'height'],
+    path: ['points'],
+    line: ['points', 'arrow'],
+    polygon: ['points', 'closed'],
+    note: ['x', 'y', 'width', 'height'],
+    markup: ['variant', 'rects'],
+    callout: ['x', 'y', 'width', 'height', 'anchor'],
+    text: ['x', 'y']
+};
+
+// PDF numbers and colors don't keep every decimal
+const rounded = (value) => {
+    if (typeof value === 'number') return Math.round(value * 100) / 100;
+    if (Array.isArray(value)) return value.map(rounded);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, rounded(v)]));
+    return value;
+};
+
+const pick = (ann, keys) => rounded(Object.fromEntries(keys.map(key => [key, ann[key]])));
+
+describe('importPdfAnnotations', () => {
+    describe('reads back what the editor writes', async () => {
+        const { annotations } = await importPdf(await writePdf(ALL_TYPES));
+        const pairs = Object.entries(ALL_TYPES).flatMap(([pageNum, anns]) => anns.map((original, i) => [original, annotations[pageNum]?.[i]]));
+
+        it('on the same page, in the same order', () => {
+            expect(Object.keys(annotations)).toEqual(['1', '2']);
+            pairs.forEach(([original, ann]) => expect(ann?.type).toBe(original.type));
+        });
+
+        it.each(pairs.map(([original, ann]) => [original.id, original, ann]))('%s keeps its geometry', (id, original, ann) => {
+            expect(pick(ann, GEOMETRY[original.type])).toEqual(pick(original, GEOMETRY[original.type]));
+        });
+
+        it.each(pairs.map(([original, ann]) => [original.id, original, ann]))('%s keeps its style', (id, original, ann) => {
+            expect(rounded(getAnnotationStyle(ann))).toEqual(rounded(getAnnotationStyle(original)));
+        });
+
+        it('keeps text, authors and dates', () => {
+            pairs.filter(([original]) => original.text !== undefined).forEach(([original, ann]) => expect(ann.text).toBe(original.text));
+            const note = annotations[1].find(ann => ann.type === 'note');
+            expect(note).toMatchObject({ author: 'Reviewer', createdAt: Date.UTC(2024, 4, 6, 12, 30) });
+        });
+    });
+
+    it('turns a line with an arrow only at its start around', async () => {
+        const bytes = await writeRawPdf([{ Subtype: 'Line', Rect: [90, 390, 310, 410], L: [100, 400, 300, 400], LE: ['OpenArrow', 'None'] }]);
+        const [line] = (await importPdf(bytes)).annotations[1];
+        expect(line).toMatchObject({ type: 'line', arrow: true, points: [{ x: 300, y: 392 }, { x: 100, y: 392 }] });
+    });
+
+    it('makes one path per ink stroke', async () => {
+        const bytes = await writeRawPdf([{ Subtype: 'Ink', Rect: [0, 0, 200, 200], InkList: [[10, 10, 20, 20], [30, 30, 40, 40, 50, 30]] }]);
+        const { annotations, refs } = await importPdf(bytes);
+        expect(annotations[1].map(ann => ann.points.length)).toEqual([2, 3]);
+        expect([...refs.values()]).toEqual([annotations[1].map(ann => ann.id)]);
+    });
+
+    it('leaves subtypes the editor does not draw in the file', async () => {
+        const bytes = await writeRawPdf([
+            { Subtype: 'Link', Rect: [10, 10, 100, 30] },
+            { Subtype: 'Square', Rect: [100, 100, 200, 200] }
+        ]);
+        const { annotations, refs, pdfDoc } = await importPdf(bytes);
+        expect(annotations[1].map(ann => ann.type)).toEqual(['rect']);
+        removeImportedAnnotations(pdfDoc, refs);
+        expect(annotCount(pdfDoc)).toEqual([1]);
+    });
+
+    it('maps each PDF annotation and its replies to the editor annotation it became', async () => {
+        const { annotations, refs } = await importPdf(await writePdf(SAMPLE));
+        const [rect, note] = annotations[1];
+        const [highlight] = annotations[2];
+        const byAnnotation = {};
+        refs.forEach((ids, ref) => {
+            expect(ref).toMatch(/^\d+R$/);
+            ids.forEach(id => { byAnnotation[id] = (byAnnotation[id] || 0) + 1; });
+        });
+        // The note, its reply and its resolved status
+        expect(byAnnotation).toEqual({ [rect.id]: 1, [note.id]: 3, [highlight.id]: 1 });
+    });
+});
+
+describe('sticky notes', () => {
+    it('take their size from the popup', async () => {
+        const note = { id: 'note', type: 'note', x: 300, y: 100, width: 220, height: 140, text: 'Sized' };
+        const { annotations } = await importPdf(await writePdf({ 1: [note] }));
+        expect(annotations[1][0]).toMatchObject({ type: 'note', x: 300, y: 100, width: 220, height: 140, text: 'Sized' });
+    });
+
+    it('keep the icon size without a popup', async () => {
+        const bytes = await writeRawPdf([{ Subtype: 'Text', Rect: [100, 600, 124, 624], Contents: PDFString.of('Icon only') }]);
+        const [note] = (await importPdf(bytes)).annotations[1];
+        expect(note).toMatchObject({ type: 'note', x: 100, text: 'Icon only' });
+        // pdf.js sizes icons without an appearance stream itself (22pt)
+        expect(note.width).toBeGreaterThan(20);
+        expect(note.width).toBeLessThanOrEqual(24);
+        expect(note.height).toBe(note.width);
+    });
+});
+
+describe('replies', () => {
+    // Note 10 0 R with a reply, a Review state and a Marked state (objects 11-13 in order)
+    const writeThread = () => writeRawPdf([
+        { Subtype: 'Text', Rect: [100, 600, 124, 624], Contents: PDFString.of('Question'), T: PDFString.of('Reviewer') },
+        { Subtype: 'Text', Rect: [100, 600, 124, 624], IRT: 'NOTE', Contents: PDFString.of('Answer'), T: PDFString.of('Author'), CreationDate: PDFString.of('D:20240102000000Z') },
+        { Subtype: 'Text', Rect: [100, 600, 124, 624], IRT: 'NOTE', StateModel: PDFString.of('Review'), State: PDFString.of('Accepted'), T: PDFString.of('Lead'), CreationDate: PDFString.of('D:20240103000000Z') },
+        { Subtype: 'Text', Rect: [100, 600, 124, 624], IRT: 'NOTE', StateModel: PDFString.of('Marked'), State: PDFString.of('Marked'), T: PDFString.of('Reader') }
+    ]);
+
+    it('join the thread of the annotation they reply to', async () => {
+        const { annotations } = await importPdf(await writeThread());
+        expect(annotations[1]).toHaveLength(1);
+        expect(annotations[1][0]).toMatchObject({
+            type: 'note',
+            text: 'Question',
+            author: 'Reviewer',
+            replies: [{ author: 'Author', text: 'Answer', createdAt: Date.UTC(2024, 0, 2) }],
+            status: 'resolved',
+            resolvedBy: 'Lead'
+        });
+    });
+
+    it('leave Marked states in the file', async () => {
+        const { refs, pdfDoc } = await importPdf(await writeThread());
+        expect(refs.size).toBe(3);
+        removeImportedAnnotations(pdfDoc, refs);
+        const [remaining] = pdfDoc.getPage(0).node.Annots().asArray().map(ref => pdfDoc.context.lookup(ref));
+        expect(annotCount(pdfDoc)).toEqual([1]);
+        expect(remaining.get(PDFName.of('StateModel')).decodeText()).toBe('Marked');
+    });
+});
+
+describe('changedImportRefs', () => {
+    it('keeps everything when nothing was edited', async () => {
+        const { annotations, refs } = await importPdf(await writePdf(SAMPLE));
+        expect(changedImportRefs(refs, annotations, annotations).size).toBe(0);
+        // A restored draft holds equal copies
+        expect(changedImportRefs(refs, annotations, structuredClone(annotations)).size).toBe(0);
+    });
+
+    it('reports edited and deleted annotations with their replies', async () => {
+        const { annotations, refs } = await importPdf(await writePdf(SAMPLE));
+        const [rect, note] = annotations[1];
+        const edited = { 1: [{ ...rect, x: rect.x + 10 }], 2: annotations[2] }; // Note deleted
+        const changed = changedImportRefs(refs, annotations, edited);
+        const changedIds = [...changed].flatMap(ref => refs.get(ref));
+        expect(changed.size).toBe(4);
+        expect(new Set(changedIds)).toEqual(new Set([rect.id, note.id]));
+    });
+});
+
+describe('removeImportedAnnotations', () => {
+    it('drops only the given annotations, with their popups', async () => {
+        const { annotations, refs, pdfDoc } = await importPdf(await writePdf(SAMPLE));
+        // Rect; note, its popup and two replies; highlight
+        expect(annotCount(pdfDoc)).toEqual([5, 1]);
+
+        const note = annotations[1][1];
+        const noteRefs = new Set([...refs].filter(([, ids]) => ids.includes(note.id)).map(([ref]) => ref));
+        removeImportedAnnotations(pdfDoc, noteRefs);
+        expect(annotCount(pdfDoc)).toEqual([1, 1]);
+
+        removeImportedAnnotations(pdfDoc, refs);
+        expect(annotCount(pdfDoc)).toEqual([0, 0]);
+    });
+});
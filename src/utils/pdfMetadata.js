@@ -0,0 +1,273 @@
+import { PDFDocument, PDFName, PDFDict, PDFRef, PDFStream, PDFRawStream, PDFString, PDFHexString, decodePDFRawStream } from 'pdf-lib';
+import { parsePdfDate } from './pdfImport';
+
+// Document properties: the Info dictionary and the catalog's XMP packet, read into one
+// object the properties dialog edits and every save path writes back to both.
+//   { title, author, subject, keywords, creator, producer, creationDate, modDate,
+//     touchModDate, strip, edited, xmp }
+// Dates are Date objects or null. `xmp` is the source packet; properties we don't edit
+// (PDF/A identification, rights, custom schemas) are carried over from it.
+// Saves only write metadata once it was `edited` in the dialog (stripping included);
+// otherwise the file keeps its own. pdf-lib stamps its own Producer, Creator and dates
+// on load and create unless told not to, so every save path loads documents with
+// updateMetadata: false, and copies metadata over (copyMetadata) when it builds a new one.
+
+export const METADATA_FIELDS = {
+    title: { key: 'Title', label: 'Title' },
+    author: { key: 'Author', label: 'Author' },
+    subject: { key: 'Subject', label: 'Subject' },
+    keywords: { key: 'Keywords', label: 'Keywords' },
+    creator: { key: 'Creator', label: 'Creator (application)' },
+    producer: { key: 'Producer', label: 'Producer (PDF library)' }
+};
+
+export const METADATA_DATES = {
+    creationDate: { key: 'CreationDate', label: 'Created' },
+    modDate: { key: 'ModDate', label: 'Modified' }
+};
+
+const NS = {
+    x: 'adobe:ns:meta/',
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    xmp: 'http://ns.adobe.com/xap/1.0/',
+    pdf: 'http://ns.adobe.com/pdf/1.3/',
+    xml: 'http://www.w3.org/XML/1998/namespace',
+    xmlns: 'http://www.w3.org/2000/xmlns/'
+};
+
+// Where each property lives in XMP; `container` is the RDF array type, if any
+const XMP_PROPERTIES = {
+    title: { prefix: 'dc', name: 'title', container: 'Alt' },
+    author: { prefix: 'dc', name: 'creator', container: 'Seq' },
+    subject: { prefix: 'dc', name: 'description', container: 'Alt' },
+    keywords: { prefix: 'pdf', name: 'Keywords' },
+    creator: { prefix: 'xmp', name: 'CreatorTool' },
+    producer: { prefix: 'pdf', name: 'Producer' },
+    creationDate: { prefix: 'xmp', name: 'CreateDate' },
+    modDate: { prefix: 'xmp', name: 'ModifyDate' }
+};
+// Written alongside: keywords as a dc:subject bag, and when the packet was changed
+const XMP_DERIVED = [{ prefix: 'dc', name: 'subject' }, { prefix: 'xmp', name: 'MetadataDate' }];
+
+// Data that is private to one application and goes with the rest when stripping
+const PRIVATE_DATA_KEYS = ['Metadata', 'PieceInfo'];
+
+const EMPTY_XMP = `<x:xmpmeta xmlns:x="${NS.x}"><rdf:RDF xmlns:rdf="${NS.rdf}"/></x:xmpmeta>`;
+const XPACKET_BEGIN = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>`;
+const XPACKET_END = '<?xpacket end="w"?>';
+
+export const emptyMetadata = () => ({
+    ...Object.fromEntries(Object.keys(METADATA_FIELDS).map(name => [name, ''])),
+    creationDate: null,
+    modDate: null,
+    touchModDate: true,
+    strip: false,
+    edited: false,
+    xmp: ''
+});
+
+// --- Info Dictionary ---
+const getInfo = (pdfDoc) => pdfDoc.context.lookupMaybe(pdfDoc.context.trailerInfo.Info, PDFDict);
+
+const readInfoValue = (info, key) => {
+    const value = info?.lookup(PDFName.of(key));
+    return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '';
+};
+
+const writeInfo = (pdfDoc, metadata, now) => {
+    const { context } = pdfDoc;
+    let info = getInfo(pdfDoc);
+    if (!info) {
+        info = context.obj({});
+        context.trailerInfo.Info = context.register(info);
+    }
+    Object.entries(METADATA_FIELDS).forEach(([name, { key }]) => {
+        const value = metadata[name].trim();
+        if (value) info.set(PDFName.of(key), PDFHexString.fromText(value));
+        else info.delete(PDFName.of(key));
+    });
+    const dates = { creationDate: metadata.creationDate, modDate: metadata.touchModDate ? now : metadata.modDate };
+    Object.entries(METADATA_DATES).forEach(([name, { key }]) => {
+        if (dates[name]) info.set(PDFName.of(key), PDFString.fromDate(dates[name]));
+        else info.delete(PDFName.of(key));
+    });
+};
+
+// --- XMP ---
+const readXmpPacket = (pdfDoc) => {
+    const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+    if (!(stream instanceof PDFRawStream)) return '';
+    try {
+        return new TextDecoder().decode(decodePDFRawStream(stream).decode());
+    } catch (err) {
+        console.warn("Unreadable XMP metadata:", err);
+        return '';
+    }
+};
+
+// The x:xmpmeta (or bare rdf:RDF) document of a packet, or null when it isn't XMP
+const parseXmp = (packet) => {
+    if (!packet) return null;
+    const doc = new DOMParser().parseFromString(packet.replace(/<\?xpacket[^>]*\?>/g, '').trim(), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) return null;
+    return doc.getElementsByTagNameNS(NS.rdf, 'RDF').length > 0 ? doc : null;
+};
+
+const descriptionsOf = (doc) => Array.from(doc.getElementsByTagNameNS(NS.rdf, 'Description'));
+
+const readXmpValue = (doc, { prefix, name, container }) => {
+    const element = doc.getElementsByTagNameNS(NS[prefix], name)[0];
+    if (!element) {
+        // Simple properties may also be written as attributes of rdf:Description
+        const owner = descriptionsOf(doc).find(desc => desc.hasAttributeNS(NS[prefix], name));
+        return owner ? owner.getAttributeNS(NS[prefix], name).trim() : '';
+    }
+    if (!container) return element.textContent.trim();
+    const items = Array.from(element.getElementsByTagNameNS(NS.rdf, 'li'));
+    if (container === 'Alt') {
+        const item = items.find(li => li.getAttributeNS(NS.xml, 'lang') === 'x-default') || items[0];
+        return item ? item.textContent.trim() : '';
+    }
+    return items.map(li => li.textContent.trim()).filter(Boolean).join('; ');
+};
+
+const removeXmpProperty = (doc, { prefix, name }) => {
+    Array.from(doc.getElementsByTagNameNS(NS[prefix], name)).forEach(el => el.parentNode.removeChild(el));
+    descriptionsOf(doc).forEach(desc => desc.removeAttributeNS(NS[prefix], name));
+};
+
+const isEmptyDescription = (desc) => !Array.from(desc.childNodes).some(node => node.nodeType === Node.ELEMENT_NODE)
+    && Array.from(desc.attributes).every(attr => attr.namespaceURI === NS.rdf || attr.namespaceURI === NS.xmlns || attr.name === 'about');
+
+const appendXmpProperty = (doc, parent, { prefix, name, container }, values) => {
+    const property = doc.createElementNS(NS[prefix], `${prefix}:${name}`);
+    if (container) {
+        const array = doc.createElementNS(NS.rdf, `rdf:${container}`);
+        values.forEach(value => {
+            const li = doc.createElementNS(NS.rdf, 'rdf:li');
+            if (container === 'Alt') li.setAttributeNS(NS.xml, 'xml:lang', 'x-default');
+            li.textContent = value;
+            array.appendChild(li);
+        });
+        property.appendChild(array);
+    } else {
+        property.textContent = values[0];
+    }
+    parent.appendChild(property);
+};
+
+const splitList = (value, separators) => value.split(separators).map(item => item.trim()).filter(Boolean);
+
+// The XMP packet `metadata` describes, built on top of its source packet
+export const buildXmpPacket = (metadata, now = new Date()) => {
+    const doc = parseXmp(metadata.xmp) || parseXmp(EMPTY_XMP);
+    [...Object.values(XMP_PROPERTIES), ...XMP_DERIVED].forEach(property => removeXmpProperty(doc, property));
+    // Descriptions left empty by the removal would only be noise
+    descriptionsOf(doc).filter(isEmptyDescription).forEach(desc => desc.parentNode.removeChild(desc));
+
+    const description = doc.createElementNS(NS.rdf, 'rdf:Description');
+    description.setAttributeNS(NS.rdf, 'rdf:about', '');
+    ['dc', 'xmp', 'pdf'].forEach(prefix => description.setAttributeNS(NS.xmlns, `xmlns:${prefix}`, NS[prefix]));
+
+    const text = (name) => metadata[name].trim();
+    if (text('title')) appendXmpProperty(doc, description, XMP_PROPERTIES.title, [text('title')]);
+    if (text('author')) appendXmpProperty(doc, description, XMP_PROPERTIES.author, splitList(text('author'), ';'));
+    if (text('subject')) appendXmpProperty(doc, description, XMP_PROPERTIES.subject, [text('subject')]);
+    if (text('keywords')) {
+        appendXmpProperty(doc, description, XMP_PROPERTIES.keywords, [text('keywords')]);
+        appendXmpProperty(doc, description, { prefix: 'dc', name: 'subject', container: 'Bag' }, splitList(text('keywords'), /[,;]/));
+    }
+    if (text('creator')) appendXmpProperty(doc, description, XMP_PROPERTIES.creator, [text('creator')]);
+    if (text('producer')) appendXmpProperty(doc, description, XMP_PROPERTIES.producer, [text('producer')]);
+    const modDate = metadata.touchModDate ? now : metadata.modDate;
+    if (metadata.creationDate) appendXmpProperty(doc, description, XMP_PROPERTIES.creationDate, [metadata.creationDate.toISOString()]);
+    if (modDate) appendXmpProperty(doc, description, XMP_PROPERTIES.modDate, [modDate.toISOString()]);
+    appendXmpProperty(doc, description, { prefix: 'xmp', name: 'MetadataDate' }, [now.toISOString()]);
+    doc.getElementsByTagNameNS(NS.rdf, 'RDF')[0].appendChild(description);
+
+    const xml = new XMLSerializer().serializeToString(doc.documentElement);
+    return `${XPACKET_BEGIN}\n${xml}\n${XPACKET_END}`;
+};
+
+const writeXmp = (pdfDoc, packetText) => {
+    const packet = new TextEncoder().encode(packetText);
+    // Left uncompressed so tools that scan files for XMP can find it
+    const stream = pdfDoc.context.stream(packet, { Type: 'Metadata', Subtype: 'XML', Length: packet.length });
+    replaceObject(pdfDoc.context, pdfDoc.catalog, 'Metadata', pdfDoc.context.register(stream));
+};
+
+const replaceObject = (context, dict, key, value) => {
+    const previous = dict.get(PDFName.of(key));
+    if (previous instanceof PDFRef) context.delete(previous);
+    if (value) dict.set(PDFName.of(key), value);
+    else dict.delete(PDFName.of(key));
+};
+
+// --- Public API ---
+
+// Properties of a loaded document: Info values, with XMP filling in what Info lacks
+export const readMetadata = (pdfDoc) => {
+    const info = getInfo(pdfDoc);
+    const xmp = readXmpPacket(pdfDoc);
+    const xmpDoc = parseXmp(xmp);
+    const metadata = emptyMetadata();
+    metadata.xmp = xmp;
+    Object.entries(METADATA_FIELDS).forEach(([name, { key }]) => {
+        metadata[name] = readInfoValue(info, key) || (xmpDoc ? readXmpValue(xmpDoc, XMP_PROPERTIES[name]) : '');
+    });
+    Object.entries(METADATA_DATES).forEach(([name, { key }]) => {
+        const time = parsePdfDate(readInfoValue(info, key));
+        const xmpDate = xmpDoc ? Date.parse(readXmpValue(xmpDoc, XMP_PROPERTIES[name])) : NaN;
+        metadata[name] = time ? new Date(time) : Number.isNaN(xmpDate) ? null : new Date(xmpDate);
+    });
+    return metadata;
+};
+
+// Properties of a PDF file (File, Blob or bytes)
+export const loadMetadata = async (source) => {
+    const bytes = source instanceof Blob ? await source.arrayBuffer() : source;
+    return readMetadata(await PDFDocument.load(bytes, { updateMetadata: false }));
+};
+
+// Remove the Info dictionary and every XMP and private-data stream, document and page level
+export const stripMetadata = (pdfDoc) => {
+    const { context } = pdfDoc;
+    if (context.trailerInfo.Info instanceof PDFRef) context.delete(context.trailerInfo.Info);
+    context.trailerInfo.Info = undefined;
+    context.enumerateIndirectObjects().forEach(([, object]) => {
+        const dict = object instanceof PDFStream ? object.dict : object;
+        if (!(dict instanceof PDFDict)) return;
+        PRIVATE_DATA_KEYS.forEach(key => replaceObject(context, dict, key, null));
+    });
+};
+
+// The Info entries and XMP packet of `source`, unchanged, into a document built from it
+export const copyMetadata = (source, target) => {
+    const info = getInfo(source);
+    if (info) {
+        const { context } = target;
+        const copy = context.obj({});
+        info.entries().forEach(([key, value]) => {
+            const resolved = source.context.lookup(value);
+            if (resolved instanceof PDFString || resolved instanceof PDFHexString) copy.set(key, resolved);
+        });
+        if (context.trailerInfo.Info instanceof PDFRef) context.delete(context.trailerInfo.Info);
+        context.trailerInfo.Info = context.register(copy);
+    }
+    const xmp = readXmpPacket(source);
+    if (xmp) writeXmp(target, xmp);
+};
+
+// Write `metadata` into a document about to be saved. Unless it was edited (null, or
+// just read from the file) the document is left as it is.
+export const applyMetadata = (pdfDoc, metadata) => {
+    if (!metadata?.edited) return;
+    if (metadata.strip) {
+        stripMetadata(pdfDoc);
+        return;
+    }
+    const now = new Date();
+    writeInfo(pdfDoc, metadata, now);
+    writeXmp(pdfDoc, buildXmpPacket(metadata, now));
+};
@@ -0,0 +1,406 @@
+import {
+    PDFDocument,
+    PDFName,
+    PDFRef,
+    PDFDict,
+    PDFArray,
+    PDFStream,
+    PDFNumber,
+    PDFNull,
+    TextRenderingMode,
+    beginText,
+    endText,
+    setFontAndSize,
+    setTextRenderingMode,
+    setTextMatrix,
+    setCharacterSqueeze,
+    showText
+} from 'pdf-lib';
+import { pdfjs } from 'react-pdf';
+import { readFormFields } from './pdfForms';
+import { createFontCache, embedTextFont } from './fonts';
+import { createPageViewport } from './pageViewport';
+import { getTextItemBox, rectsIntersect } from './textSearch';
+
+// True redaction. Covering text with a black box leaves it in the content stream, so
+// every page with redaction areas is rebuilt instead: its content is replaced by a
+// rendered image with the areas painted black, and the text outside the areas is put
+// back as invisible text so the page stays searchable. Annotations and form fields
+// over the areas are removed, and so are the page thumbnails and the parts of the
+// structure tree (tags) that point into rebuilt pages, which can hold the text as
+// /Alt or /ActualText. Objects no longer referenced (the old content streams, fonts,
+// images and structure elements) are dropped from the file.
+//
+// `redactions` maps page numbers to rects in page units (see utils/pageViewport).
+
+const RASTER_SCALE = 2; // 144 dpi
+const JPEG_QUALITY = 0.92;
+const KEEP_MARGIN = 1; // Text closer than this to an area (page units) is dropped too
+
+const renderRedactedPage = async (pdfPage, rects) => {
+    const [x1, y1, x2, y2] = pdfPage.view;
+    const viewport = pdfPage.getViewport({ scale: RASTER_SCALE, rotation: 0 });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Annotations that stay are kept as annotations, so only the page content is drawn
+    await pdfPage.render({ canvasContext: ctx, viewport, annotationMode: pdfjs.AnnotationMode.DISABLE }).promise;
+
+    const pageViewport = createPageViewport({ width: x2 - x1, height: y2 - y1 }, RASTER_SCALE);
+    ctx.fillStyle = '#000000';
+    rects.forEach(rect => {
+        const r = pageViewport.toViewRect(rect);
+        ctx.fillRect(Math.floor(r.x), Math.floor(r.y), Math.ceil(r.width) + 1, Math.ceil(r.height) + 1);
+    });
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+    if (!blob) throw new Error('Could not render the page image');
+    return blob.arrayBuffer();
+};
+
+// Runs of characters outside every area: [{ item, start, end }]
+const keptTextRuns = (items, view, rects) => {
+    const runs = [];
+    items.forEach(item => {
+        let start = null;
+        for (let i = 0; i <= item.str.length; i++) {
+            const keep = i < item.str.length && item.str[i].trim() !== ''
+                ? !rects.some(rect => rectsIntersect(getTextItemBox(item, view, i, i + 1), rect, KEEP_MARGIN))
+                : i < item.str.length && start !== null;
+            if (keep && start === null) start = i;
+            if (!keep && start !== null) {
+                runs.push({ item, start, end: i });
+                start = null;
+            }
+        }
+    });
+    return runs.filter(run => run.item.str.slice(run.start, run.end).trim() !== '');
+};
+
+const readPage = async (pdf, pageNum, rects) => {
+    const pdfPage = await pdf.getPage(pageNum);
+    const image = await renderRedactedPage(pdfPage, rects);
+    const { items } = await pdfPage.getTextContent();
+    const textItems = items.filter(item => typeof item.str === 'string' && item.str.length > 0);
+    return { image, runs: keptTextRuns(textItems, pdfPage.view, rects) };
+};
+
+// Pixel-free invisible text at the original positions, stretched to the original widths
+const writeTextLayer = async (pdfDoc, page, runs, fontCache) => {
+    for (const { item, start, end } of runs) {
+        const text = item.str.slice(start, end);
+        const [a, b, c, d, e, f] = item.transform;
+        const size = Math.hypot(c, d);
+        if (!size) continue;
+        const along = Math.hypot(a, b);
+        const offset = item.width * (start / item.str.length);
+        const targetWidth = item.width * ((end - start) / item.str.length);
+
+        const font = await embedTextFont(pdfDoc, fontCache, 'Helvetica', text);
+        const fontKey = page.node.newFontDictionary(font.name, font.ref);
+        const naturalWidth = font.widthOfTextAtSize(text, size) * (along / size);
+        const squeeze = naturalWidth > 0 ? (targetWidth / naturalWidth) * 100 : 100;
+
+        page.pushOperators(
+            beginText(),
+            setFontAndSize(fontKey, size),
+            setTextRenderingMode(TextRenderingMode.Invisible),
+            setCharacterSqueeze(squeeze),
+            setTextMatrix(a / size, b / size, c / size, d / size, e + (a / along) * offset, f + (b / along) * offset),
+            showText(font.encodeText(text)),
+            endText()
+        );
+    }
+};
+
+// Page-unit rect of an annotation dict on a page
+const annotationRect = (annot, crop) => {
+    const rect = annot.lookupMaybe(PDFName.of('Rect'), PDFArray);
+    if (!rect || rect.size() < 4) return null;
+    const [llx, lly, urx, ury] = rect.asArray().map(n => n.asNumber?.() ?? 0);
+    return {
+        x: Math.min(llx, urx) - crop.x,
+        y: crop.y + crop.height - Math.max(lly, ury),
+        width: Math.abs(urx - llx),
+        height: Math.abs(ury - lly)
+    };
+};
+
+const removeCoveredFields = (pdfDoc, redactions) => {
+    const form = pdfDoc.getForm();
+    readFormFields(pdfDoc)
+        .filter(field => field.widgets.some(widget => (redactions[widget.page] || []).some(rect => rectsIntersect(widget.rect, rect))))
+        .forEach(field => form.removeField(form.getField(field.name)));
+};
+
+const removeCoveredAnnotations = (page, rects) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    const crop = page.getCropBox();
+    for (let i = annots.size() - 1; i >= 0; i--) {
+        const annot = annots.lookupMaybe(i, PDFDict);
+        const rect = annot && annotationRect(annot, crop);
+        if (rect && rects.some(area => rectsIntersect(rect, area))) annots.remove(i);
+    }
+};
+
+// --- Structure Tree ---
+const STRUCT_TEXT_KEYS = ['Alt', 'ActualText', 'E'];
+
+const structKids = (elem) => {
+    const kids = elem.get(PDFName.of('K'));
+    if (kids instanceof PDFArray) return kids.asArray();
+    return kids ? [kids] : [];
+};
+
+const isContentReference = (dict) => {
+    const type = dict.lookup(PDFName.of('Type'));
+    return type === PDFName.of('MCR') || type === PDFName.of('OBJR');
+};
+
+// Structure elements reachable from the root, by ref tag
+const collectStructElements = (context, node, found = new Set()) => {
+    structKids(node).forEach(kid => {
+        if (!(kid instanceof PDFRef) || found.has(kid.tag)) return;
+        const elem = context.lookup(kid);
+        if (!(elem instanceof PDFDict) || isContentReference(elem)) return;
+        found.add(kid.tag);
+        collectStructElements(context, elem, found);
+    });
+    return found;
+};
+
+// Keep the entries of a number or name tree (`Nums` / `Names`) that `mapValue` returns a value for
+const filterTree = (context, node, entriesKey, mapValue) => {
+    node.lookupMaybe(PDFName.of('Kids'), PDFArray)?.asArray().forEach(kid => {
+        const child = context.lookup(kid);
+        if (child instanceof PDFDict) filterTree(context, child, entriesKey, mapValue);
+    });
+    const entries = node.lookupMaybe(PDFName.of(entriesKey), PDFArray);
+    if (!entries) return;
+    const kept = [];
+    for (let i = 0; i + 1 < entries.size(); i += 2) {
+        const value = mapValue(entries.get(i), entries.get(i + 1));
+        if (value) kept.push(entries.get(i), value);
+    }
+    node.set(PDFName.of(entriesKey), context.obj(kept));
+};
+
+// Remove the content of rebuilt pages from the structure tree: marked-content and object
+// references on them, elements left empty, and the text attributes of elements that lost
+// part of their content. Elements that still have content elsewhere are kept.
+const pruneStructTree = (pdfDoc, pageRefs) => {
+    const { context, catalog } = pdfDoc;
+    const root = catalog.lookupMaybe(PDFName.of('StructTreeRoot'), PDFDict);
+    if (!root) return;
+    const rebuilt = new Set(pageRefs.map(ref => ref.tag));
+    const isRebuilt = (pg) => pg instanceof PDFRef && rebuilt.has(pg.tag);
+
+    const setKids = (elem, kids) => {
+        if (kids.length === 0) elem.delete(PDFName.of('K'));
+        else elem.set(PDFName.of('K'), kids.length === 1 ? kids[0] : context.obj(kids));
+    };
+
+    // Whether a kid still has content outside the rebuilt pages; `pg` is the inherited page
+    const keepKid = (kid, pg) => {
+        const target = kid instanceof PDFRef ? context.lookup(kid) : kid;
+        if (target instanceof PDFNumber) return !isRebuilt(pg); // Marked-content ID on `pg`
+        if (!(target instanceof PDFDict)) return true;
+        if (isContentReference(target)) return !isRebuilt(target.get(PDFName.of('Pg')) || pg);
+
+        const ownPg = target.get(PDFName.of('Pg'));
+        const elemPg = ownPg || pg;
+        const kids = structKids(target);
+        const kept = kids.filter(child => keepKid(child, elemPg));
+        if (kept.length < kids.length) STRUCT_TEXT_KEYS.forEach(key => target.delete(PDFName.of(key)));
+        // Kids that relied on this default page were all on the rebuilt page and are gone
+        if (isRebuilt(ownPg)) target.delete(PDFName.of('Pg'));
+        setKids(target, kept);
+        return kept.length > 0 || (kids.length === 0 && !isRebuilt(elemPg));
+    };
+    setKids(root, structKids(root).filter(kid => keepKid(kid)));
+
+    const elements = collectStructElements(context, root);
+    const isPruned = (item) => item instanceof PDFRef && !elements.has(item.tag);
+    const rebuiltKeys = new Set();
+    pdfDoc.getPages().filter(page => rebuilt.has(page.ref.tag)).forEach(page => {
+        const key = page.node.lookupMaybe(PDFName.of('StructParents'), PDFNumber);
+        if (key) rebuiltKeys.add(key.asNumber());
+        page.node.delete(PDFName.of('StructParents'));
+    });
+
+    const parentTree = root.lookupMaybe(PDFName.of('ParentTree'), PDFDict);
+    if (parentTree) {
+        filterTree(context, parentTree, 'Nums', (key, value) => {
+            if (rebuiltKeys.has(key.asNumber?.())) return null;
+            const target = value instanceof PDFRef ? context.lookup(value) : value;
+            if (target instanceof PDFArray) return context.obj(target.asArray().map(item => (isPruned(item) ? PDFNull : item)));
+            return isPruned(value) ? null : value;
+        });
+    }
+    const idTree = root.lookupMaybe(PDFName.of('IDTree'), PDFDict);
+    if (idTree) filterTree(context, idTree, 'Names', (key, value) => (isPruned(value) ? null : value));
+};
+
+// Pages (by ref tag) the structure tree still points into
+const structTreePageTags = (pdfDoc) => {
+    const { context, catalog } = pdfDoc;
+    const tags = new Set();
+    const root = catalog.lookupMaybe(PDFName.of('StructTreeRoot'), PDFDict);
+    if (!root) return tags;
+    const visited = new Set();
+    const visit = (node) => {
+        const pg = node.get(PDFName.of('Pg'));
+        if (pg instanceof PDFRef) tags.add(pg.tag);
+        structKids(node).forEach(kid => {
+            if (kid instanceof PDFRef) {
+                if (visited.has(kid.tag)) return;
+                visited.add(kid.tag);
+            }
+            const target = kid instanceof PDFRef ? context.lookup(kid) : kid;
+            if (target instanceof PDFDict) visit(target);
+        });
+    };
+    visit(root);
+    return tags;
+};
+
+// Delete every object that can't be reached from the trailer
+const removeUnreachableObjects = (pdfDoc) => {
+    const { context } = pdfDoc;
+    const reachable = new Set();
+    const stack = [context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt].filter(Boolean);
+    while (stack.length > 0) {
+        const obj = stack.pop();
+        if (obj instanceof PDFRef) {
+            if (reachable.has(obj.tag)) continue;
+            reachable.add(obj.tag);
+            const target = context.lookup(obj);
+            if (target) stack.push(target);
+        } else if (obj instanceof PDFDict) {
+            stack.push(...obj.values());
+        } else if (obj instanceof PDFArray) {
+            stack.push(...obj.asArray());
+        } else if (obj instanceof PDFStream) {
+            stack.push(obj.dict);
+        }
+    }
+    context.enumerateIndirectObjects().forEach(([ref]) => {
+        if (!reachable.has(ref.tag)) context.delete(ref);
+    });
+};
+
+// Returns a new pdf-lib document with the areas redacted (the one passed in is not changed)
+export const applyRedactions = async (pdfDoc, redactions) => {
+    const pageNums = Object.keys(redactions).map(Number).filter(pageNum => redactions[pageNum].length > 0);
+    const bytes = await pdfDoc.save();
+
+    const pages = {};
+    const pdf = await pdfjs.getDocument({ data: bytes.slice(0) }).promise;
+    try {
+        for (const pageNum of pageNums) {
+            pages[pageNum] = await readPage(pdf, pageNum, redactions[pageNum]);
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    // A fresh copy, so pdf-lib holds no cached content streams for the rebuilt pages
+    const redacted = await PDFDocument.load(bytes, { updateMetadata: false });
+    removeCoveredFields(redacted, redactions);
+    const textFonts = createFontCache(); // Invisible text never shows, so missing glyphs don't matter
+    const docPages = redacted.getPages();
+    pruneStructTree(redacted, pageNums.map(pageNum => docPages[pageNum - 1]?.ref).filter(Boolean));
+    for (const pageNum of pageNums) {
+        const page = docPages[pageNum - 1];
+        if (!page) continue;
+        removeCoveredAnnotations(page, redactions[pageNum]);
+        page.node.delete(PDFName.of('Thumb'));
+
+        const { context } = redacted;
+        page.node.set(PDFName.of('Contents'), context.obj([]));
+        page.node.set(PDFName.of('Resources'), context.obj({ Font: {}, XObject: {}, ExtGState: {} }));
+        const crop = page.getCropBox();
+        const image = await redacted.embedJpg(pages[pageNum].image);
+        page.drawImage(image, { x: crop.x, y: crop.y, width: crop.width, height: crop.height });
+        await writeTextLayer(redacted, page, pages[pageNum].runs, textFonts);
+    }
+    removeUnreachableObjects(redacted);
+    return redacted;
+};
+
+// Where leftovers were found, as "N item(s) at x,y w×h": the union of their page-unit boxes.
+// Problems go to logs and alerts, so they never quote the content itself.
+const describeLeftovers = (boxes, noun) => {
+    const x = Math.min(...boxes.map(box => box.x));
+    const y = Math.min(...boxes.map(box => box.y));
+    const width = Math.max(...boxes.map(box => box.x + box.width)) - x;
+    const height = Math.max(...boxes.map(box => box.y + box.height)) - y;
+    const count = `${boxes.length} ${noun}${boxes.length === 1 ? '' : 's'}`;
+    return `${count} at ${Math.round(x)},${Math.round(y)} ${Math.round(width)}×${Math.round(height)} pt`;
+};
+
+// Post-save check on the final file: text or annotation content still readable inside
+// an area, and thumbnails or structure tree entries left on redacted pages. Returns a
+// list of problems (empty when the redaction holds), without the content they found.
+export const verifyRedactions = async (bytes, redactions) => {
+    const problems = [];
+    const pageNums = Object.keys(redactions).map(Number).filter(pageNum => redactions[pageNum].length > 0);
+
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+    const docPages = pdfDoc.getPages();
+    const structPages = structTreePageTags(pdfDoc);
+    pageNums.forEach(pageNum => {
+        const page = docPages[pageNum - 1];
+        if (!page) return;
+        if (page.node.get(PDFName.of('Thumb'))) {
+            problems.push(`Page ${pageNum}: the page thumbnail still shows the original content`);
+        }
+        if (structPages.has(page.ref.tag) || page.node.get(PDFName.of('StructParents'))) {
+            problems.push(`Page ${pageNum}: the structure tree (tags) still refers to the original content`);
+        }
+    });
+
+    const pdf = await pdfjs.getDocument({ data: bytes.slice(0) }).promise;
+    try {
+        for (const [pageKey, rects] of Object.entries(redactions)) {
+            const pageNum = Number(pageKey);
+            if (rects.length === 0 || pageNum > pdf.numPages) continue;
+            const pdfPage = await pdf.getPage(pageNum);
+            const { items } = await pdfPage.getTextContent();
+            const textBoxes = [];
+            items.filter(item => typeof item.str === 'string').forEach(item => {
+                for (let i = 0; i < item.str.length; i++) {
+                    if (item.str[i].trim() === '') continue;
+                    const box = getTextItemBox(item, pdfPage.view, i, i + 1);
+                    if (rects.some(rect => rectsIntersect(box, rect))) {
+                        textBoxes.push(box);
+                        break;
+                    }
+                }
+            });
+            if (textBoxes.length > 0) {
+                problems.push(`Page ${pageNum}: ${describeLeftovers(textBoxes, 'text item')} still extractable inside a redaction area`);
+            }
+
+            const [x1, , , y2] = pdfPage.view;
+            const annotations = await pdfPage.getAnnotations();
+            const annotationBoxes = [];
+            annotations.forEach(annot => {
+                const [ax1, ay1, ax2, ay2] = annot.rect;
+                const box = { x: ax1 - x1, y: y2 - ay2, width: ax2 - ax1, height: ay2 - ay1 };
+                const content = annot.contentsObj?.str || annot.fieldValue;
+                if (content && rects.some(rect => rectsIntersect(box, rect))) annotationBoxes.push(box);
+            });
+            if (annotationBoxes.length > 0) {
+                problems.push(`Page ${pageNum}: ${describeLeftovers(annotationBoxes, 'annotation')} with content still inside a redaction area`);
+            }
+        }
+    } finally {
+        pdf.destroy();
+    }
+    return problems;
+};
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { PDFDocument, PDFName, PDFString, PDFDict, PDFArray, PDFRawStream, StandardFonts, decodePDFRawStream } from 'pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { createCanvas } from '@napi-rs/canvas';
+import { applyRedactions, verifyRedactions } from './redaction';
+
+// react-pdf's pdf.js is the browser build; Node runs the legacy build of the same version
+vi.mock('react-pdf', async () => ({ pdfjs: await import('pdfjs-dist/legacy/build/pdf.mjs') }));
+
+// Pages are rendered on a <canvas>; in Node that is @napi-rs/canvas, as for pdf.js itself
+vi.stubGlobal('document', {
+    createElement: () => {
+        const canvas = createCanvas(1, 1);
+        canvas.toBlob = (callback, type, quality) => callback(new Blob([canvas.toBuffer(type, Math.round(quality * 100))]));
+        return canvas;
+    }
+});
+
+const PAGE_SIZE = [400, 300];
+const SECRET = 'Account 1234-5678';
+const KEPT = 'Public heading';
+
+// Page units (y down) of the secret line drawn by samplePdf
+const SECRET_AREA = { x: 40, y: 140, width: 200, height: 30 };
+const REDACTIONS = { 2: [SECRET_AREA] };
+
+// Two pages with a kept line each. Page 2 also has the secret line, a comment box with
+// the secret over it, a thumbnail holding the secret and a tagged element whose
+// /ActualText is the secret; page 1 has a tagged element for the kept line.
+const samplePdf = async () => {
+    const pdfDoc = await PDFDocument.create();
+    const { context } = pdfDoc;
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const pages = [pdfDoc.addPage(PAGE_SIZE), pdfDoc.addPage(PAGE_SIZE)];
+    pages.forEach(page => page.drawText(KEPT, { x: 50, y: 250, size: 14, font }));
+
+    const page = pages[1];
+    page.drawText(SECRET, { x: 50, y: 140, size: 14, font });
+    const comment = context.register(context.obj({
+        Type: 'Annot',
+        Subtype: 'Square',
+        Rect: [60, 135, 120, 159],
+        Contents: PDFString.of(`Note about ${SECRET}`)
+    }));
+    page.node.set(PDFName.of('Annots'), context.obj([comment]));
+    page.node.set(PDFName.of('Thumb'), context.register(context.stream(SECRET, { Width: 1, Height: 1 })));
+
+    const root = context.nextRef();
+    const element = (pageRef, text) => context.register(context.obj({
+        Type: 'StructElem',
+        S: 'P',
+        P: root,
+        Pg: pageRef,
+        K: 0,
+        ActualText: PDFString.of(text)
+    }));
+    const keptElement = element(pages[0].ref, KEPT);
+    const secretElement = element(page.ref, SECRET);
+    pages.forEach((p, i) => p.node.set(PDFName.of('StructParents'), context.obj(i)));
+    context.assign(root, context.obj({
+        Type: 'StructTreeRoot',
+        K: [keptElement, secretElement],
+        ParentTree: { Nums: [0, [keptElement], 1, [secretElement]] }
+    }));
+    pdfDoc.catalog.set(PDFName.of('StructTreeRoot'), root);
+    return pdfDoc.save();
+};
+
+// Text pdf.js extracts, by page
+const extractText = async (bytes) => {
+    const pdf = await getDocument({ data: bytes.slice(0), verbosity: 0 }).promise;
+    try {
+        const pages = [];
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const { items } = await (await pdf.getPage(pageNum)).getTextContent();
+            pages.push(items.map(item => item.str).join(' '));
+        }
+        return pages;
+    } finally {
+        await pdf.destroy();
+    }
+};
+
+// Stream data, decoded where pdf-lib can (not images)
+const streamData = (stream) => {
+    try {
+        return decodePDFRawStream(stream).decode();
+    } catch {
+        return stream.contents;
+    }
+};
+
+// Whether any object of the file holds `text`, as a string or as hex, in decoded streams too
+const fileContains = async (bytes, text) => {
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+    const hex = [...text].map(char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+    return pdfDoc.context.enumerateIndirectObjects().some(([, object]) => {
+        const content = object instanceof PDFRawStream
+            ? new TextDecoder('latin1').decode(streamData(object)) + object.dict.toString()
+            : object.toString();
+        return content.includes(text) || content.toLowerCase().includes(hex);
+    });
+};
+
+describe('applyRedactions', () => {
+    let original;
+    let redacted;
+
+    beforeAll(async () => {
+        original = await samplePdf();
+        const pdfDoc = await PDFDocument.load(original, { updateMetadata: false });
+        redacted = await (await applyRedactions(pdfDoc, REDACTIONS)).save();
+    });
+
+    it('starts from a file that holds the secret', async () => {
+        expect((await extractText(original))[1]).toContain(SECRET);
+        expect(await fileContains(original, SECRET)).toBe(true);
+    });
+
+    it('removes the text under the area and keeps the rest searchable', async () => {
+        const [page1, page2] = await extractText(redacted);
+        expect(page1).toContain(KEPT);
+        expect(page2).toContain(KEPT);
+        expect(page2).not.toContain('1234');
+        expect(page2).not.toContain('Account');
+    });
+
+    it('leaves nothing of the secret anywhere in the file', async () => {
+        expect(await fileContains(redacted, SECRET)).toBe(false);
+        expect(await fileContains(redacted, '1234')).toBe(false);
+    });
+
+    it('drops the covered annotation, the thumbnail and the tags of the page', async () => {
+        const pdfDoc = await PDFDocument.load(redacted, { updateMetadata: false });
+        const [page1, page2] = pdfDoc.getPages();
+        expect(page2.node.Annots()?.size() || 0).toBe(0);
+        expect(page2.node.get(PDFName.of('Thumb'))).toBeUndefined();
+        expect(page2.node.get(PDFName.of('StructParents'))).toBeUndefined();
+
+        const root = pdfDoc.catalog.lookup(PDFName.of('StructTreeRoot'), PDFDict);
+        const k = root.get(PDFName.of('K'));
+        const kids = (k instanceof PDFArray ? k.asArray() : [k]).map(ref => pdfDoc.context.lookup(ref));
+        expect(kids).toHaveLength(1);
+        expect(kids[0].get(PDFName.of('Pg'))).toBe(page1.ref);
+        expect(kids[0].get(PDFName.of('ActualText')).decodeText()).toBe(KEPT);
+    });
+
+    it('passes its own verification', async () => {
+        expect(await verifyRedactions(redacted, REDACTIONS)).toEqual([]);
+    });
+
+    it('leaves pages without areas as they were', async () => {
+        const pdfDoc = await PDFDocument.load(redacted, { updateMetadata: false });
+        expect(pdfDoc.getPage(0).node.get(PDFName.of('StructParents'))).toBeDefined();
+        expect((await extractText(redacted))[0]).toBe((await extractText(original))[0]);
+    });
+});
+
+describe('verifyRedactions', () => {
+    it('fails an unredacted file, by page, count and position, never by content', async () => {
+        const problems = await verifyRedactions(await samplePdf(), REDACTIONS);
+        expect(problems).toEqual([
+            'Page 2: the page thumbnail still shows the original content',
+            'Page 2: the structure tree (tags) still refers to the original content',
+            expect.stringMatching(/^Page 2: 1 text item at \d+,\d+ \d+×\d+ pt still extractable/),
+            expect.stringMatching(/^Page 2: 1 annotation at 60,141 60×24 pt with content/)
+        ]);
+        problems.forEach(problem => {
+            expect(problem).not.toContain('1234');
+            expect(problem).not.toContain('Account');
+        });
+    });
+});
@@ -0,0 +1,103 @@
+// Keyboard shortcuts of the editor and the organize screen. Both the key handling
+// (hooks/useShortcuts) and the "?" cheat sheet read this table, so they always agree.
+// A combo is "[mod+][shift+][alt+]key": `mod` is Ctrl, or ⌘ on macOS; keys are
+// KeyboardEvent.key values in lower case, with `plus` for the + key.
+
+export const SHORTCUTS = {
+    editor: [
+        { id: 'tool.view', keys: ['v'], label: 'View / select', group: 'Tools' },
+        { id: 'tool.pen', keys: ['p'], label: 'Pen', group: 'Tools' },
+        { id: 'tool.highlight', keys: ['h'], label: 'Marker', group: 'Tools' },
+        { id: 'tool.markup', keys: ['m'], label: 'Text markup', group: 'Tools' },
+        { id: 'tool.text', keys: ['t'], label: 'Text', group: 'Tools' },
+        { id: 'tool.rect', keys: ['r'], label: 'Rectangle', group: 'Tools' },
+        { id: 'tool.shapes', keys: ['s'], label: 'Shapes', group: 'Tools' },
+        { id: 'tool.note', keys: ['n'], label: 'Sticky note', group: 'Tools' },
+        { id: 'page.prev', keys: ['arrowleft', 'pageup'], label: 'Previous page', group: 'Pages' },
+        { id: 'page.next', keys: ['arrowright', 'pagedown'], label: 'Next page', group: 'Pages' },
+        { id: 'page.first', keys: ['home'], label: 'First page', group: 'Pages' },
+        { id: 'page.last', keys: ['end'], label: 'Last page', group: 'Pages' },
+        { id: 'zoom.in', keys: ['mod+plus', 'mod+='], label: 'Zoom in', group: 'View' },
+        { id: 'zoom.out', keys: ['mod+-'], label: 'Zoom out', group: 'View' },
+        { id: 'zoom.reset', keys: ['mod+0'], label: 'Actual size', group: 'View' },
+        { id: 'search', keys: ['mod+f'], label: 'Find in document', group: 'View', whileTyping: true },
+        { id: 'undo', keys: ['mod+z'], label: 'Undo', group: 'Edit' },
+        { id: 'redo', keys: ['mod+shift+z', 'mod+y'], label: 'Redo', group: 'Edit' },
+        { id: 'delete', keys: ['delete', 'backspace'], label: 'Delete selected markup', group: 'Edit' },
+        { id: 'finish', keys: ['enter'], label: 'Finish polyline / polygon', group: 'Edit' },
+        { id: 'cancel', keys: ['escape'], label: 'Cancel / deselect', group: 'Edit' },
+        { id: 'save', keys: ['mod+s'], label: 'Save', group: 'Document' },
+        { id: 'help', keys: ['?'], label: 'Show shortcuts', group: 'Document' }
+    ],
+    organize: [
+        { id: 'selectAll', keys: ['mod+a'], label: 'Select all pages', group: 'Pages' },
+        { id: 'clearSelection', keys: ['escape'], label: 'Clear selection', group: 'Pages' },
+        { id: 'rotateLeft', keys: ['l'], label: 'Rotate selected left', group: 'Pages' },
+        { id: 'rotateRight', keys: ['r'], label: 'Rotate selected right', group: 'Pages' },
+        { id: 'delete', keys: ['delete', 'backspace'], label: 'Delete selected', group: 'Pages' },
+        { id: 'save', keys: ['mod+s'], label: 'Download result', group: 'Document' },
+        { id: 'help', keys: ['?'], label: 'Show shortcuts', group: 'Document' }
+    ]
+};
+
+const KEY_ALIASES = { plus: '+', space: ' ' };
+
+const KEY_LABELS = {
+    arrowleft: '←',
+    arrowright: '→',
+    arrowup: '↑',
+    arrowdown: '↓',
+    pageup: 'PgUp',
+    pagedown: 'PgDn',
+    escape: 'Esc',
+    delete: 'Del',
+    backspace: 'Backspace',
+    enter: 'Enter',
+    home: 'Home',
+    end: 'End',
+    plus: '+'
+};
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+const parseCombo = (combo) => {
+    const parts = combo.split('+');
+    const key = parts.pop();
+    return {
+        key: KEY_ALIASES[key] || key,
+        mod: parts.includes('mod'),
+        shift: parts.includes('shift'),
+        alt: parts.includes('alt')
+    };
+};
+
+export const matchesCombo = (e, combo) => {
+    const { key, mod, shift, alt } = parseCombo(combo);
+    if ((e.ctrlKey || e.metaKey) !== mod || e.altKey !== alt) return false;
+    // Shift is part of typing symbols like ? and +, so it only counts for letters and named keys
+    const isSymbol = e.key.length === 1 && !/\p{L}/u.test(e.key);
+    if (!isSymbol && e.shiftKey !== shift) return false;
+    return e.key.toLowerCase() === key;
+};
+
+// Text fields, editable elements and selects keep their keys while focused
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'range', 'button', 'submit', 'reset', 'color', 'file'];
+
+export const isTypingTarget = (el) => {
+    if (!el || !el.tagName) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    return el.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(el.type);
+};
+
+export const formatCombo = (combo) => combo.split('+').map(part => {
+    if (part === 'mod') return IS_MAC ? '⌘' : 'Ctrl';
+    if (part === 'shift') return 'Shift';
+    if (part === 'alt') return IS_MAC ? '⌥' : 'Alt';
+    return KEY_LABELS[part] || part.toUpperCase();
+}).join('+');
+
+// First key of an action, for button tooltips: "Undo (Ctrl+Z)"
+export const shortcutHint = (scope, id) => {
+    const shortcut = SHORTCUTS[scope].find(s => s.id === id);
+    return shortcut ? formatCombo(shortcut.keys[0]) : '';
+};
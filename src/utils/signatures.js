@@ -0,0 +1,121 @@
+import scriptFontUrl from '@expo-google-fonts/dancing-script/400Regular/DancingScript_400Regular.ttf?url';
+
+// Signatures and initials for the editor's signature tool. Every signature, whether
+// drawn, typed or uploaded, is kept as a trimmed transparent PNG (data URL) in a
+// local library, and placed on pages as an ordinary image annotation.
+
+export const SCRIPT_FONT = 'Dancing Script';
+
+// Largest placed size in page units, per kind
+export const SIGNATURE_SIZES = {
+    signature: { width: 200, height: 80 },
+    initials: { width: 100, height: 50 }
+};
+
+// Longest side of a stored image, in pixels (keeps the library within localStorage limits)
+const MAX_STORED_SIZE = 600;
+
+// Registered up front so the typing preview can use it
+const scriptFontFace = typeof FontFace !== 'undefined' && typeof document !== 'undefined'
+    ? new FontFace(SCRIPT_FONT, `url(${scriptFontUrl})`)
+    : null;
+if (scriptFontFace) document.fonts.add(scriptFontFace);
+
+// --- Library (localStorage) ---
+// Entries: { id, kind: 'signature' | 'initials', dataUrl, createdAt }
+const STORAGE_KEY = 'pdf-editor-signatures';
+
+export const loadSignatures = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+};
+
+export const saveSignatures = (signatures) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(signatures));
+    } catch (err) {
+        console.warn("Could not persist signatures:", err);
+        throw new Error('The signature library is full. Delete a saved signature and try again.');
+    }
+};
+
+// --- Image Helpers ---
+// Crop to the non-transparent pixels and scale down to the stored size; null if blank
+export const trimCanvas = (canvas) => {
+    const ctx = canvas.getContext('2d');
+    const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    let top = height, left = width, right = -1, bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] === 0) continue;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+        }
+    }
+    if (right < 0) return null;
+
+    const padding = 4;
+    const cropWidth = right - left + 1 + padding * 2;
+    const cropHeight = bottom - top + 1 + padding * 2;
+    const ratio = Math.min(1, MAX_STORED_SIZE / Math.max(cropWidth, cropHeight));
+    const out = document.createElement('canvas');
+    out.width = Math.max(1, Math.round(cropWidth * ratio));
+    out.height = Math.max(1, Math.round(cropHeight * ratio));
+    out.getContext('2d').drawImage(
+        canvas,
+        left - padding, top - padding, cropWidth, cropHeight,
+        0, 0, out.width, out.height
+    );
+    return out.toDataURL('image/png');
+};
+
+export const renderTypedSignature = async (text, color) => {
+    await scriptFontFace.load();
+    const fontSize = 96;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = `${fontSize}px "${SCRIPT_FONT}"`;
+    canvas.width = Math.ceil(ctx.measureText(text).width + fontSize);
+    canvas.height = Math.ceil(fontSize * 1.6);
+
+    // Resizing resets the context
+    ctx.font = `${fontSize}px "${SCRIPT_FONT}"`;
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, fontSize / 2, canvas.height / 2);
+    return trimCanvas(canvas);
+};
+
+export const imageFileToSignature = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+        URL.revokeObjectURL(url);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        const dataUrl = trimCanvas(canvas);
+        if (dataUrl) resolve(dataUrl);
+        else reject(new Error(`${file.name} is blank.`));
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`${file.name} is not an image the browser can read.`));
+    };
+    img.src = url;
+});
+
+// Stored data URL back to a PNG File, as image annotations carry their source file
+export const signatureToFile = async (signature) => {
+    const blob = await fetch(signature.dataUrl).then(res => res.blob());
+    return new File([blob], `${signature.kind}.png`, { type: 'image/png' });
+};
+
+export const formatSignDate = (date = new Date()) => date.toLocaleDateString();
@@ -0,0 +1,105 @@
+import { TEXT_LINE_HEIGHT } from './annotationGeometry';
+import { formatSignDate } from './signatures';
+
+// Rubber stamps for the editor's stamp tool. A stamp definition is a text template
+// and a color; template fields are replaced when the stamp is placed, so the placed
+// 'stamp' annotation only holds the final text. Stamps are drawn as vectors (a
+// double border around centered lines) and scale with their box.
+
+// Fields a template may contain, in the order the dialog offers them
+export const STAMP_FIELDS = [
+    { token: '{date}', label: 'Date' },
+    { token: '{time}', label: 'Time' },
+    { token: '{user}', label: 'User name' },
+    { token: '{page}', label: 'Page number' },
+    { token: '{pages}', label: 'Page count' }
+];
+
+// Built-in stamps; `name` is the standard PDF stamp icon name, where there is one
+export const BUILT_IN_STAMPS = [
+    { id: 'approved', text: 'APPROVED', color: '#15803d', name: 'Approved' },
+    { id: 'draft', text: 'DRAFT', color: '#4b5563', name: 'Draft' },
+    { id: 'rejected', text: 'REJECTED', color: '#dc2626', name: 'NotApproved' },
+    { id: 'received', text: 'RECEIVED\non {date} by {user}', color: '#1d4ed8' }
+];
+
+export const STAMP_COLORS = { Red: '#dc2626', Green: '#15803d', Blue: '#1d4ed8', Gray: '#4b5563', Purple: '#7e22ce' };
+
+// Font size stamps are placed at, and the space between the border and the text
+export const STAMP_FONT_SIZE = 20;
+export const STAMP_PADDING = 8;
+
+// Fill the template fields. `context`: { page, numPages, userName, date }
+export const fillStampTemplate = (template, { page, numPages, userName, date = new Date() }) => (
+    template
+        .replaceAll('{date}', formatSignDate(date))
+        .replaceAll('{time}', date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+        .replaceAll('{user}', userName)
+        .replaceAll('{page}', String(page))
+        .replaceAll('{pages}', String(numPages))
+);
+
+// --- Layout (page units) ---
+// Box size for text at STAMP_FONT_SIZE; `measure(line)` returns a line's width at that size
+export const getStampSize = (text, measure) => {
+    const lines = text.split('\n');
+    return {
+        width: Math.max(...lines.map(measure)) + STAMP_PADDING * 2,
+        height: STAMP_FONT_SIZE * (1.25 + (lines.length - 1) * TEXT_LINE_HEIGHT) + STAMP_PADDING * 2
+    };
+};
+
+// Largest font size whose lines fit the stamp's box, and the baseline of each line
+// (vertically centered). `measure(line)` returns a line's width at font size 1;
+// lines are centered horizontally by the caller.
+export const getStampLayout = (ann, measure) => {
+    const lines = ann.text.split('\n');
+    const width = Math.abs(ann.width) - STAMP_PADDING * 2;
+    const height = Math.abs(ann.height) - STAMP_PADDING * 2;
+    const blockHeight = 1.25 + (lines.length - 1) * TEXT_LINE_HEIGHT; // In font sizes
+    const widest = Math.max(...lines.map(measure));
+    const fontSize = Math.max(1, Math.min(height / blockHeight, widest > 0 ? width / widest : Infinity));
+    const top = Math.min(ann.y, ann.y + ann.height) + STAMP_PADDING + (height - fontSize * blockHeight) / 2;
+    return {
+        fontSize,
+        lines: lines.map((line, i) => ({
+            text: line,
+            baseline: top + fontSize + i * fontSize * TEXT_LINE_HEIGHT
+        }))
+    };
+};
+
+// Inner border, inset from the outer one
+export const getStampBorders = (ann) => {
+    const x = Math.min(ann.x, ann.x + ann.width);
+    const y = Math.min(ann.y, ann.y + ann.height);
+    const width = Math.abs(ann.width);
+    const height = Math.abs(ann.height);
+    const inset = Math.min(3, width / 4, height / 4);
+    return [
+        { x, y, width, height, lineWidth: 2 },
+        { x: x + inset, y: y + inset, width: width - inset * 2, height: height - inset * 2, lineWidth: 0.75 }
+    ];
+};
+
+// --- Custom stamps (localStorage) ---
+// Entries: { id, text, color, createdAt }
+const STORAGE_KEY = 'pdf-editor-stamps';
+
+export const loadCustomStamps = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+};
+
+export const saveCustomStamps = (stamps) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stamps));
+    } catch (err) {
+        console.warn("Could not persist custom stamps:", err);
+        throw new Error('Could not save the stamp library.');
+    }
+};
@@ -0,0 +1,117 @@
+// Text positions from pdf.js text content, in page units (see utils/pageViewport).
+// pdf.js only reports each text run's origin and total advance, so characters are
+// placed proportionally along the run; boxes reach a little below the baseline to
+// cover descenders.
+
+const DESCENT = 0.25; // Below the baseline, as a fraction of the font size
+
+// Page-unit box of characters [start, end) of a pdf.js text item. `view` is page.view.
+export const getTextItemBox = (item, view, start = 0, end = item.str.length) => {
+    const [a, b, c, d, e, f] = item.transform;
+    const along = Math.hypot(a, b) || 1;
+    const up = Math.hypot(c, d) || 1;
+    const ux = a / along, uy = b / along; // Writing direction
+    const vx = c / up, vy = d / up; // Up, in user space
+    const length = item.str.length || 1;
+    const s0 = item.width * (start / length);
+    const s1 = item.width * (end / length);
+    const v0 = -item.height * DESCENT;
+    const v1 = item.height;
+
+    const corners = [[s0, v0], [s1, v0], [s1, v1], [s0, v1]].map(([s, v]) => ({
+        x: e + ux * s + vx * v - view[0],
+        y: view[3] - (f + uy * s + vy * v)
+    }));
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+export const rectsIntersect = (r1, r2, margin = 0) => (
+    r1.x < r2.x + r2.width + margin && r2.x < r1.x + r1.width + margin &&
+    r1.y < r2.y + r2.height + margin && r2.y < r1.y + r1.height + margin
+);
+
+// Concatenated page text with a map back to (item, character) for every position
+const indexPageText = (items) => {
+    let text = '';
+    const positions = [];
+    items.forEach((item, itemIndex) => {
+        for (let i = 0; i < item.str.length; i++) {
+            positions.push({ itemIndex, charIndex: i });
+        }
+        text += item.str;
+        if (item.hasEOL) {
+            positions.push(null);
+            text += '\n';
+        }
+    });
+    return { text, positions };
+};
+
+// One box per text item touched by characters [start, end) of the page text
+const rangeRects = (items, positions, view, start, end) => {
+    const rects = [];
+    let run = null;
+    for (let i = start; i < end; i++) {
+        const pos = positions[i];
+        if (!pos) continue;
+        if (run && run.itemIndex === pos.itemIndex) {
+            run.end = pos.charIndex + 1;
+        } else {
+            if (run) rects.push(getTextItemBox(items[run.itemIndex], view, run.start, run.end));
+            run = { itemIndex: pos.itemIndex, start: pos.charIndex, end: pos.charIndex + 1 };
+        }
+    }
+    if (run) rects.push(getTextItemBox(items[run.itemIndex], view, run.start, run.end));
+    return rects;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Throws a SyntaxError for an invalid regular expression
+export const createSearchPattern = (query, { caseSensitive = false, wholeWord = false, regex = false } = {}) => {
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+    return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+};
+
+// Page texts are extracted once per loaded document
+const documentIndexes = new WeakMap();
+
+const getDocumentIndex = (pdf) => {
+    if (!documentIndexes.has(pdf)) {
+        const build = async () => {
+            const pages = [];
+            for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+                const page = await pdf.getPage(pageNum);
+                const { items } = await page.getTextContent();
+                const textItems = items.filter(item => typeof item.str === 'string');
+                pages.push({ page: pageNum, view: page.view, items: textItems, ...indexPageText(textItems) });
+            }
+            return pages;
+        };
+        const index = build();
+        index.catch(() => documentIndexes.delete(pdf));
+        documentIndexes.set(pdf, index);
+    }
+    return documentIndexes.get(pdf);
+};
+
+// Every match in a pdf.js document, in reading order: [{ page, text, rects }]
+// options: { caseSensitive, wholeWord, regex }
+export const searchDocument = async (pdf, query, options = {}) => {
+    if (!query) return [];
+    const pattern = createSearchPattern(query, options);
+    const hits = [];
+    for (const { page, view, items, text, positions } of await getDocumentIndex(pdf)) {
+        for (const match of text.matchAll(pattern)) {
+            if (match[0].length === 0) continue;
+            const rects = rangeRects(items, positions, view, match.index, match.index + match[0].length);
+            if (rects.length > 0) hits.push({ page, text: match[0], rects });
+        }
+    }
+    return hits;
+};
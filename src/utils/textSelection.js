@@ -0,0 +1,32 @@
+// Client rects of the text actually covered by a DOM selection.
+// Range.getClientRects() also returns the boxes of elements the range crosses
+// (e.g. the pdf.js text layer's end-of-content div), so measure each
+// selected text node on its own instead.
+export const getSelectionTextRects = (selection) => {
+    const rects = [];
+
+    for (let i = 0; i < selection.rangeCount; i++) {
+        const range = selection.getRangeAt(i);
+        const root = range.commonAncestorContainer;
+        const textNodes = [];
+
+        if (root.nodeType === Node.TEXT_NODE) {
+            textNodes.push(root);
+        } else {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                if (range.intersectsNode(walker.currentNode)) textNodes.push(walker.currentNode);
+            }
+        }
+
+        textNodes.forEach(node => {
+            const nodeRange = document.createRange();
+            nodeRange.selectNodeContents(node);
+            if (node === range.startContainer) nodeRange.setStart(node, range.startOffset);
+            if (node === range.endContainer) nodeRange.setEnd(node, range.endOffset);
+            rects.push(...nodeRange.getClientRects());
+        });
+    }
+
+    return rects;
+};
@@ -0,0 +1,19 @@
+// The name this browser's user goes by, filled into stamps and other markup
+// that records who made it. Kept in localStorage; there are no accounts.
+const STORAGE_KEY = 'pdf-editor-user-name';
+
+export const loadUserName = () => {
+    try {
+        return localStorage.getItem(STORAGE_KEY) || '';
+    } catch {
+        return '';
+    }
+};
+
+export const saveUserName = (name) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, name);
+    } catch (err) {
+        console.warn("Could not persist user name:", err);
+    }
+};
@@ -0,0 +1,490 @@
+import { PDFString } from 'pdf-lib';
+import { v4 as uuidv4 } from 'uuid';
+import { getAnnotationStyle } from './annotationStyles';
+import { NOTE_WIDTH, NOTE_HEIGHT, getAnnotationBounds, getCalloutLeaderEnd } from './annotationGeometry';
+import { MARKUP_SUBTYPES } from './pdfAnnotations';
+import { ARROW_ENDINGS, RESOLVED_STATES, parsePdfDate, toPagePoint, toPageRect } from './pdfImport';
+import { STANDARD_FONTS } from './fonts';
+import { BUILT_IN_STAMPS } from './stamps';
+import { parseColor, toHexColor } from './color';
+
+// XFDF (XML Forms Data Format, the annotation exchange format of Acrobat and most
+// PDF tools) for the editor's annotations.
+// XFDF positions are in PDF user space, y up, like the annotation dictionaries they
+// stand for. Page units are converted through each page's view box
+// (`pageSizes[page].view`, from pdf.js). Neither format applies /Rotate, so markup lands
+// on rotated pages exactly where the other tool placed it and the viewer turns it
+// with the page. Images have no XFDF form here and are left out (see annotationJson).
+
+const XFDF_NAMESPACE = 'http://ns.adobe.com/xfdf/';
+const NOTE_ICON_SIZE = 24;
+
+const MARKUP_ELEMENTS = Object.fromEntries(Object.entries(MARKUP_SUBTYPES).map(([variant, subtype]) => [subtype.toLowerCase(), variant]));
+
+// --- Export ---
+const fmt = (n) => Number(n.toFixed(3)).toString();
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '&#10;');
+
+// Element with the attributes that have a value
+const element = (name, attributes, children = '') => {
+    const attributeText = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    return children ? `<${name}${attributeText}>${children}</${name}>` : `<${name}${attributeText}/>`;
+};
+
+const contentsElement = (text) => (text ? `<contents>${escapeXml(text).replace(/&#10;/g, '\n')}</contents>` : '');
+
+const xfdfColor = (hex) => (hex ? toHexColor(parseColor(hex)).toUpperCase() : undefined);
+
+const pdfDate = (time) => PDFString.fromDate(new Date(time)).asString();
+
+const pointList = (points) => points.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(';');
+
+// Rect (x1,y1,x2,y2) around PDF points, grown by `pad`
+const boundsOf = (points, pad = 0) => [
+    Math.min(...points.map(p => p.x)) - pad,
+    Math.min(...points.map(p => p.y)) - pad,
+    Math.max(...points.map(p => p.x)) + pad,
+    Math.max(...points.map(p => p.y)) + pad
+];
+
+// Page-unit box as a PDF rect, grown by `pad`
+const boxRect = (view, { x, y, width, height }, pad = 0) => {
+    const left = Math.min(x, x + width);
+    const top = Math.min(y, y + height);
+    return [
+        view[0] + left - pad,
+        view[3] - (top + Math.abs(height)) - pad,
+        view[0] + left + Math.abs(width) + pad,
+        view[3] - top + pad
+    ];
+};
+
+// Font and text color of a FreeText, as its <defaultappearance> (/DA) and <defaultstyle> (/DS)
+const fontElements = (style) => {
+    const resource = STANDARD_FONTS[style.fontFamily]?.resource || STANDARD_FONTS.Helvetica.resource;
+    const { r, g, b } = parseColor(style.strokeColor);
+    return `<defaultappearance>/${resource} ${fmt(style.fontSize)} Tf ${fmt(r)} ${fmt(g)} ${fmt(b)} rg</defaultappearance>` +
+        `<defaultstyle>${escapeXml(`font: ${style.fontFamily} ${fmt(style.fontSize)}pt; color: ${xfdfColor(style.strokeColor)}`)}</defaultstyle>`;
+};
+
+// Element name, extra attributes, children and rect of one annotation, or null
+const describeAnnotation = (ann, view, ctx) => {
+    const style = getAnnotationStyle(ann);
+    const toPdf = (p) => ({ x: view[0] + p.x, y: view[3] - p.y });
+    const half = (style.strokeWidth || 0) / 2;
+
+    switch (ann.type) {
+        case 'path': {
+            const points = ann.points.map(toPdf);
+            return {
+                name: 'ink',
+                rect: boundsOf(points, half + 1),
+                attributes: { width: fmt(style.strokeWidth) },
+                children: `<inklist><gesture>${pointList(points)}</gesture></inklist>`
+            };
+        }
+        case 'rect':
+        case 'ellipse':
+            return {
+                name: ann.type === 'rect' ? 'square' : 'circle',
+                rect: boxRect(view, ann, half),
+                attributes: { width: fmt(style.strokeWidth), 'interior-color': xfdfColor(style.fillColor) }
+            };
+        case 'line': {
+            const [start, end] = ann.points.map(toPdf);
+            return {
+                name: 'line',
+                rect: boundsOf([start, end], half + 1),
+                attributes: {
+                    start: `${fmt(start.x)},${fmt(start.y)}`,
+                    end: `${fmt(end.x)},${fmt(end.y)}`,
+                    head: 'None',
+                    tail: ann.arrow ? 'OpenArrow' : 'None',
+                    width: fmt(style.strokeWidth)
+                }
+            };
+        }
+        case 'polygon': {
+            const points = ann.points.map(toPdf);
+            return {
+                name: ann.closed ? 'polygon' : 'polyline',
+                rect: boundsOf(points, half + 1),
+                attributes: { width: fmt(style.strokeWidth), 'interior-color': ann.closed ? xfdfColor(style.fillColor) : undefined },
+                children: `<vertices>${pointList(points)}</vertices>`
+            };
+        }
+        case 'callout': {
+            const box = boxRect(view, ann);
+            const anchor = toPdf(ann.anchor);
+            const knee = toPdf(getCalloutLeaderEnd(ann));
+            const rect = boundsOf([{ x: box[0], y: box[1] }, { x: box[2], y: box[3] }, anchor], half + 1);
+            return {
+                name: 'freetext',
+                rect,
+                attributes: {
+                    intent: 'FreeTextCallout',
+                    callout: [anchor.x, anchor.y, knee.x, knee.y].map(fmt).join(','),
+                    fringe: [box[0] - rect[0], rect[3] - box[3], rect[2] - box[2], box[1] - rect[1]].map(v => fmt(Math.max(0, v))).join(','),
+                    width: fmt(style.strokeWidth)
+                },
+                color: style.fillColor, // FreeText /C is the background
+                children: contentsElement(ann.text) + fontElements(style)
+            };
+        }
+        case 'text':
+            return {
+                name: 'freetext',
+                rect: boxRect(view, getAnnotationBounds(ann, ctx)),
+                attributes: { width: '0' },
+                color: null,
+                children: contentsElement(ann.text) + fontElements(style)
+            };
+        case 'note': {
+            const iconRect = boxRect(view, { x: ann.x, y: ann.y, width: NOTE_ICON_SIZE, height: NOTE_ICON_SIZE });
+            const popupRect = boxRect(view, { x: ann.x, y: ann.y, width: ann.width ?? NOTE_WIDTH, height: ann.height ?? NOTE_HEIGHT });
+            return {
+                name: 'text',
+                rect: iconRect,
+                attributes: { icon: 'Comment' },
+                color: style.fillColor, // The note's paper, like /C of a native note
+                children: contentsElement(ann.text) + element('popup', { rect: popupRect.map(fmt).join(','), open: 'no' })
+            };
+        }
+        case 'markup': {
+            const quads = ann.rects.map(r => boxRect(view, r));
+            return {
+                name: MARKUP_SUBTYPES[ann.variant].toLowerCase(),
+                rect: [Math.min(...quads.map(q => q[0])), Math.min(...quads.map(q => q[1])), Math.max(...quads.map(q => q[2])), Math.max(...quads.map(q => q[3]))],
+                // Upper-left, upper-right, lower-left, lower-right, as in native QuadPoints
+                attributes: { coords: quads.flatMap(([x1, y1, x2, y2]) => [x1, y2, x2, y2, x1, y1, x2, y1]).map(fmt).join(',') },
+                children: contentsElement(ann.text)
+            };
+        }
+        case 'stamp':
+            return {
+                name: 'stamp',
+                rect: boxRect(view, ann),
+                attributes: { icon: ann.name || 'Draft' },
+                children: contentsElement(ann.text)
+            };
+        case 'redact':
+            return { name: 'redact', rect: boxRect(view, ann), color: null };
+        default:
+            return null;
+    }
+};
+
+// XFDF document for the editor's annotations ({ [pageNum]: Annotation[] }).
+// `ctx` measures text boxes; without it their widths are estimated.
+// Returns { xml, skipped } where `skipped` counts annotations XFDF can't carry (images).
+export const annotationsToXfdf = (annotations, pageSizes, { fileName = '', ctx = null } = {}) => {
+    const now = pdfDate(Date.now());
+    const items = [];
+    let skipped = 0;
+
+    Object.entries(annotations).forEach(([pageKey, anns]) => {
+        const view = pageSizes[pageKey]?.view;
+        anns.forEach(ann => {
+            const described = view ? describeAnnotation(ann, view, ctx) : null;
+            if (!described) {
+                skipped++;
+                return;
+            }
+            const style = getAnnotationStyle(ann);
+            const page = Number(pageKey) - 1;
+            items.push(element(described.name, {
+                page,
+                name: ann.id,
+                rect: described.rect.map(fmt).join(','),
+                color: described.color === undefined ? xfdfColor(style.strokeColor) : xfdfColor(described.color),
+                opacity: ann.type === 'redact' ? undefined : fmt(style.opacity),
+                title: ann.author,
+                creationdate: ann.createdAt ? pdfDate(ann.createdAt) : undefined,
+                date: now,
+                flags: 'print',
+                ...described.attributes
+            }, described.children));
+
+            // Replies and a resolved status, as replies to the annotation (see utils/comments)
+            const replyRect = described.rect.map(fmt).join(',');
+            (ann.replies || []).forEach(reply => {
+                items.push(element('text', {
+                    page,
+                    name: reply.id,
+                    rect: replyRect,
+                    inreplyto: ann.id,
+                    replyType: 'reply',
+                    title: reply.author,
+                    creationdate: reply.createdAt ? pdfDate(reply.createdAt) : undefined,
+                    date: now,
+                    icon: 'Comment'
+                }, contentsElement(reply.text)));
+            });
+            if (ann.status === 'resolved') {
+                items.push(element('text', {
+                    page,
+                    name: uuidv4(),
+                    rect: replyRect,
+                    inreplyto: ann.id,
+                    replyType: 'reply',
+                    title: ann.resolvedBy,
+                    date: now,
+                    state: 'Completed',
+                    statemodel: 'Review',
+                    flags: 'hidden,print,nozoom,norotate'
+                }));
+            }
+        });
+    });
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xfdf xmlns="${XFDF_NAMESPACE}" xml:space="preserve">`,
+        `<annots>\n${items.join('\n')}\n</annots>`,
+        fileName ? element('f', { href: fileName }) : '',
+        '</xfdf>'
+    ].filter(Boolean).join('\n');
+    return { xml, skipped };
+};
+
+// --- Import ---
+const numbers = (text) => String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+
+const childOf = (el, name) => [...el.children].find(child => child.localName === name) || null;
+
+// Plain text of <contents>, or of the paragraphs of <contents-richtext> (XHTML)
+const contentsOf = (el) => {
+    const contents = childOf(el, 'contents');
+    if (contents) return contents.textContent;
+    const richText = childOf(el, 'contents-richtext');
+    if (!richText) return '';
+    const paragraphs = [...richText.getElementsByTagNameNS('*', 'p')];
+    return paragraphs.length > 0 ? paragraphs.map(p => p.textContent).join('\n') : richText.textContent;
+};
+
+// Attribute or child element (XFDF tools write some entries either way)
+const entryOf = (el, name) => el.getAttribute(name) || childOf(el, name)?.textContent || '';
+
+const colorOf = (value) => (/^#[0-9a-f]{6}$/i.test(value || '') ? value.toLowerCase() : null);
+
+// Style entries present on the element; the editor's defaults fill in the rest
+const styleOf = (el, { colorKey = 'strokeColor', width = true } = {}) => {
+    const style = {};
+    const color = colorOf(el.getAttribute('color'));
+    if (color) style[colorKey] = color;
+    const opacity = parseFloat(el.getAttribute('opacity'));
+    if (Number.isFinite(opacity)) style.opacity = opacity;
+    const strokeWidth = parseFloat(el.getAttribute('width'));
+    if (width && Number.isFinite(strokeWidth)) style.strokeWidth = strokeWidth;
+    const fill = colorOf(el.getAttribute('interior-color'));
+    if (fill) style.fillColor = fill;
+    return style;
+};
+
+// Font size, family and text color of a FreeText from its default style or appearance
+const fontStyleOf = (el) => {
+    const style = {};
+    const css = entryOf(el, 'defaultstyle');
+    const appearance = entryOf(el, 'defaultappearance');
+    const size = /font:[^;]*?([\d.]+)pt/.exec(css)?.[1] || /([\d.]+)\s+Tf/.exec(appearance)?.[1];
+    if (size) style.fontSize = parseFloat(size);
+    const family = Object.keys(STANDARD_FONTS).find(name => (
+        new RegExp(`font:\\s*['"]?${name}`, 'i').test(css) || appearance.includes(`/${STANDARD_FONTS[name].resource} `)
+    ));
+    if (family) style.fontFamily = family;
+    const cssColor = colorOf(/color:\s*(#[0-9a-f]{6})/i.exec(css)?.[1]);
+    const rgbMatch = /([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/.exec(appearance);
+    if (cssColor) style.strokeColor = cssColor;
+    else if (rgbMatch) style.strokeColor = toHexColor({ r: +rgbMatch[1], g: +rgbMatch[2], b: +rgbMatch[3] });
+    return style;
+};
+
+const pointsOf = (view, text) => {
+    const values = numbers(text);
+    const points = [];
+    for (let i = 0; i + 1 < values.length; i += 2) points.push(toPagePoint(view, values[i], values[i + 1]));
+    return points;
+};
+
+// One converter per XFDF element: (el, view, rect, style) -> Annotation[]
+const CONVERTERS = {
+    ink: (el, view) => [...(childOf(el, 'inklist')?.children || [])]
+        .filter(gesture => gesture.localName === 'gesture')
+        .map(gesture => pointsOf(view, gesture.textContent))
+        .filter(points => points.length >= 2)
+        .map(points => ({ type: 'path', points, style: styleOf(el) })),
+    square: (el, view, rect) => [{ type: 'rect', ...insetBox(view, rect, el), style: styleOf(el) }],
+    circle: (el, view, rect) => [{ type: 'ellipse', ...insetBox(view, rect, el), style: styleOf(el) }],
+    line: (el, view) => {
+        const points = [...pointsOf(view, el.getAttribute('start')), ...pointsOf(view, el.getAttribute('end'))];
+        if (points.length !== 2) return [];
+        const head = ARROW_ENDINGS.includes(el.getAttribute('head'));
+        const tail = ARROW_ENDINGS.includes(el.getAttribute('tail'));
+        if (head && !tail) points.reverse(); // Editor arrows point at the second point
+        return [{ type: 'line', points, arrow: head || tail, style: styleOf(el) }];
+    },
+    polygon: (el, view) => polygonOf(el, view, true),
+    polyline: (el, view) => polygonOf(el, view, false),
+    freetext: (el, view, rect) => {
+        const text = contentsOf(el);
+        if (!text) return [];
+        const fontStyle = fontStyleOf(el);
+        const callout = numbers(el.getAttribute('callout'));
+        if (el.getAttribute('intent') === 'FreeTextCallout' && callout.length >= 4) {
+            const [left, top, right, bottom] = numbers(el.getAttribute('fringe')).concat([0, 0, 0, 0]);
+            const [x1, y1, x2, y2] = rect;
+            const style = styleOf(el, { colorKey: 'fillColor' });
+            if (!style.fillColor) style.fillColor = null;
+            return [{
+                type: 'callout',
+                text,
+                ...toPageRect(view, [x1 + left, y1 + bottom, x2 - right, y2 - top]),
+                anchor: toPagePoint(view, callout[0], callout[1]),
+                style: { ...style, ...fontStyle }
+            }];
+        }
+        const box = toPageRect(view, rect);
+        const style = { ...styleOf(el, { width: false }), ...fontStyle };
+        delete style.fillColor;
+        // Editor text is positioned by the baseline of its first line
+        return [{ type: 'text', text, x: box.x, y: box.y + (fontStyle.fontSize || 10), style }];
+    },
+    text: (el, view, rect) => {
+        const box = toPageRect(view, rect);
+        const popup = childOf(el, 'popup');
+        const popupBox = popup ? toPageRect(view, numbers(popup.getAttribute('rect'))) : null;
+        return [{
+            type: 'note',
+            text: contentsOf(el),
+            x: box.x,
+            y: box.y,
+            ...(popupBox && popupBox.width > 0 && popupBox.height > 0 ? { width: popupBox.width, height: popupBox.height } : {}),
+            style: styleOf(el, { colorKey: 'fillColor', width: false })
+        }];
+    },
+    stamp: (el, view, rect) => {
+        const name = el.getAttribute('icon') || 'Draft';
+        return [{
+            type: 'stamp',
+            ...toPageRect(view, rect),
+            text: contentsOf(el) || BUILT_IN_STAMPS.find(stamp => stamp.name === name)?.text || name.replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase(),
+            name,
+            style: styleOf(el, { width: false })
+        }];
+    },
+    redact: (el, view, rect) => [{ type: 'redact', ...toPageRect(view, rect) }]
+};
+Object.entries(MARKUP_ELEMENTS).forEach(([name, variant]) => {
+    CONVERTERS[name] = (el, view) => {
+        const coords = numbers(el.getAttribute('coords'));
+        const rects = [];
+        for (let i = 0; i + 7 < coords.length; i += 8) {
+            const xs = [coords[i], coords[i + 2], coords[i + 4], coords[i + 6]];
+            const ys = [coords[i + 1], coords[i + 3], coords[i + 5], coords[i + 7]];
+            rects.push(toPageRect(view, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]));
+        }
+        if (rects.length === 0) return [];
+        return [{ type: 'markup', variant, rects, text: contentsOf(el), style: styleOf(el, { width: false }) }];
+    };
+});
+
+// Square and Circle borders are drawn inside the rect, their center line half a width in
+function insetBox(view, [x1, y1, x2, y2], el) {
+    const width = parseFloat(el.getAttribute('width')) || 1;
+    const inset = Math.min(width / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2);
+    return toPageRect(view, [x1 + inset, y1 + inset, x2 - inset, y2 - inset]);
+}
+
+function polygonOf(el, view, closed) {
+    const points = pointsOf(view, childOf(el, 'vertices')?.textContent);
+    if (points.length < 2) return [];
+    const style = styleOf(el);
+    if (!closed) delete style.fillColor;
+    return [{ type: 'polygon', points, closed, style }];
+}
+
+// Annotations of an XFDF document, by page number: { annotations, count, skipped }.
+// Elements keep their `name` as the annotation id (so re-importing updates them), on
+// pages that exist in `pageSizes`; replies join their annotation's thread.
+// Throws when `xml` isn't XFDF.
+export const xfdfToAnnotations = (xml, pageSizes) => {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'xfdf') {
+        throw new Error('This is not an XFDF file.');
+    }
+    const elements = [...doc.getElementsByTagNameNS('*', 'annots')].flatMap(annots => [...annots.children]);
+
+    const annotations = {};
+    const byName = {};
+    const replies = [];
+    let count = 0;
+    let skipped = 0;
+
+    elements.forEach(el => {
+        const convert = CONVERTERS[el.localName];
+        const pageNum = parseInt(el.getAttribute('page'), 10) + 1;
+        const view = pageSizes[pageNum]?.view;
+        if (el.getAttribute('inreplyto')) {
+            replies.push(el);
+            return;
+        }
+        if (!convert || !view) {
+            skipped++;
+            return;
+        }
+        try {
+            const rect = numbers(el.getAttribute('rect'));
+            const converted = convert(el, view, rect);
+            const name = el.getAttribute('name');
+            const review = {};
+            if (el.getAttribute('title')) review.author = el.getAttribute('title');
+            const createdAt = parsePdfDate(el.getAttribute('creationdate'));
+            if (createdAt) review.createdAt = createdAt;
+            converted.forEach((ann, i) => {
+                const imported = { id: i === 0 && name ? name : uuidv4(), ...ann, ...review };
+                if (i === 0 && name) byName[name] = imported;
+                annotations[pageNum] = [...(annotations[pageNum] || []), imported];
+                count++;
+            });
+            if (converted.length === 0) skipped++;
+        } catch (err) {
+            console.warn(`Skipping XFDF ${el.localName} element:`, err);
+            skipped++;
+        }
+    });
+
+    // Oldest reply first
+    const byDate = (a, b) => (parsePdfDate(a.getAttribute('creationdate')) || 0) - (parsePdfDate(b.getAttribute('creationdate')) || 0);
+    replies.sort(byDate).forEach(el => {
+        const parent = byName[el.getAttribute('inreplyto')];
+        if (!parent) {
+            skipped++;
+            return;
+        }
+        const author = el.getAttribute('title') || '';
+        if (el.getAttribute('statemodel') === 'Review') {
+            const resolved = RESOLVED_STATES.includes(el.getAttribute('state'));
+            parent.status = resolved ? 'resolved' : 'open';
+            if (resolved && author) parent.resolvedBy = author;
+            else delete parent.resolvedBy;
+        } else if (!el.getAttribute('statemodel')) {
+            parent.replies = [...(parent.replies || []), {
+                id: el.getAttribute('name') || uuidv4(),
+                author,
+                text: contentsOf(el),
+                createdAt: parsePdfDate(el.getAttribute('creationdate'))
+            }];
+        }
+    });
+
+    return { annotations, count, skipped };
+};
@@ -0,0 +1,144 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { annotationsToXfdf, xfdfToAnnotations } from './xfdf';
+import { getAnnotationStyle } from './annotationStyles';
+
+// A cropped page: PDF coordinates start at (10, 20), so the conversion must shift and flip
+const PAGE_SIZES = {
+    1: { width: 600, height: 800, rotate: 0, view: [10, 20, 610, 820] },
+    2: { width: 612, height: 792, rotate: 0, view: [0, 0, 612, 792] }
+};
+
+const CREATED_AT = Date.UTC(2024, 4, 6, 12, 30, 0);
+
+const ANNOTATIONS = {
+    1: [
+        { id: 'rect-1', type: 'rect', x: 50, y: 60, width: 120, height: 80, style: { strokeColor: '#00ff00', fillColor: '#112233', strokeWidth: 4, opacity: 0.5 } },
+        { id: 'ellipse-1', type: 'ellipse', x: 200, y: 100, width: 60, height: 40 },
+        { id: 'path-1', type: 'path', points: [{ x: 10, y: 10 }, { x: 20.5, y: 30.25 }, { x: 40, y: 15 }], style: { strokeColor: '#ff0000', strokeWidth: 3 } },
+        { id: 'line-1', type: 'line', points: [{ x: 100, y: 400 }, { x: 300, y: 420 }], arrow: true },
+        { id: 'polygon-1', type: 'polygon', closed: true, points: [{ x: 300, y: 300 }, { x: 350, y: 320 }, { x: 320, y: 380 }], style: { fillColor: '#abcdef' } },
+        { id: 'polyline-1', type: 'polygon', closed: false, points: [{ x: 400, y: 300 }, { x: 450, y: 350 }] },
+        {
+            id: 'note-1',
+            type: 'note',
+            x: 500,
+            y: 40,
+            width: 220,
+            height: 140,
+            text: 'Check "these" <figures> & totals\nsecond line',
+            author: 'Reviewer',
+            createdAt: CREATED_AT,
+            replies: [{ id: 'reply-1', author: 'Author', text: 'Fixed', createdAt: CREATED_AT + 60000 }],
+            status: 'resolved',
+            resolvedBy: 'Reviewer'
+        },
+        { id: 'markup-1', type: 'markup', variant: 'highlight', rects: [{ x: 50, y: 500, width: 200, height: 14 }, { x: 50, y: 516, width: 120, height: 14 }], text: 'Important' },
+        { id: 'stamp-1', type: 'stamp', name: 'Approved', text: 'APPROVED', x: 400, y: 600, width: 150, height: 50 },
+        { id: 'redact-1', type: 'redact', x: 60, y: 700, width: 100, height: 20 }
+    ],
+    2: [
+        { id: 'callout-1', type: 'callout', x: 100, y: 100, width: 160, height: 60, anchor: { x: 40, y: 250 }, text: 'See here', style: { fontSize: 14 } },
+        { id: 'underline-1', type: 'markup', variant: 'underline', rects: [{ x: 72, y: 300, width: 90, height: 12 }] },
+        { id: 'text-1', type: 'text', x: 72, y: 600, text: 'Plain text', style: { strokeColor: '#333333', fontFamily: 'Times', fontSize: 18 } }
+    ]
+};
+
+// Exported coordinates keep three decimals
+const rounded = (value) => {
+    if (typeof value === 'number') return Math.round(value * 1000) / 1000;
+    if (Array.isArray(value)) return value.map(rounded);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, rounded(v)]));
+    return value;
+};
+
+const roundTrip = (annotations) => {
+    const { xml, skipped } = annotationsToXfdf(annotations, PAGE_SIZES, { fileName: 'sample.pdf' });
+    return { ...xfdfToAnnotations(xml, PAGE_SIZES), exportSkipped: skipped, xml };
+};
+
+const findImported = (imported, id) => Object.values(imported.annotations).flat().find(ann => ann.id === id);
+
+describe('annotationsToXfdf -> xfdfToAnnotations', () => {
+    const imported = roundTrip(ANNOTATIONS);
+
+    it('writes a well-formed XFDF document', () => {
+        const doc = new DOMParser().parseFromString(imported.xml, 'application/xml');
+        expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+        expect(doc.documentElement.localName).toBe('xfdf');
+        expect(doc.getElementsByTagName('f')[0].getAttribute('href')).toBe('sample.pdf');
+    });
+
+    it('brings every annotation back on its page, under its id', () => {
+        expect(imported.count).toBe(13);
+        expect(imported.skipped).toBe(0);
+        expect(imported.annotations[1].map(ann => ann.id)).toEqual(ANNOTATIONS[1].map(ann => ann.id));
+        expect(imported.annotations[2].map(ann => ann.id)).toEqual(ANNOTATIONS[2].map(ann => ann.id));
+    });
+
+    it('keeps the geometry', () => {
+        const pick = (ann, keys) => rounded(Object.fromEntries(keys.map(key => [key, ann[key]])));
+        const geometry = {
+            rect: ['x', 'y', 'width', 'height'],
+            ellipse: ['x', 'y', 'width', 'height'],
+            path: ['points'],
+            line: ['points', 'arrow'],
+            polygon: ['points', 'closed'],
+            note: ['x', 'y', 'width', 'height'],
+            markup: ['variant', 'rects'],
+            stamp: ['x', 'y', 'width', 'height', 'name'],
+            redact: ['x', 'y', 'width', 'height'],
+            callout: ['x', 'y', 'width', 'height', 'anchor'],
+            text: ['x', 'y']
+        };
+        Object.values(ANNOTATIONS).flat().forEach(original => {
+            const ann = findImported(imported, original.id);
+            expect(ann.type).toBe(original.type);
+            expect(pick(ann, geometry[original.type])).toEqual(pick(original, geometry[original.type]));
+        });
+    });
+
+    it('keeps the style', () => {
+        Object.values(ANNOTATIONS).flat()
+            .filter(original => original.type !== 'redact')
+            .forEach(original => {
+                expect(getAnnotationStyle(findImported(imported, original.id))).toEqual(getAnnotationStyle(original));
+            });
+    });
+
+    it('keeps text, authors and dates', () => {
+        ['note-1', 'markup-1', 'stamp-1', 'callout-1', 'text-1'].forEach(id => {
+            expect(findImported(imported, id).text).toBe(Object.values(ANNOTATIONS).flat().find(ann => ann.id === id).text);
+        });
+        const note = findImported(imported, 'note-1');
+        expect(note.author).toBe('Reviewer');
+        expect(note.createdAt).toBe(CREATED_AT);
+    });
+
+    it('keeps replies and the resolved status', () => {
+        const note = findImported(imported, 'note-1');
+        expect(note.replies).toEqual([{ id: 'reply-1', author: 'Author', text: 'Fixed', createdAt: CREATED_AT + 60000 }]);
+        expect(note.status).toBe('resolved');
+        expect(note.resolvedBy).toBe('Reviewer');
+    });
+
+    it('skips images on export', () => {
+        const { exportSkipped, count } = roundTrip({ 1: [{ id: 'image-1', type: 'image', x: 0, y: 0, width: 10, height: 10, src: 'data:image/png;base64,' }] });
+        expect(exportSkipped).toBe(1);
+        expect(count).toBe(0);
+    });
+});
+
+describe('xfdfToAnnotations', () => {
+    it('skips annotations on pages the document does not have', () => {
+        const { xml } = annotationsToXfdf(ANNOTATIONS, PAGE_SIZES);
+        const { annotations, skipped } = xfdfToAnnotations(xml, { 1: PAGE_SIZES[1] });
+        expect(annotations[2]).toBeUndefined();
+        expect(skipped).toBe(3);
+    });
+
+    it('rejects documents that are not XFDF', () => {
+        expect(() => xfdfToAnnotations('<html><body/></html>', PAGE_SIZES)).toThrow('This is not an XFDF file.');
+        expect(() => xfdfToAnnotations('not xml at all', PAGE_SIZES)).toThrow('This is not an XFDF file.');
+    });
+});